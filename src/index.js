@@ -3,13 +3,85 @@
 import express from 'express';
 import cors from 'cors';
 import 'dotenv/config';
-import crypto from 'crypto';
+import { getDomain } from 'tldts';
 import { generatePdfFromHtml, generateProfessionalPdfHtml } from './services/pdfGenerator.js';
-import { analysisQueue } from './jobs/queue.js';
-import db from './services/firestoreService.js';
+import { closeBrowserPool } from './services/browserPool.js';
+import { analysisQueue, pdfQueue, getAnalysisQueueEvents, getLatestScanJobId, setLatestScanJobId } from './jobs/queue.js';
+import { requestCancellation, getCancellation, clearCancellation } from './jobs/cancellation.js';
+import { getReportRepository, REPORT_SORTS, ReportQueryError } from './services/reportRepository.js';
+import { assertFirestoreConfigured } from './services/firestoreService.js';
+import { THROTTLING_PROFILES } from './services/performanceAudit.js';
+import { validateCallbackUrl, getWebhookDeliveries } from './services/webhookService.js';
+import { buildClientReport, buildReportSummary } from './services/clientReport.js';
+import { scanFingerprint, newScanJobId } from './services/scanIdentity.js';
+import {
+  getCachedReportPdf,
+  renderReportPdf,
+  shouldRenderInBackground,
+  reportPdfJobId,
+  reportPdfVersion,
+  reportPdfFilename,
+} from './services/reportPdf.js';
+import { EXPORT_FORMATS, buildReportExport } from './services/reportExports.js';
+import { getRetryableCompetitors } from './services/competitorStatus.js';
+import { SCREENSHOT_VARIANTS, getCompetitorScreenshot, loadScreenshotDataUris } from './services/screenshotStore.js';
+import {
+  createShare,
+  listShares,
+  revokeShare,
+  resolveShareToken,
+  recordShareAccess,
+  ShareValidationError,
+  ShareAccessError,
+  SharingUnavailableError,
+  isSharingConfigured,
+} from './services/shareService.js';
+import {
+  authenticateApiKey,
+  recordRequest,
+  consumeScanQuota,
+  getUsage,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  setApiKeyTemplate,
+  canAccessTenant,
+  assertCompetitorLimit,
+  QuotaExceededError,
+  ApiKeyValidationError,
+} from './services/apiKeyService.js';
+import {
+  createWatch,
+  getWatch,
+  listWatches,
+  updateWatch,
+  deleteWatch,
+  listWatchRuns,
+  WatchValidationError,
+} from './services/watchService.js';
+import {
+  DEFAULT_TEMPLATE_ID,
+  createTemplate,
+  getTemplate,
+  listTemplates,
+  updateTemplate,
+  deleteTemplate,
+  resolveTemplate,
+  loadRenderTemplate,
+  TemplateValidationError,
+} from './services/reportTemplates.js';
+import { normalizeLocale, LocaleValidationError } from './services/i18n.js';
 // Rate limiting removed - using queue-based concurrency control
 
 // --- SERVER SETUP ---
+// API keys, watches and templates are in Firestore even with REPORT_STORE=local
+try {
+  assertFirestoreConfigured();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const port = process.env.PORT || 10000;
 
@@ -24,13 +96,58 @@ app.use(cors()); // Allow requests from your frontend
 // Queue settings: concurrency: 1, max: 20 jobs per minute
 
 // --- SECURITY MIDDLEWARE ---
-// This function acts as a bouncer, checking for the secret API key.
-const apiKeyAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  if (apiKey && apiKey === process.env.BACKEND_API_KEY) {
-    return next(); // Key is correct, proceed.
+// This function acts as a bouncer: it resolves the x-api-key header to a tenant key record
+// (or the BACKEND_API_KEY admin key) and attaches it as req.apiKey.
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const keyRecord = await authenticateApiKey(req.headers['x-api-key']);
+    if (!keyRecord) {
+      return res.status(401).json({ message: 'Unauthorized' }); // Block the request.
+    }
+    req.apiKey = keyRecord;
+    recordRequest(keyRecord); // Metered in the background
+    return next(); // Key is valid, proceed.
+  } catch (error) {
+    console.error('API Key Auth Error:', error);
+    return res.status(500).json({ message: 'Could not verify API key' });
   }
-  return res.status(401).json({ message: 'Unauthorized' }); // Block the request.
+};
+
+// Checks the authenticated key holds a scope (scan, read, export or admin).
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey?.scopes.includes(scope)) return next();
+  return res.status(403).json({ message: `This API key lacks the "${scope}" scope.` });
+};
+
+// --- HELPERS ---
+// Workers report either a bare percentage (older jobs) or a progress snapshot object.
+const normalizeProgress = (progress) => {
+  if (typeof progress === 'number') return { percent: progress, stage: null, message: null, competitors: {} };
+  if (progress && typeof progress === 'object') {
+    return {
+      percent: typeof progress.percent === 'number' ? progress.percent : 0,
+      stage: progress.stage || null,
+      message: progress.message || null,
+      competitors: progress.competitors || {},
+    };
+  }
+  return { percent: 0, stage: null, message: null, competitors: {} };
+};
+
+// Cancelled scans complete with a `cancelled` return value; QueueEvents delivers it as a JSON string
+const isCancelledResult = (returnvalue) => {
+  if (typeof returnvalue !== 'string') return !!returnvalue?.cancelled;
+  try {
+    return !!JSON.parse(returnvalue)?.cancelled;
+  } catch {
+    return false;
+  }
+};
+
+// BullMQ state, with cancelled scans reported as 'cancelled' instead of 'completed'
+const getScanState = async (job) => {
+  const state = await job.getState();
+  return state === 'completed' && isCancelledResult(job.returnvalue) ? 'cancelled' : state;
 };
 
 // --- API ENDPOINTS ---
@@ -39,29 +156,105 @@ const apiKeyAuth = (req, res, next) => {
 app.get('/health', (req, res) => res.status(200).json({ status: 'ok' }));
 
 // Deep Scan Endpoint: Receives a request and performs the web scraping.
-app.post(['/deep-scan', '/api/deep-scan'], apiKeyAuth, async (req, res) => {
+app.post(['/deep-scan', '/api/deep-scan'], apiKeyAuth, requireScope('scan'), async (req, res) => {
   try {
     console.log(`🚀 Received deep scan request for: ${req.body.brandName}`);
-    const { brandName, category, competitorUrls } = req.body;
+    const { brandName, category, competitorUrls, callbackUrl, crawl, performance: performanceOptions, refresh = false, maxAge } = req.body;
 
     if (!brandName || !Array.isArray(competitorUrls) || competitorUrls.length === 0) {
       return res.status(400).json({ message: 'brandName and competitorUrls are required.' });
     }
 
-    // Create deterministic jobId to prevent duplicates
-    const sortedUrls = [...competitorUrls].sort();
-    const fingerprint = crypto
-      .createHash('sha256')
-      .update(JSON.stringify({ brandName, category: category || 'General', competitorUrls: sortedUrls }))
-      .digest('hex')
-      .substring(0, 24); // Increased to 24 chars to reduce collision chance
+    // crawl: false for homepage-only, or { maxPages, maxDepth, useSitemap } to tune the site crawl
+    if (crawl !== undefined && crawl !== false && (typeof crawl !== 'object' || Array.isArray(crawl) || crawl === null)) {
+      return res.status(400).json({ message: 'crawl must be false or an object of crawl options.' });
+    }
+
+    // performance: { audit: boolean, throttling: 'none' | 'cable' | 'fast4g' | 'slow4g' }
+    if (performanceOptions !== undefined) {
+      if (typeof performanceOptions !== 'object' || performanceOptions === null || Array.isArray(performanceOptions)) {
+        return res.status(400).json({ message: 'performance must be an object of performance audit options.' });
+      }
+      if (performanceOptions.throttling !== undefined && !(performanceOptions.throttling in THROTTLING_PROFILES)) {
+        return res.status(400).json({ message: `performance.throttling must be one of ${Object.keys(THROTTLING_PROFILES).join(', ')}.` });
+      }
+    }
+
+    // refresh: true always starts a new run; maxAge (seconds) accepts a finished report up to that old
+    if (typeof refresh !== 'boolean') {
+      return res.status(400).json({ message: 'refresh must be a boolean.' });
+    }
+    if (maxAge !== undefined && !(Number.isInteger(maxAge) && maxAge >= 0)) {
+      return res.status(400).json({ message: 'maxAge must be a non-negative number of seconds.' });
+    }
 
-    console.log(`📝 Adding job to queue with ID: ${fingerprint} for brand: ${brandName}`);
+    // locale: BCP 47 tag ('es', 'de-AT', ...) the agents write in and the PDF is labelled in
+    let locale;
+    try {
+      locale = normalizeLocale(req.body.locale);
+    } catch (localeError) {
+      if (!(localeError instanceof LocaleValidationError)) throw localeError;
+      return res.status(400).json({ message: localeError.message });
+    }
+
+    let validatedCallbackUrl;
+    if (callbackUrl) {
+      try {
+        validatedCallbackUrl = await validateCallbackUrl(callbackUrl);
+      } catch (validationError) {
+        return res.status(400).json({ message: validationError.message });
+      }
+    }
+
+    const tenantId = req.apiKey.tenantId || undefined;
+    const fingerprint = scanFingerprint({ tenantId, brandName, category, competitorUrls, crawl, performance: performanceOptions, locale });
+
+    // Without refresh, a duplicate request reuses (and isn't charged for):
+    //   - with maxAge, the latest stored report of the same scan if it is no older than maxAge seconds;
+    //   - a run of the same scan that is still queued or running;
+    //   - a completed run still in the queue, if no maxAge is given or it is recent enough.
+    // Anything else (failed, cancelled, too old) starts a new run.
+    if (!refresh) {
+      const isFresh = (finishedAt) => maxAge === undefined || Date.now() - new Date(finishedAt).getTime() <= maxAge * 1000;
+
+      if (maxAge !== undefined) {
+        const [storedReport] = await getReportRepository().listReports({ tenantId, fingerprint, limit: 1 });
+        if (storedReport && storedReport.success !== false && isFresh(storedReport.createdAt?.toDate?.() || storedReport.createdAt)) {
+          console.log(`📦 Reusing stored report ${storedReport.jobId} for brand: ${brandName}`);
+          return res.status(200).json({ jobId: storedReport.jobId, state: 'completed', cached: true });
+        }
+      }
+
+      const latestJobId = await getLatestScanJobId(fingerprint);
+      const existingJob = latestJobId ? await analysisQueue.getJob(latestJobId) : null;
+      const state = existingJob ? await getScanState(existingJob) : null;
+
+      if (['waiting', 'delayed', 'prioritized', 'waiting-children', 'active'].includes(state)
+        || (state === 'completed' && existingJob.returnvalue?.success !== false && isFresh(existingJob.finishedOn))) {
+        console.log(`♻️ Job ${existingJob.id} already exists for brand: ${brandName} (${state})`);
+        return res.status(202).json({ jobId: existingJob.id, state });
+      }
+    }
+
+    try {
+      await consumeScanQuota(req.apiKey, competitorUrls.length);
+    } catch (quotaError) {
+      if (quotaError instanceof QuotaExceededError) {
+        return res.status(429).json({ message: quotaError.message, quota: quotaError.quota });
+      }
+      throw quotaError;
+    }
+
+    // Every run gets its own job (and report) ID; the fingerprint only points at the latest run
+    const jobId = newScanJobId(fingerprint);
+    console.log(`📝 Adding job to queue with ID: ${jobId} for brand: ${brandName}${refresh ? ' (refresh)' : ''}`);
+    await clearCancellation(jobId);
     const job = await analysisQueue.add(
       'deepScan', 
-      { brandName, category, competitorUrls },
-      { jobId: fingerprint } // This prevents duplicate jobs
+      { brandName, category, competitorUrls, callbackUrl: validatedCallbackUrl, crawl, performance: performanceOptions, locale, tenantId, fingerprint, refresh },
+      { jobId }
     );
+    await setLatestScanJobId(fingerprint, job.id);
     
     console.log(`🎯 Job ${job.id} queued for brand: ${brandName} (${competitorUrls.length} competitors)`);
     
@@ -80,71 +273,68 @@ app.post(['/deep-scan', '/api/deep-scan'], apiKeyAuth, async (req, res) => {
 });
 
 // Polling endpoint to check job status and fetch result
-app.get(['/analysis-status/:jobId', '/api/analysis-status/:jobId'], apiKeyAuth, async (req, res) => {
+app.get(['/analysis-status/:jobId', '/api/analysis-status/:jobId'], apiKeyAuth, requireScope('read'), async (req, res) => {
   const { jobId } = req.params;
   console.log(`🔍 Status check for jobId: ${jobId}`);
   
   try {
     const job = await analysisQueue.getJob(jobId);
     if (!job) {
+      // Jobs cancelled before they started are removed from the queue; only the marker remains
+      const cancellation = await getCancellation(jobId);
+      if (cancellation && canAccessTenant(req.apiKey, cancellation.tenantId)) {
+        return res.status(200).json({ state: 'cancelled', progress: 0, stage: 'cancelled', message: 'Deep scan cancelled before it started', competitors: {} });
+      }
+      // Completed jobs expire from the queue after an hour (and reused reports may be older); the report remains
+      const storedReport = await getReportRepository().getReport(jobId);
+      if (storedReport && canAccessTenant(req.apiKey, storedReport.tenantId)) {
+        return res.status(200).json({ state: 'completed', progress: 100, stage: 'completed', message: 'Deep scan completed', competitors: {}, result: buildClientReport(storedReport) });
+      }
+    }
+    if (!job || !canAccessTenant(req.apiKey, job.data.tenantId)) {
       console.log(`❌ Job ${jobId} not found in queue`);
       return res.status(404).json({ message: 'Job not found' });
     }
 
-    const state = await job.getState();
-    const progress = typeof job.progress === 'number' ? job.progress : 0;
-    console.log(`📊 Job ${jobId} state: ${state}, progress: ${progress}`);
+    const state = await getScanState(job);
+    const { percent: progress, stage, message, competitors } = normalizeProgress(job.progress);
+    console.log(`📊 Job ${jobId} state: ${state}, progress: ${progress}, stage: ${stage}`);
     
-    const response = { state, progress };
+    const response = { state, progress, stage, message, competitors };
 
     if (state === 'completed') {
-      console.log(`🔍 Job ${jobId} completed, fetching from Firestore: deepScans/${jobId}`);
-      const docRef = db.collection('deepScans').doc(jobId);
-      const doc = await docRef.get();
-      if (!doc.exists) {
-        console.log(`❌ Job ${jobId} completed but no Firestore document found`);
+      // Retry jobs merge into the report of the scan they retried
+      const reportId = job.data.retryOf || jobId;
+      console.log(`🔍 Job ${jobId} completed, fetching report ${reportId} from the report store`);
+      const reportData = await getReportRepository().getReport(reportId);
+      if (!reportData) {
+        console.log(`❌ Job ${jobId} completed but no stored report found`);
         return res.status(404).json({ message: 'Result not found in database.' });
       }
-      const firestoreData = doc.data();
-      console.log(`✅ Job ${jobId} result found in Firestore`);
-      console.log(`📊 Firestore data keys:`, Object.keys(firestoreData));
-      console.log(`🔍 Has detailedAgentReports:`, !!firestoreData.detailedAgentReports);
-      console.log(`🔍 Has analysis:`, !!firestoreData.analysis);
-      console.log(`🔍 Has competitorsAnalyzed:`, !!firestoreData.competitorsAnalyzed);
+      console.log(`✅ Job ${jobId} result found in the report store`);
+      console.log(`📊 Report data keys:`, Object.keys(reportData));
+      console.log(`🔍 Has detailedAgentReports:`, !!reportData.detailedAgentReports);
+      console.log(`🔍 Has analysis:`, !!reportData.analysis);
+      console.log(`🔍 Has competitorsAnalyzed:`, !!reportData.competitorsAnalyzed);
       
       // Log the actual data structure being sent to frontend
       console.log(`📤 Sending to frontend:`, {
         state: response.state,
         progress: response.progress,
-        resultKeys: Object.keys(firestoreData),
-        hasDeepScanData: !!firestoreData.detailedAgentReports,
-        analysisLength: firestoreData.analysis?.length || 0,
-        competitorsCount: firestoreData.competitorsAnalyzed?.length || 0
+        resultKeys: Object.keys(reportData),
+        hasDeepScanData: !!reportData.detailedAgentReports,
+        analysisLength: reportData.analysis?.length || 0,
+        competitorsCount: reportData.competitorsAnalyzed?.length || 0
       });
       
       // Restructure the data to match what frontend expects
-      // Extract the core analysis data and put it at the top level
-      const restructuredData = {
-        // Core analysis data (what frontend expects)
-        analysis: firestoreData.analysis,
-        detailedAgentReports: firestoreData.detailedAgentReports,
-        competitorsAnalyzed: firestoreData.competitorsAnalyzed,
-        
-        // Additional metadata (preserved but not at top level)
-        metadata: {
-          brandName: firestoreData.brandName,
-          category: firestoreData.category,
-          competitorUrls: firestoreData.competitorUrls,
-          timestamp: firestoreData.timestamp,
-          success: firestoreData.success,
-          createdAt: firestoreData.createdAt
-        }
-      };
+      const restructuredData = buildClientReport(reportData);
       
       response.result = restructuredData;
       
       // Debug: Log the actual data being sent
       console.log(`🔍 [DEBUG] Analysis data being sent:`, {
+        hasStrategy: !!restructuredData.strategy,
         hasAnalysis: !!restructuredData.analysis,
         analysisLength: restructuredData.analysis?.length || 0,
         hasDetailedReports: !!restructuredData.detailedAgentReports,
@@ -163,8 +353,437 @@ app.get(['/analysis-status/:jobId', '/api/analysis-status/:jobId'], apiKeyAuth,
   }
 });
 
+// Live status stream: pushes progress snapshots as Server-Sent Events until the job settles
+app.get(['/analysis-status/:jobId/stream', '/api/analysis-status/:jobId/stream'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  const { jobId } = req.params;
+  console.log(`📡 Status stream opened for jobId: ${jobId}`);
+
+  try {
+    const job = await analysisQueue.getJob(jobId);
+    if (!job || !canAccessTenant(req.apiKey, job.data.tenantId)) {
+      console.log(`❌ Job ${jobId} not found in queue`);
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const send = (event, data) => {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const queueEvents = getAnalysisQueueEvents();
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    const onProgress = ({ jobId: eventJobId, data }) => {
+      if (eventJobId !== jobId) return;
+      send('progress', { state: 'active', ...normalizeProgress(data) });
+    };
+    const onCompleted = ({ jobId: eventJobId, returnvalue }) => {
+      if (eventJobId !== jobId) return;
+      if (isCancelledResult(returnvalue)) send('cancelled', { state: 'cancelled' });
+      else send('completed', { state: 'completed', percent: 100 });
+      close();
+    };
+    const onFailed = ({ jobId: eventJobId, failedReason }) => {
+      if (eventJobId !== jobId) return;
+      send('failed', { state: 'failed', error: failedReason });
+      close();
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      queueEvents.off('progress', onProgress);
+      queueEvents.off('completed', onCompleted);
+      queueEvents.off('failed', onFailed);
+      res.end();
+      console.log(`📡 Status stream closed for jobId: ${jobId}`);
+    };
+
+    queueEvents.on('progress', onProgress);
+    queueEvents.on('completed', onCompleted);
+    queueEvents.on('failed', onFailed);
+    req.on('close', close);
+
+    // Subscribe first, then send the current state so no event is missed in between
+    const state = await getScanState(job);
+    if (state === 'cancelled') {
+      send('cancelled', { state });
+      return close();
+    }
+    if (state === 'completed') {
+      send('completed', { state, percent: 100 });
+      return close();
+    }
+    if (state === 'failed') {
+      send('failed', { state, error: job.failedReason });
+      return close();
+    }
+    send('progress', { state, ...normalizeProgress(job.progress) });
+  } catch (error) {
+    console.error(`❌ Status Stream Error for jobId ${jobId}:`, error);
+    if (!res.headersSent) return res.status(500).json({ message: error.message });
+    res.end();
+  }
+});
+
+// Cancels a deep scan: waiting jobs are removed, active ones are signalled to abort.
+// Nothing is saved for a cancelled scan.
+const cancelDeepScan = async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const job = await analysisQueue.getJob(jobId);
+    if (!job || !canAccessTenant(req.apiKey, job.data.tenantId)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const state = await getScanState(job);
+    if (['completed', 'failed', 'cancelled'].includes(state)) {
+      return res.status(409).json({ message: `Job has already finished (${state}).`, state });
+    }
+
+    // Record the cancellation first so a worker picking the job up right now still sees it
+    await requestCancellation(job);
+    if (state !== 'active') {
+      try {
+        await job.remove();
+        console.log(`🛑 Removed ${state} job ${jobId}`);
+        return res.status(200).json({ jobId, state: 'cancelled' });
+      } catch (removeError) {
+        // A worker locked the job in the meantime; the cancellation message will reach it
+        console.warn(`⚠️ Could not remove job ${jobId}, signalling the worker instead: ${removeError.message}`);
+      }
+    }
+
+    console.log(`🛑 Cancellation requested for active job ${jobId}`);
+    return res.status(202).json({ jobId, state: 'cancelling' });
+  } catch (error) {
+    console.error(`❌ Cancel Endpoint Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+app.delete(['/deep-scan/:jobId', '/api/deep-scan/:jobId'], apiKeyAuth, requireScope('scan'), cancelDeepScan);
+app.post(['/deep-scan/:jobId/cancel', '/api/deep-scan/:jobId/cancel'], apiKeyAuth, requireScope('scan'), cancelDeepScan);
+
+// Re-analyses only the competitors of a finished report that failed (or came back partial),
+// merges them into the report and re-runs the Chief Strategist. Charged per retried competitor.
+app.post(['/deep-scan/:jobId/retry-failed', '/api/deep-scan/:jobId/retry-failed'], apiKeyAuth, requireScope('scan'), async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const report = await getReportRepository().getReport(jobId);
+    if (!report || !canAccessTenant(req.apiKey, report.tenantId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const retryJobId = `${jobId}-retry`;
+    const existingJob = await analysisQueue.getJob(retryJobId);
+    const existingState = existingJob ? await getScanState(existingJob) : null;
+    if (['waiting', 'delayed', 'prioritized', 'waiting-children', 'active'].includes(existingState)) {
+      console.log(`♻️ Retry ${retryJobId} already in progress (${existingState})`);
+      return res.status(202).json({ jobId: retryJobId, reportId: jobId, state: existingState });
+    }
+
+    const retryUrls = getRetryableCompetitors(report);
+    if (retryUrls.length === 0) {
+      const message = report.competitorStatus ? 'Every competitor in this report was analyzed successfully.' : 'This report has no per-competitor status to retry from.';
+      return res.status(409).json({ message });
+    }
+
+    try {
+      await consumeScanQuota(req.apiKey, retryUrls.length);
+    } catch (quotaError) {
+      if (quotaError instanceof QuotaExceededError) {
+        return res.status(429).json({ message: quotaError.message, quota: quotaError.quota });
+      }
+      throw quotaError;
+    }
+
+    // Each report has one retry slot; a finished retry makes way for the next one
+    if (existingJob) await existingJob.remove();
+    await clearCancellation(retryJobId);
+    const { brandName, category, competitorUrls, callbackUrl, crawl, performance: performanceOptions, locale, tenantId, fingerprint } = report;
+    await analysisQueue.add(
+      'deepScan',
+      { brandName, category, competitorUrls, callbackUrl, crawl, performance: performanceOptions, locale, tenantId, fingerprint, retryOf: jobId, retryUrls },
+      { jobId: retryJobId }
+    );
+    console.log(`🔁 Retry ${retryJobId} queued for ${retryUrls.length} competitor(s) of report ${jobId}`);
+    return res.status(202).json({ jobId: retryJobId, reportId: jobId, competitorUrls: retryUrls });
+  } catch (error) {
+    console.error(`❌ Retry Endpoint Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Webhook delivery history for a job submitted with a callbackUrl
+app.get(['/deep-scan/:jobId/webhook-deliveries', '/api/deep-scan/:jobId/webhook-deliveries'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const deliveries = await getWebhookDeliveries(jobId);
+    if (!deliveries || !canAccessTenant(req.apiKey, deliveries.tenantId)) {
+      return res.status(404).json({ message: 'No webhook deliveries recorded for this job' });
+    }
+    return res.status(200).json(deliveries);
+  } catch (error) {
+    console.error(`❌ Webhook Deliveries Endpoint Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// --- WATCHES (scheduled recurring scans) ---
+
+// Loads :watchId into req.watch, answering 404 for missing watches and other tenants' watches.
+const loadOwnedWatch = async (req, res, next) => {
+  try {
+    const watch = await getWatch(req.params.watchId);
+    if (!watch || !canAccessTenant(req.apiKey, watch.tenantId)) {
+      return res.status(404).json({ message: 'Watch not found' });
+    }
+    req.watch = watch;
+    return next();
+  } catch (error) {
+    console.error(`Load Watch Error for ${req.params.watchId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+app.post(['/watches', '/api/watches'], apiKeyAuth, requireScope('scan'), async (req, res) => {
+  try {
+    if (Array.isArray(req.body.competitorUrls)) assertCompetitorLimit(req.apiKey, req.body.competitorUrls.length);
+    const watch = await createWatch(req.body, req.apiKey);
+    console.log(`🗓️ Created watch ${watch.watchId} for brand: ${watch.brandName} (${watch.schedule})`);
+    return res.status(201).json(watch);
+  } catch (error) {
+    if (error instanceof WatchValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ message: error.message, quota: error.quota });
+    }
+    console.error('Create Watch Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(['/watches', '/api/watches'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  try {
+    const watches = await listWatches(req.apiKey.isAdmin ? undefined : req.apiKey.tenantId);
+    return res.status(200).json({ watches });
+  } catch (error) {
+    console.error('List Watches Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(['/watches/:watchId', '/api/watches/:watchId'], apiKeyAuth, requireScope('read'), loadOwnedWatch, (req, res) => {
+  return res.status(200).json(req.watch);
+});
+
+app.patch(['/watches/:watchId', '/api/watches/:watchId'], apiKeyAuth, requireScope('scan'), loadOwnedWatch, async (req, res) => {
+  try {
+    if (Array.isArray(req.body.competitorUrls)) assertCompetitorLimit(req.apiKey, req.body.competitorUrls.length);
+    const watch = await updateWatch(req.params.watchId, req.body, req.apiKey);
+    if (!watch) return res.status(404).json({ message: 'Watch not found' });
+    return res.status(200).json(watch);
+  } catch (error) {
+    if (error instanceof WatchValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof QuotaExceededError) {
+      return res.status(429).json({ message: error.message, quota: error.quota });
+    }
+    console.error(`Update Watch Endpoint Error for ${req.params.watchId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.delete(['/watches/:watchId', '/api/watches/:watchId'], apiKeyAuth, requireScope('scan'), loadOwnedWatch, async (req, res) => {
+  try {
+    const deleted = await deleteWatch(req.params.watchId);
+    if (!deleted) return res.status(404).json({ message: 'Watch not found' });
+    return res.status(204).end();
+  } catch (error) {
+    console.error(`Delete Watch Endpoint Error for ${req.params.watchId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(['/watches/:watchId/runs', '/api/watches/:watchId/runs'], apiKeyAuth, requireScope('read'), loadOwnedWatch, async (req, res) => {
+  try {
+    const { watch } = req;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const runs = await listWatchRuns(req.params.watchId, limit);
+    return res.status(200).json({ watchId: watch.watchId, runs });
+  } catch (error) {
+    console.error(`Watch Runs Endpoint Error for ${req.params.watchId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// --- API KEYS & USAGE ---
+
+// Usage and quotas for the calling key
+app.get(['/usage', '/api/usage'], apiKeyAuth, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 30, 90);
+    return res.status(200).json(await getUsage(req.apiKey, days));
+  } catch (error) {
+    console.error('Usage Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Key management is limited to the admin key (BACKEND_API_KEY)
+app.post(['/admin/api-keys', '/api/admin/api-keys'], apiKeyAuth, requireScope('admin'), async (req, res) => {
+  try {
+    const created = await createApiKey(req.body);
+    return res.status(201).json(created);
+  } catch (error) {
+    if (error instanceof ApiKeyValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create API Key Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(['/admin/api-keys', '/api/admin/api-keys'], apiKeyAuth, requireScope('admin'), async (req, res) => {
+  try {
+    const keys = await listApiKeys(req.query.tenantId);
+    return res.status(200).json({ keys });
+  } catch (error) {
+    console.error('List API Keys Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.delete(['/admin/api-keys/:keyId', '/api/admin/api-keys/:keyId'], apiKeyAuth, requireScope('admin'), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.keyId);
+    if (!revoked) return res.status(404).json({ message: 'API key not found' });
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Revoke API Key Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.patch(['/admin/api-keys/:keyId', '/api/admin/api-keys/:keyId'], apiKeyAuth, requireScope('admin'), async (req, res) => {
+  try {
+    const { templateId } = req.body;
+    if (templateId === undefined) {
+      return res.status(400).json({ message: 'templateId is required (null clears it).' });
+    }
+    const template = templateId ? await getTemplate(templateId) : null;
+    if (templateId && !template) {
+      return res.status(400).json({ message: `Template ${templateId} not found.` });
+    }
+    const key = await setApiKeyTemplate(req.params.keyId, template);
+    if (!key) return res.status(404).json({ message: 'API key not found' });
+    return res.status(200).json(key);
+  } catch (error) {
+    if (error instanceof ApiKeyValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update API Key Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// --- REPORT TEMPLATES (white-label branding) ---
+
+// Loads :templateId into req.template for changes, answering 404 for other tenants' templates.
+// The built-in template can be read and used but not changed.
+const loadOwnedTemplate = async (req, res, next) => {
+  try {
+    if (req.params.templateId === DEFAULT_TEMPLATE_ID) {
+      return res.status(400).json({ message: 'The built-in template cannot be modified' });
+    }
+    const template = await getTemplate(req.params.templateId);
+    if (!template || !canAccessTenant(req.apiKey, template.tenantId)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    req.template = template;
+    return next();
+  } catch (error) {
+    console.error(`Load Template Error for ${req.params.templateId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+app.post(['/templates', '/api/templates'], apiKeyAuth, requireScope('export'), async (req, res) => {
+  try {
+    const template = await createTemplate(req.body, req.apiKey.tenantId);
+    console.log(`🎨 Created report template ${template.templateId} (${template.name})`);
+    return res.status(201).json(template);
+  } catch (error) {
+    if (error instanceof TemplateValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create Template Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Templates this key can render with; defaultTemplateId is the one used when a request names none
+app.get(['/templates', '/api/templates'], apiKeyAuth, requireScope('export'), async (req, res) => {
+  try {
+    const templates = await listTemplates(req.apiKey.isAdmin ? undefined : req.apiKey.tenantId);
+    return res.status(200).json({ templates, defaultTemplateId: req.apiKey.templateId || DEFAULT_TEMPLATE_ID });
+  } catch (error) {
+    console.error('List Templates Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(['/templates/:templateId', '/api/templates/:templateId'], apiKeyAuth, requireScope('export'), async (req, res) => {
+  try {
+    return res.status(200).json(await resolveTemplate(req.params.templateId, req.apiKey));
+  } catch (error) {
+    if (error instanceof TemplateValidationError) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    console.error(`Get Template Endpoint Error for ${req.params.templateId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.patch(['/templates/:templateId', '/api/templates/:templateId'], apiKeyAuth, requireScope('export'), loadOwnedTemplate, async (req, res) => {
+  try {
+    const template = await updateTemplate(req.params.templateId, req.body);
+    if (!template) return res.status(404).json({ message: 'Template not found' });
+    return res.status(200).json(template);
+  } catch (error) {
+    if (error instanceof TemplateValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Update Template Endpoint Error for ${req.params.templateId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.delete(['/templates/:templateId', '/api/templates/:templateId'], apiKeyAuth, requireScope('export'), loadOwnedTemplate, async (req, res) => {
+  try {
+    const deleted = await deleteTemplate(req.params.templateId);
+    if (!deleted) return res.status(404).json({ message: 'Template not found' });
+    return res.status(204).end();
+  } catch (error) {
+    console.error(`Delete Template Endpoint Error for ${req.params.templateId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
 // View Report Endpoint: Get report data by brand name and category
-app.get(['/view-report', '/api/view-report'], apiKeyAuth, async (req, res) => {
+app.get(['/view-report', '/api/view-report'], apiKeyAuth, requireScope('read'), async (req, res) => {
   try {
     const { brandName, category } = req.query;
     console.log(`🔍 View report request for: ${brandName} in ${category}`);
@@ -173,50 +792,30 @@ app.get(['/view-report', '/api/view-report'], apiKeyAuth, async (req, res) => {
       return res.status(400).json({ message: 'brandName is required' });
     }
 
-    // Search for the most recent report for this brand
-    const reportsRef = db.collection('deepScans');
-    const snapshot = await reportsRef
-      .where('brandName', '==', brandName)
-      .orderBy('createdAt', 'desc')
-      .limit(1)
-      .get();
+    // Search for the most recent report for this brand (and category, if given), within the caller's tenant
+    const reportData = await getReportRepository().getLatestReportByBrand(brandName, {
+      tenantId: req.apiKey.isAdmin ? undefined : req.apiKey.tenantId,
+      category: category || undefined,
+    });
 
-    if (snapshot.empty) {
+    if (!reportData) {
       console.log(`❌ No reports found for brand: ${brandName}`);
       return res.status(404).json({ message: 'Report not found' });
     }
-
-    const doc = snapshot.docs[0];
-    const reportData = doc.data();
     
     console.log(`✅ Found report for ${brandName}:`, {
-      jobId: doc.id,
+      jobId: reportData.jobId,
       hasDeepScanData: !!reportData.detailedAgentReports,
       analysisLength: reportData.analysis?.length || 0
     });
 
     // Restructure the data to match what frontend expects
-    const restructuredData = {
-      // Core analysis data (what frontend expects)
-      analysis: reportData.analysis,
-      detailedAgentReports: reportData.detailedAgentReports,
-      competitorsAnalyzed: reportData.competitorsAnalyzed,
-      
-      // Additional metadata (preserved but not at top level)
-      metadata: {
-        brandName: reportData.brandName,
-        category: reportData.category,
-        competitorUrls: reportData.competitorUrls,
-        timestamp: reportData.timestamp,
-        success: reportData.success,
-        createdAt: reportData.createdAt
-      }
-    };
+    const restructuredData = buildClientReport(reportData);
 
     return res.status(200).json({
       success: true,
       data: restructuredData,
-      jobId: doc.id
+      jobId: reportData.jobId
     });
   } catch (error) {
     console.error('View Report Endpoint Error:', error);
@@ -224,11 +823,390 @@ app.get(['/view-report', '/api/view-report'], apiKeyAuth, async (req, res) => {
   }
 });
 
+// Report history: lightweight summaries, newest first by default, a page at a time.
+// Filters: brand (case-insensitive prefix), category, domain (competitor domain), from/to (ISO dates),
+// success (true|false). sort: -createdAt (default), createdAt, brandName or -brandName.
+// limit: 1-100 (default 20); pass the returned nextCursor as cursor for the next page.
+app.get(['/reports', '/api/reports'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  try {
+    const { brand, category, domain, from, to, success, sort = '-createdAt', cursor } = req.query;
+
+    if (!REPORT_SORTS[sort]) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(REPORT_SORTS).join(', ')}` });
+    }
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ message: 'limit must be an integer between 1 and 100.' });
+    }
+    if (success !== undefined && !['true', 'false'].includes(success)) {
+      return res.status(400).json({ message: 'success must be true or false.' });
+    }
+    const [createdFrom, createdTo] = [from, to].map(value => (value === undefined ? undefined : new Date(value)));
+    if ([createdFrom, createdTo].some(date => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({ message: 'from and to must be ISO 8601 dates.' });
+    }
+    const competitorDomain = domain ? getDomain(domain) : undefined;
+    if (domain && !competitorDomain) {
+      return res.status(400).json({ message: 'domain must be a domain name or URL.' });
+    }
+
+    // Tenants only ever see their own reports; the admin key may narrow to one tenant
+    const tenantId = req.apiKey.isAdmin ? req.query.tenantId || undefined : req.apiKey.tenantId;
+    const { reports, nextCursor } = await getReportRepository().searchReports({
+      tenantId,
+      brandPrefix: brand || undefined,
+      category: category || undefined,
+      competitorDomain,
+      createdFrom,
+      createdTo,
+      success: success === undefined ? undefined : success === 'true',
+      sort,
+      limit,
+      cursor: cursor || undefined,
+    });
+
+    return res.status(200).json({ reports: reports.map(buildReportSummary), nextCursor });
+  } catch (error) {
+    if (error instanceof ReportQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Report Listing Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// A specific historical report, in the same shape /analysis-status returns for a finished job
+app.get(['/reports/:jobId', '/api/reports/:jobId'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const report = await getReportRepository().getReport(jobId);
+    if (!report || !canAccessTenant(req.apiKey, report.tenantId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    return res.status(200).json({ success: true, jobId, data: buildClientReport(report) });
+  } catch (error) {
+    console.error(`❌ Report Endpoint Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// --- REPORT PDFS ---
+// Background render states as reported to clients
+const PDF_RENDER_STATES = { waiting: 'queued', delayed: 'queued', prioritized: 'queued', active: 'rendering', completed: 'ready', failed: 'failed' };
+
+// Loads the report and template a PDF or export request refers to, or answers the request itself.
+// Without ?template= the API key's default template is used.
+const loadRenderRequest = async (req, res) => {
+  let template;
+  try {
+    template = await resolveTemplate(req.query.template, req.apiKey);
+  } catch (error) {
+    if (!(error instanceof TemplateValidationError)) throw error;
+    res.status(400).json({ message: error.message });
+    return null;
+  }
+  const report = await getReportRepository().getReport(req.params.jobId);
+  if (!report || !canAccessTenant(req.apiKey, report.tenantId)) {
+    res.status(404).json({ message: 'Report not found' });
+    return null;
+  }
+  return { report, template };
+};
+
+const sendPdf = (req, res, report, template, pdfBuffer) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${reportPdfFilename(report)}"`);
+  // The version changes whenever the report or template does, so it doubles as the ETag
+  res.setHeader('ETag', `"${reportPdfVersion(report, template)}"`);
+  res.setHeader('Cache-Control', 'private, no-cache');
+  return res.send(pdfBuffer);
+};
+
+// PDF of a stored report, rendered server-side and cached per report version and template.
+// mode=auto (default) renders large reports in the background, sync always renders inline and
+// async always queues. A queued render answers 202; poll /reports/:jobId/pdf/status, then GET again.
+app.get(['/reports/:jobId/pdf', '/api/reports/:jobId/pdf'], apiKeyAuth, requireScope('export'), async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const mode = req.query.mode || 'auto';
+    if (!['auto', 'sync', 'async'].includes(mode)) {
+      return res.status(400).json({ message: 'mode must be one of: auto, sync, async' });
+    }
+    const request = await loadRenderRequest(req, res);
+    if (!request) return;
+    const { report, template } = request;
+
+    const cached = await getCachedReportPdf(report, template);
+    if (cached) {
+      console.log(`📄 Serving cached ${template.templateId} PDF for report ${jobId}`);
+      return sendPdf(req, res, report, template, cached);
+    }
+
+    if (mode === 'sync' || (mode === 'auto' && !shouldRenderInBackground(report))) {
+      return sendPdf(req, res, report, template, await renderReportPdf(report, template));
+    }
+
+    // One render per report version and template; a failed one is retried by asking again
+    const renderJobId = reportPdfJobId(report, template);
+    let renderJob = await pdfQueue.getJob(renderJobId);
+    if (renderJob && await renderJob.getState() === 'failed') {
+      await renderJob.remove();
+      renderJob = null;
+    }
+    if (!renderJob) {
+      renderJob = await pdfQueue.add('renderReportPdf', { reportId: jobId, templateId: template.templateId }, { jobId: renderJobId });
+      console.log(`📄 Queued ${template.templateId} PDF render ${renderJobId} for report ${jobId}`);
+    }
+    const state = PDF_RENDER_STATES[await renderJob.getState()] || 'queued';
+    return res.status(202).json({ state, statusUrl: `/reports/${encodeURIComponent(jobId)}/pdf/status?template=${encodeURIComponent(template.templateId)}` });
+  } catch (error) {
+    console.error(`❌ Report PDF Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Status of a report's PDF: ready (cached), queued, rendering, failed or not_started
+app.get(['/reports/:jobId/pdf/status', '/api/reports/:jobId/pdf/status'], apiKeyAuth, requireScope('export'), async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const request = await loadRenderRequest(req, res);
+    if (!request) return;
+    const { report, template } = request;
+    const url = `/reports/${encodeURIComponent(jobId)}/pdf?template=${encodeURIComponent(template.templateId)}`;
+
+    if (await getCachedReportPdf(report, template)) {
+      return res.status(200).json({ state: 'ready', url });
+    }
+    const renderJob = await pdfQueue.getJob(reportPdfJobId(report, template));
+    if (!renderJob) {
+      return res.status(200).json({ state: 'not_started' });
+    }
+    const state = PDF_RENDER_STATES[await renderJob.getState()] || 'queued';
+    return res.status(200).json({ state, ...(state === 'ready' ? { url } : {}), ...(state === 'failed' ? { error: renderJob.failedReason } : {}) });
+  } catch (error) {
+    console.error(`❌ Report PDF Status Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// --- REPORT EXPORTS ---
+// Media types clients may ask for in Accept, JSON first so */* (or no Accept at all) gets the bundle
+const EXPORT_MEDIA_TYPES = {
+  'application/json': 'json',
+  ...Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([format, { mediaType }]) => [mediaType, format])),
+  'application/pdf': 'pdf',
+};
+
+// Export format from ?format=, else from the Accept header; null when neither names one we have
+const negotiateExportFormat = (req) => {
+  if (req.query.format) return Object.values(EXPORT_MEDIA_TYPES).includes(req.query.format) ? req.query.format : null;
+  const mediaType = req.accepts(Object.keys(EXPORT_MEDIA_TYPES));
+  return mediaType ? EXPORT_MEDIA_TYPES[mediaType] : null;
+};
+
+// A stored report as html (self-contained page), json (versioned bundle), csv or xlsx (competitor
+// matrix), chosen with ?format= or Accept. html takes ?template= like the PDF; pdf redirects there.
+app.get(['/reports/:jobId/export', '/api/reports/:jobId/export'], apiKeyAuth, requireScope('export'), async (req, res) => {
+  const { jobId } = req.params;
+  res.setHeader('Vary', 'Accept');
+  try {
+    const format = negotiateExportFormat(req);
+    if (!format) {
+      const formats = [...new Set(Object.values(EXPORT_MEDIA_TYPES))].join(', ');
+      return res.status(req.query.format ? 400 : 406).json({ message: `format must be one of: ${formats}` });
+    }
+    if (format === 'pdf') {
+      // PDFs have their own cache and background renders
+      const query = req.query.template ? `?template=${encodeURIComponent(req.query.template)}` : '';
+      return res.redirect(303, `${req.path.replace(/\/export$/, '/pdf')}${query}`);
+    }
+
+    const request = await loadRenderRequest(req, res);
+    if (!request) return;
+    const { report, template } = request;
+
+    const { body, contentType, filename } = await buildReportExport(report, format, { template });
+    console.log(`📦 Exported report ${jobId} as ${format}`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(body);
+  } catch (error) {
+    console.error(`❌ Report Export Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// --- SHARE LINKS ---
+// Tokens are signed with SHARE_TOKEN_SECRET: without it, creating and opening shares answers 503
+if (!isSharingConfigured()) console.warn('⚠️ SHARE_TOKEN_SECRET is not configured; share links are disabled');
+
+const requireSharing = (req, res, next) => {
+  if (isSharingConfigured()) return next();
+  return res.status(503).json({ message: new SharingUnavailableError().message });
+};
+
+// Mints an expiring read-only link to a report. Body: { expiresIn } in seconds (default 7 days)
+// and { template }, the template the shared view and PDF render with (default: the key's).
+app.post(['/reports/:jobId/shares', '/api/reports/:jobId/shares'], apiKeyAuth, requireScope('read'), requireSharing, async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const report = await getReportRepository().getReport(jobId);
+    if (!report || !canAccessTenant(req.apiKey, report.tenantId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    const template = await resolveTemplate(req.body?.template, req.apiKey);
+    const share = await createShare(report, { expiresIn: req.body?.expiresIn, createdBy: req.apiKey.keyId, templateId: template.templateId });
+    return res.status(201).json({ ...share, url: `/shared/${share.token}` });
+  } catch (error) {
+    if (error instanceof ShareValidationError || error instanceof TemplateValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`❌ Share Creation Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(['/reports/:jobId/shares', '/api/reports/:jobId/shares'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  const { jobId } = req.params;
+  try {
+    const report = await getReportRepository().getReport(jobId);
+    if (!report || !canAccessTenant(req.apiKey, report.tenantId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    return res.status(200).json({ shares: listShares(report) });
+  } catch (error) {
+    console.error(`❌ Share Listing Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+app.delete(['/reports/:jobId/shares/:shareId', '/api/reports/:jobId/shares/:shareId'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  const { jobId, shareId } = req.params;
+  try {
+    const report = await getReportRepository().getReport(jobId);
+    if (!report || !canAccessTenant(req.apiKey, report.tenantId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    const share = await revokeShare(report, shareId);
+    if (!share) {
+      return res.status(404).json({ message: 'Share not found' });
+    }
+    return res.status(200).json(share);
+  } catch (error) {
+    console.error(`❌ Share Revocation Error for jobId ${jobId}:`, error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
+// Public, read-only views of a shared report. No API key: the token is the credential, so
+// responses are never cached by intermediaries or indexed.
+const sharedRoute = (format, render) => async (req, res) => {
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  try {
+    const { report, shareId } = await resolveShareToken(req.params.token);
+    if (format) recordShareAccess(report, shareId, format); // Metered in the background
+    return await render(req, res, report, report.shares[shareId]);
+  } catch (error) {
+    if (error instanceof ShareAccessError) {
+      return res.status(error.reason === 'invalid' ? 404 : 410).json({ message: error.message });
+    }
+    if (error instanceof SharingUnavailableError) {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error('Shared Report Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+};
+
+const sharedScreenshotBase = (req) => `/shared/${encodeURIComponent(req.params.token)}`;
+
+// The template a share was created with; shares whose template has since been deleted use the built-in one
+const sharedTemplate = async (share) => (share.templateId && await getTemplate(share.templateId)) || await getTemplate(DEFAULT_TEMPLATE_ID);
+
+app.get(['/shared/:token', '/api/shared/:token'], sharedRoute('json', (req, res, report) => (
+  res.status(200).json({ success: true, data: buildClientReport(report, { screenshotBase: sharedScreenshotBase(req) }) })
+)));
+
+app.get(['/shared/:token/view', '/api/shared/:token/view'], sharedRoute('html', async (req, res, report, share) => {
+  const [screenshots, template] = await Promise.all([loadScreenshotDataUris(report), sharedTemplate(share).then(loadRenderTemplate)]);
+  const html = generateProfessionalPdfHtml(buildClientReport(report), report.brandName, report.category, { screenshots, template });
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.send(html);
+}));
+
+app.get(['/shared/:token/pdf', '/api/shared/:token/pdf'], sharedRoute('pdf', async (req, res, report, share) => {
+  const template = await sharedTemplate(share);
+  const pdfBuffer = await getCachedReportPdf(report, template) || await renderReportPdf(report, template);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${reportPdfFilename(report)}"`);
+  return res.send(pdfBuffer);
+}));
+
+// Screenshots referenced by the shared JSON view; not counted as separate accesses
+app.get(['/shared/:token/screenshots/:competitor', '/api/shared/:token/screenshots/:competitor'], sharedRoute(null, async (req, res, report) => {
+  const variant = req.query.variant || 'desktop';
+  if (!SCREENSHOT_VARIANTS.includes(variant)) {
+    return res.status(400).json({ message: `variant must be one of: ${SCREENSHOT_VARIANTS.join(', ')}` });
+  }
+  const screenshot = await getCompetitorScreenshot(report, req.params.competitor, variant);
+  if (!screenshot) {
+    return res.status(404).json({ message: 'Screenshot not found' });
+  }
+  res.setHeader('Content-Type', screenshot.contentType);
+  return res.send(screenshot.data);
+}));
+
+// Serves a stored competitor screenshot. ?variant= desktop (default), desktopThumbnail, mobile or mobileThumbnail
+app.get(['/reports/:jobId/screenshots/:competitor', '/api/reports/:jobId/screenshots/:competitor'], apiKeyAuth, requireScope('read'), async (req, res) => {
+  try {
+    const { jobId, competitor } = req.params;
+    const variant = req.query.variant || 'desktop';
+    if (!SCREENSHOT_VARIANTS.includes(variant)) {
+      return res.status(400).json({ message: `variant must be one of: ${SCREENSHOT_VARIANTS.join(', ')}` });
+    }
+
+    const report = await getReportRepository().getReport(jobId);
+    if (!report || !canAccessTenant(req.apiKey, report.tenantId)) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const screenshot = await getCompetitorScreenshot(report, competitor, variant);
+    if (!screenshot) {
+      return res.status(404).json({ message: 'Screenshot not found' });
+    }
+
+    res.setHeader('Content-Type', screenshot.contentType);
+    // Screenshots never change once a job has stored them
+    res.setHeader('Cache-Control', 'private, max-age=86400, immutable');
+    return res.send(screenshot.data);
+  } catch (error) {
+    console.error('Screenshot Endpoint Error:', error);
+    return res.status(500).json({ message: error.message });
+  }
+});
+
 // PDF Export Endpoint: Receives report data and generates a PDF file.
-app.post(['/export-pdf', '/api/export-pdf'], apiKeyAuth, async (req, res) => {
+// Kept for existing clients; GET /reports/:jobId/pdf renders stored reports without the upload.
+app.post(['/export-pdf', '/api/export-pdf'], apiKeyAuth, requireScope('export'), async (req, res) => {
   try {
     const { analysisData, brandName, category } = req.body;
-    const html = generateProfessionalPdfHtml(analysisData, brandName, category);
+    const template = await loadRenderTemplate(await resolveTemplate(req.body.template, req.apiKey));
+    // Defaults to the locale the report was scanned in
+    const locale = req.body.locale ? normalizeLocale(req.body.locale) : undefined;
+
+    // Screenshots are embedded from the stored report, never from references in the request body
+    let screenshots = {};
+    const jobId = analysisData?.metadata?.jobId || analysisData?.jobId;
+    if (jobId) {
+      const report = await getReportRepository().getReport(jobId);
+      if (report && canAccessTenant(req.apiKey, report.tenantId)) {
+        screenshots = await loadScreenshotDataUris(report);
+      }
+    }
+
+    const html = generateProfessionalPdfHtml(analysisData, brandName, category, { screenshots, template, locale });
     const pdfBuffer = await generatePdfFromHtml(html);
     
     const filename = `${brandName.replace(/[^a-zA-Z0-9]/g, '-')}-report.pdf`;
@@ -236,12 +1214,28 @@ app.post(['/export-pdf', '/api/export-pdf'], apiKeyAuth, async (req, res) => {
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.send(pdfBuffer);
   } catch (error) {
+    if (error instanceof TemplateValidationError || error instanceof LocaleValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('PDF Export Endpoint Error:', error);
     return res.status(500).json({ message: error.message });
   }
 });
 
 // --- START THE SERVER ---
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Backend service is live on port ${port}`);
-});
\ No newline at end of file
+});
+
+// PDF exports share a browser pool; close it so no Chromium outlives the server
+const shutdown = (signal) => {
+  console.log(`🛑 ${signal} received, shutting down...`);
+  server.close(async () => {
+    await closeBrowserPool();
+    process.exit(0);
+  });
+  // Open SSE streams would otherwise keep the server from closing
+  setTimeout(() => server.closeAllConnections(), 10000).unref();
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -0,0 +1,50 @@
+import { connection } from './queue.js';
+
+/**
+ * Deep Scan Cancellation
+ * The API and the worker run in separate processes, so cancelling an active job goes through
+ * Redis: a marker key records the request (so a worker that picks the job up late still sees it)
+ * and a pub/sub message reaches the worker that is running it right now.
+ */
+
+const CANCEL_CHANNEL = 'deepscan:cancel';
+const MARKER_TTL_SECONDS = 86400;
+
+const markerKey = (jobId) => `deepscan:cancelled:${jobId}`;
+
+/**
+ * Records a cancellation for a job and notifies running workers.
+ */
+export async function requestCancellation(job) {
+  const marker = { tenantId: job.data.tenantId || null, cancelledAt: new Date().toISOString() };
+  await connection.set(markerKey(job.id), JSON.stringify(marker), 'EX', MARKER_TTL_SECONDS);
+  await connection.publish(CANCEL_CHANNEL, job.id);
+  return marker;
+}
+
+/**
+ * Returns { tenantId, cancelledAt } if a cancellation was requested for the job, else null.
+ */
+export async function getCancellation(jobId) {
+  const marker = await connection.get(markerKey(jobId));
+  return marker ? JSON.parse(marker) : null;
+}
+
+/**
+ * Clears a job's cancellation marker, e.g. when the same scan is submitted again.
+ */
+export async function clearCancellation(jobId) {
+  await connection.del(markerKey(jobId));
+}
+
+/**
+ * Calls onCancel(jobId) for every cancellation request. Subscribing needs a dedicated connection.
+ */
+export async function subscribeToCancellations(onCancel) {
+  const subscriber = connection.duplicate();
+  subscriber.on('message', (channel, jobId) => {
+    if (channel === CANCEL_CHANNEL) onCancel(jobId);
+  });
+  await subscriber.subscribe(CANCEL_CHANNEL);
+  return subscriber;
+}
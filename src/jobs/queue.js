@@ -1,4 +1,4 @@
-import { Queue } from 'bullmq';
+import { Queue, QueueEvents } from 'bullmq';
 import IORedis from 'ioredis';
 
 const connection = new IORedis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
@@ -45,4 +45,56 @@ export const analysisQueue = new Queue('analysisQueue', {
   defaultJobOptions,
 });
 
+// Webhook callbacks are delivered from their own queue so a slow or failing receiver
+// never holds up analysis jobs. Backoff: 30s, 1m, 2m, 4m, 8m.
+export const webhookQueue = new Queue('webhookQueue', {
+  connection,
+  defaultJobOptions: {
+    attempts: 6,
+    backoff: { type: 'exponential', delay: 30000 },
+    removeOnComplete: { age: 86400 },
+    removeOnFail: { age: 7 * 86400 },
+  },
+});
+
+// Background PDF renders of stored reports (see services/reportPdf.js). Renders are cached, so
+// finished jobs only need to live long enough for clients polling their status.
+export const pdfQueue = new Queue('pdfQueue', {
+  connection,
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: { type: 'fixed', delay: 10000 },
+    removeOnComplete: { age: 3600 },
+    removeOnFail: { age: 86400 },
+  },
+});
+
+// Repeated scan requests share a fingerprint but a refresh runs under a new job ID, so the
+// fingerprint points at the job of its most recent run.
+const LATEST_JOB_TTL_SECONDS = 30 * 86400;
+
+export async function getLatestScanJobId(fingerprint) {
+  return connection.get(`deepscan:latest:${fingerprint}`);
+}
+
+export async function setLatestScanJobId(fingerprint, jobId) {
+  await connection.set(`deepscan:latest:${fingerprint}`, jobId, 'EX', LATEST_JOB_TTL_SECONDS);
+}
+
+// QueueEvents holds a blocking Redis read, so it gets its own connection and is only
+// created by processes that actually stream job events (the API, not the worker).
+let analysisQueueEvents;
+
+export function getAnalysisQueueEvents() {
+  if (!analysisQueueEvents) {
+    analysisQueueEvents = new QueueEvents('analysisQueue', { connection: connection.duplicate() });
+    // Every open status stream adds its own listeners
+    analysisQueueEvents.setMaxListeners(0);
+    analysisQueueEvents.on('error', (err) => {
+      console.error('❌ Queue events error:', err);
+    });
+  }
+  return analysisQueueEvents;
+}
+
 export { connection };
\ No newline at end of file
@@ -1,12 +1,36 @@
 import 'dotenv/config';
 import { Worker } from 'bullmq';
-import { performMultipleDeepScan } from '../services/deepScanService.js';
-import db from '../services/firestoreService.js';
-import admin from 'firebase-admin';
-import { connection } from './queue.js';
+import { performMultipleDeepScan, retryFailedCompetitors, ScanCancelledError } from '../services/deepScanService.js';
+import { getReportRepository } from '../services/reportRepository.js';
+import { connection, webhookQueue } from './queue.js';
+import { getCachedReportPdf, renderReportPdf, reportPdfVersion } from '../services/reportPdf.js';
+import { getTemplate } from '../services/reportTemplates.js';
+import { getCancellation, subscribeToCancellations } from './cancellation.js';
+import { closeBrowserPool } from '../services/browserPool.js';
+import { buildWebhookPayload, deliverWebhook } from '../services/webhookService.js';
+import { chargeWatchRun, recordWatchRun } from '../services/watchService.js';
+import { assertFirestoreConfigured } from '../services/firestoreService.js';
+
+// Watches, quotas, webhook deliveries and templates are in Firestore even with REPORT_STORE=local
+try {
+  assertFirestoreConfigured();
+} catch (error) {
+  console.error(`❌ [WORKER] ${error.message}`);
+  process.exit(1);
+}
+
+// AbortControllers of the scans running in this process, by job ID
+const activeScans = new Map();
+
+const cancellationSubscriber = await subscribeToCancellations((jobId) => {
+  const controller = activeScans.get(jobId);
+  if (!controller) return;
+  console.log(`🛑 [WORKER] Cancelling job ${jobId}`);
+  controller.abort();
+});
 
 const worker = new Worker('analysisQueue', async job => {
-  const { brandName, category, competitorUrls } = job.data;
+  const { brandName, category, competitorUrls, crawl, performance: performanceOptions, locale, refresh, retryOf, retryUrls, watchId } = job.data;
   console.log(`🚀 [WORKER] Starting job ${job.id} for brand: ${brandName}`);
   console.log(`🔍 [WORKER] Job details - ID: ${job.id}, Name: ${job.name}, Data:`, JSON.stringify(job.data, null, 2));
   
@@ -14,10 +38,47 @@ const worker = new Worker('analysisQueue', async job => {
   const jobStartTime = new Date().toISOString();
   console.log(`⏰ [WORKER] Job ${job.id} started at: ${jobStartTime}`);
   
-  const analysis = await performMultipleDeepScan(competitorUrls, brandName, category);
-  
-  console.log(`✅ [WORKER] Job ${job.id} for brand: ${brandName} completed successfully`);
-  return analysis;
+  // Scheduled runs are metered like API scans; without quota the run is skipped, not failed
+  if (watchId) {
+    try {
+      await chargeWatchRun(watchId);
+    } catch (error) {
+      console.warn(`⏭️ [WORKER] Skipping run ${job.id} of watch ${watchId}: ${error.message}`);
+      return { success: false, skipped: true, error: error.message };
+    }
+  }
+
+  const controller = new AbortController();
+  activeScans.set(job.id, controller);
+  try {
+    // The cancel request may have arrived between the job being picked up and registered here
+    if (await getCancellation(job.id)) controller.abort();
+
+    // Forward per-stage progress snapshots so /analysis-status and its SSE stream can report them
+    const onProgress = progress => job.updateProgress(progress);
+    const scanOptions = { crawl, performance: performanceOptions, locale, refresh, jobId: job.id, signal: controller.signal };
+    let analysis;
+    if (retryOf) {
+      // Retry jobs re-analyse the failed competitors of an existing report and merge into it
+      const report = await getReportRepository().getReport(retryOf);
+      if (!report) throw new Error(`Report ${retryOf} no longer exists`);
+      analysis = await retryFailedCompetitors(report, onProgress, { ...scanOptions, urls: retryUrls });
+    } else {
+      analysis = await performMultipleDeepScan(competitorUrls, brandName, category, onProgress, scanOptions);
+    }
+    
+    console.log(`✅ [WORKER] Job ${job.id} for brand: ${brandName} completed successfully`);
+    return analysis;
+  } catch (error) {
+    // A cancelled scan completes with a `cancelled` marker so it isn't reported (or retried) as a failure
+    if (error instanceof ScanCancelledError) {
+      console.log(`🛑 [WORKER] Job ${job.id} for brand: ${brandName} was cancelled`);
+      return { success: false, cancelled: true, error: error.message };
+    }
+    throw error;
+  } finally {
+    activeScans.delete(job.id);
+  }
 }, { 
   connection,
   concurrency: 1,
@@ -27,11 +88,71 @@ const worker = new Worker('analysisQueue', async job => {
   },
 });
 
+// Queues a signed callback for jobs submitted with a callbackUrl
+const enqueueWebhook = async (job, state, details) => {
+  const { callbackUrl } = job.data;
+  if (!callbackUrl) return;
+  try {
+    const payload = buildWebhookPayload(job, state, details);
+    await webhookQueue.add('deliverWebhook', { jobId: job.id, callbackUrl, tenantId: job.data.tenantId, payload });
+    console.log(`📮 [WORKER] Queued ${payload.event} webhook for job ${job.id}`);
+  } catch (error) {
+    console.error(`❌ [WORKER] Failed to queue webhook for job ${job.id}:`, error);
+  }
+};
+
+// Links a scheduled run to the watch that triggered it
+const linkWatchRun = async (job, result) => {
+  const { watchId } = job.data;
+  if (!watchId) return;
+  try {
+    await recordWatchRun(watchId, job.id, result);
+    console.log(`🗓️ [WORKER] Recorded run ${job.id} for watch ${watchId}`);
+  } catch (error) {
+    console.error(`❌ [WORKER] Failed to record run ${job.id} for watch ${watchId}:`, error);
+  }
+};
+
+// Merges a retry into the report it retried. A failed retry leaves the report untouched.
+// The report keeps its createdAt, so its place in listings and its maxAge freshness don't move.
+const saveRetryResult = async (job, result) => {
+  const { retryOf } = job.data;
+  if (!result?.success) {
+    console.warn(`⚠️ [WORKER] Retry ${job.id} of report ${retryOf} failed: ${result?.error}`);
+    return;
+  }
+  try {
+    const repository = getReportRepository();
+    const report = await repository.getReport(retryOf);
+    if (!report) throw new Error('report no longer exists');
+    const { jobId, ...original } = report;
+    await repository.replaceReport(retryOf, { ...original, ...result.data, success: true });
+    console.log(`✅ [WORKER] Retry ${job.id} merged into report ${retryOf}`);
+  } catch (error) {
+    console.error(`❌ [WORKER] Failed to merge retry ${job.id} into report ${retryOf}:`, error);
+  }
+};
+
 worker.on('completed', async (job, result) => {
+  // Cancelled scans leave no report behind, partial or otherwise
+  if (result?.cancelled) {
+    await enqueueWebhook(job, 'cancelled', { result });
+    return;
+  }
+  // Skipped watch runs never scanned: record the reason on the watch, save no report
+  if (result?.skipped) {
+    await linkWatchRun(job, result);
+    await enqueueWebhook(job, 'skipped', { result });
+    return;
+  }
+  if (job.data.retryOf) {
+    await saveRetryResult(job, result);
+    await enqueueWebhook(job, 'completed', { result });
+    return;
+  }
   try {
     const { brandName } = job.data;
-    console.log(`🎯 [WORKER] Saving job ${job.id} (${brandName}) results to Firestore document: deepScans/${job.id}`);
-    const docRef = db.collection('deepScans').doc(job.id);
+    console.log(`🎯 [WORKER] Saving job ${job.id} (${brandName}) results to the report store`);
     
     // Extract the actual analysis data from the result structure
     const analysisData = result.success && result.data ? result.data : result;
@@ -40,19 +161,73 @@ worker.on('completed', async (job, result) => {
       ...job.data, // Preserve original job data (brandName, category, competitorUrls)
       ...analysisData, // Save the actual analysis data, not the wrapper
       success: result.success,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      // Scheduled runs are dated snapshots of their watch
+      ...(job.data.watchId ? { snapshotDate: new Date().toISOString().slice(0, 10) } : {}),
     };
     
     console.log(`📊 [WORKER] Data structure being saved for ${brandName}:`, JSON.stringify(Object.keys(dataToSave), null, 2));
-    await docRef.set(dataToSave);
-    console.log(`✅ [WORKER] Job ${job.id} (${brandName}) completed and results saved to Firestore.`);
+    await getReportRepository().saveReport(job.id, dataToSave); // The store stamps createdAt
+    console.log(`✅ [WORKER] Job ${job.id} (${brandName}) completed and results saved.`);
   } catch (error) {
-    console.error(`❌ [WORKER] Failed to save job ${job.id} results to Firestore:`, error);
+    console.error(`❌ [WORKER] Failed to save job ${job.id} results:`, error);
+  }
+  await linkWatchRun(job, result);
+  // Notify only after the save so the receiver can fetch the full report straight away
+  await enqueueWebhook(job, 'completed', { result });
+});
+
+worker.on('failed', async (job, err) => {
+  console.error(`❌ Job ${job?.id} failed:`, err.message, err.stack);
+  if (!job) return;
+  await linkWatchRun(job, { success: false, error: err.message });
+  await enqueueWebhook(job, 'failed', { error: err.message });
+});
+
+const webhookWorker = new Worker('webhookQueue', async job => {
+  await deliverWebhook(job.data, job.attemptsMade + 1);
+}, {
+  connection,
+  concurrency: 5,
+});
+
+webhookWorker.on('failed', (job, err) => {
+  if (job && job.attemptsMade >= job.opts.attempts) {
+    console.error(`❌ [Webhook] Giving up on job ${job.data.jobId} after ${job.attemptsMade} attempts:`, err.message);
   }
 });
 
-worker.on('failed', (job, err) => {
-  console.error(`❌ Job ${job.id} failed:`, err.message, err.stack);
+// Background PDF renders of stored reports; the result lands in the PDF cache
+const pdfWorker = new Worker('pdfQueue', async job => {
+  const { reportId, templateId } = job.data;
+  const [report, template] = await Promise.all([getReportRepository().getReport(reportId), getTemplate(templateId)]);
+  if (!report) throw new Error(`Report ${reportId} no longer exists`);
+  if (!template) throw new Error(`Template ${templateId} no longer exists`);
+  if (!await getCachedReportPdf(report, template)) await renderReportPdf(report, template);
+  return { reportId, templateId, version: reportPdfVersion(report, template) };
+}, {
+  connection,
+  concurrency: 1,
 });
 
-console.log('Worker is ready for jobs on analysisQueue.');
\ No newline at end of file
+pdfWorker.on('failed', (job, err) => {
+  console.error(`❌ [PDF] Render ${job?.id} failed:`, err.message);
+});
+
+// Let running jobs finish, then close the shared browsers so no Chromium outlives the worker
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 [WORKER] ${signal} received, shutting down...`);
+  try {
+    await Promise.all([worker.close(), webhookWorker.close(), pdfWorker.close(), cancellationSubscriber.quit()]);
+    await closeBrowserPool();
+  } catch (error) {
+    console.error('❌ [WORKER] Error during shutdown:', error);
+  }
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+console.log('Worker is ready for jobs on analysisQueue, webhookQueue and pdfQueue.');
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * German messages. Keys missing here fall back to English (see services/i18n.js).
+ */
+export default {
+  'language.englishName': 'German',
+
+  'common.notAvailable': 'k. A.',
+  'common.unknown': 'Unbekannt',
+
+  'report.title': 'Markenanalyse-Bericht',
+  'report.documentTitle': 'Markenanalyse-Bericht - {brand}',
+  'report.unknownBrand': 'Unbekannte Marke',
+  'report.defaultCategory': 'Allgemein',
+  'report.industry': 'Branche: {category}',
+  'report.generatedOn': 'Erstellt am {date}',
+
+  'summary.title': 'Zusammenfassung',
+  'summary.body': 'Diese umfassende Markenanalyse bewertet die Marktfähigkeit von „<strong>{brand}</strong>“ in der Branche {category}. Sie untersucht die Verfügbarkeit von Domains, das Wettbewerbsumfeld und die Marktpositionierung und liefert datenbasierte Erkenntnisse für strategische Entscheidungen.',
+  'summary.defaultBrand': 'Ihre Marke',
+  'summary.defaultCategory': 'Ihrer',
+
+  'score.title': 'Gesamtbewertung der Markentauglichkeit',
+  'score.excellent': 'Ausgezeichnet',
+  'score.good': 'Gut',
+  'score.needsAttention': 'Handlungsbedarf',
+  'score.description': '{label} - {score}/100',
+  'score.outOf': '{score}/100',
+
+  'metrics.title': 'Kennzahlen',
+  'metrics.domainStrength': 'Domainstärke',
+  'metrics.competition': 'Wettbewerb (höher = leichter)',
+  'metrics.seoDifficulty': 'SEO-Schwierigkeit (höher = leichter)',
+
+  'breakdown.title': 'Aufschlüsselung der Analyse',
+  'breakdown.metric': 'Kennzahl',
+  'breakdown.score': 'Wert',
+  'breakdown.status': 'Status',
+  'breakdown.domainAvailability': 'Domainverfügbarkeit',
+  'breakdown.competitionLevel': 'Wettbewerbsintensität',
+  'breakdown.seoDifficulty': 'SEO-Schwierigkeit',
+  'breakdown.overallViability': 'Gesamttauglichkeit',
+
+  'domains.title': 'Analyse der Domainverfügbarkeit',
+  'domains.none': 'Keine Domaindaten verfügbar',
+  'domains.unknown': 'Unbekannte Domain',
+  'domains.available': 'Verfügbar',
+  'domains.taken': 'Vergeben',
+
+  'competitors.title': 'Wettbewerbsumfeld',
+
+  'deepScan.badge': 'PREMIUM-ANALYSE',
+  'deepScan.title': 'Deep-Scan-Intelligence-Bericht',
+  'deepScan.subtitle': 'KI-gestützte Wettbewerbsanalyse auf Basis live erhobener Daten',
+  'deepScan.competitorsAnalyzed': 'Analysierte Wettbewerber',
+  'deepScan.unknownUrl': 'Unbekannte URL',
+  'deepScan.noTitle': 'Kein Titel vorhanden',
+
+  'coverage.title': 'Abdeckung der Analyse',
+  'coverage.intro': '{failed} von {total} Wettbewerbern konnten nicht vollständig analysiert werden:',
+  'coverage.partial': 'Teilweise analysiert',
+  'coverage.blocked': 'Blockiert',
+  'coverage.timedOut': 'Zeitüberschreitung',
+  'coverage.failed': 'Fehlgeschlagen',
+
+  'charts.title': 'Wettbewerbsvergleich',
+  'charts.wordCount': 'Wortanzahl (Startseite)',
+  'charts.internalLinks': 'Interne Links',
+  'charts.externalLinks': 'Externe Links',
+  'charts.loadTime': 'Ladezeit (ms)',
+  'charts.largestContentfulPaint': 'Largest Contentful Paint (ms)',
+  'charts.technologies': 'Erkannte Technologien',
+  'charts.headings': 'Überschriften (H2 / H3)',
+  'charts.techOverlap': 'Gemeinsame Technologien',
+  'charts.findings': 'Stärken und Schwächen je Agent',
+  'charts.strengths': 'Stärken',
+  'charts.weaknesses': 'Schwächen',
+  'charts.agent.technical': 'Technik',
+  'charts.agent.content': 'Content und SEO',
+  'charts.agent.visual_ux': 'Visuell und UX',
+  'charts.agent.accessibility': 'Barrierefreiheit',
+
+  'competitor.detailedTitle': 'Detaillierte Wettbewerbsanalyse',
+  'competitor.unknown': 'Unbekannter Wettbewerber',
+  'competitor.words': 'Wörter: {count}',
+  'competitor.accessibilityIssues': 'Barrierefreiheitsprobleme: {total} ({critical} kritisch)',
+  'competitor.aiAnalyzed': 'KI-analysiert',
+
+  'screenshots.desktop': 'Desktop',
+  'screenshots.mobile': 'Mobil',
+  'screenshots.desktopAlt': 'Desktop-Ansicht',
+  'screenshots.mobileAlt': 'Mobile Ansicht',
+
+  'agents.title': 'KI-Fachanalyse',
+  'agents.technical': 'Technische Analyse',
+  'agents.content': 'Content- und SEO-Analyse',
+  'agents.visual': 'Visuelle und UX-Analyse',
+  'agents.visualMobile': 'Visuelle und UX-Analyse (mobil)',
+  'agents.visualDesktop': 'Visuelle und UX-Analyse (Desktop)',
+  'agents.accessibility': 'Barrierefreiheitsanalyse',
+  'agents.strengths': '✓ Stärken:',
+  'agents.weaknesses': '⚠ Schwächen:',
+  'agents.desktopFinding': 'Desktop: {finding}',
+  'agents.mobileFinding': 'Mobil: {finding}',
+
+  'strategy.title': 'KI-Strategieanalyse',
+  'strategy.marketOverview': 'Marktüberblick',
+  'strategy.trends': 'Trends',
+  'strategy.commonStrengths': 'Gemeinsame Stärken',
+  'strategy.commonWeaknesses': 'Gemeinsame Schwächen',
+  'strategy.tierList': 'Einstufung der Wettbewerber',
+  'strategy.decisiveAdvantage': 'Der entscheidende Vorteil',
+  'strategy.quickWins': 'Sofort umsetzbare Quick Wins',
+  'tier.top_threat': 'Größte Bedrohung',
+  'tier.primary_target': 'Hauptziel',
+  'tier.contender': 'Mitbewerber',
+  'impact.high': 'hohe Wirkung',
+  'impact.medium': 'mittlere Wirkung',
+  'impact.low': 'geringe Wirkung',
+
+  'recommendations.title': 'Strategische Empfehlungen',
+  'recommendations.fallback': 'Auf Grundlage unserer Analyse von „{brand}“ in der Branche {category} empfehlen wir, das Wettbewerbsumfeld und die Domainverfügbarkeit sorgfältig zu berücksichtigen. Konzentrieren Sie sich auf eine starke Markenidentität, die sich von den bestehenden Marktteilnehmern abhebt.',
+  'recommendations.defaultBrand': 'dieser Marke',
+  'recommendations.defaultCategory': 'jeweiligen',
+
+  'disclaimer.title': 'Haftungsausschluss',
+  'footer.generatedBy': 'Dieser Bericht wurde von der KI-gestützten Markenanalyse von {company} erstellt.',
+  'footer.copyright': '© {year} {company}. Alle Rechte vorbehalten.',
+};
@@ -0,0 +1,129 @@
+/**
+ * English messages: the reference catalog. Every key used in code must exist here; other
+ * catalogs fall back to it key by key (see services/i18n.js).
+ */
+export default {
+  'language.englishName': 'English',
+
+  'common.notAvailable': 'N/A',
+  'common.unknown': 'Unknown',
+
+  'report.title': 'Brand Analysis Report',
+  'report.documentTitle': 'Brand Analysis Report - {brand}',
+  'report.unknownBrand': 'Unknown Brand',
+  'report.defaultCategory': 'General',
+  'report.industry': '{category} Industry',
+  'report.generatedOn': 'Generated on {date}',
+
+  'summary.title': 'Executive Summary',
+  'summary.body': 'This comprehensive brand analysis evaluates "<strong>{brand}</strong>" for market viability in the {category} industry. Our analysis examines domain availability, competitive landscape, and market positioning to provide data-driven insights for strategic decision making.',
+  'summary.defaultBrand': 'your brand',
+  'summary.defaultCategory': 'business',
+
+  'score.title': 'Overall Brand Viability Score',
+  'score.excellent': 'Excellent',
+  'score.good': 'Good',
+  'score.needsAttention': 'Needs Attention',
+  'score.description': '{label} - {score}/100',
+  'score.outOf': '{score}/100',
+
+  'metrics.title': 'Key Performance Indicators',
+  'metrics.domainStrength': 'Domain Strength',
+  'metrics.competition': 'Competition (Higher = Easier)',
+  'metrics.seoDifficulty': 'SEO Difficulty (Higher = Easier)',
+
+  'breakdown.title': 'Analysis Breakdown',
+  'breakdown.metric': 'Metric',
+  'breakdown.score': 'Score',
+  'breakdown.status': 'Status',
+  'breakdown.domainAvailability': 'Domain Availability',
+  'breakdown.competitionLevel': 'Competition Level',
+  'breakdown.seoDifficulty': 'SEO Difficulty',
+  'breakdown.overallViability': 'Overall Viability',
+
+  'domains.title': 'Domain Availability Analysis',
+  'domains.none': 'No domain data available',
+  'domains.unknown': 'Unknown domain',
+  'domains.available': 'Available',
+  'domains.taken': 'Taken',
+
+  'competitors.title': 'Competitive Landscape',
+
+  'deepScan.badge': 'PREMIUM ANALYSIS',
+  'deepScan.title': 'Deep Scan Intelligence Report',
+  'deepScan.subtitle': 'Advanced AI-powered competitive analysis with live-scraped data',
+  'deepScan.competitorsAnalyzed': 'Competitors Analyzed',
+  'deepScan.unknownUrl': 'Unknown URL',
+  'deepScan.noTitle': 'No title available',
+
+  'coverage.title': 'Analysis Coverage',
+  'coverage.intro': '{failed} of {total} competitors could not be fully analyzed:',
+  'coverage.partial': 'Partially analyzed',
+  'coverage.blocked': 'Blocked',
+  'coverage.timedOut': 'Timed out',
+  'coverage.failed': 'Failed',
+
+  'charts.title': 'Competitor Comparison',
+  'charts.wordCount': 'Word count (homepage)',
+  'charts.internalLinks': 'Internal links',
+  'charts.externalLinks': 'External links',
+  'charts.loadTime': 'Load time (ms)',
+  'charts.largestContentfulPaint': 'Largest Contentful Paint (ms)',
+  'charts.technologies': 'Technologies detected',
+  'charts.headings': 'Headings (H2 / H3)',
+  'charts.techOverlap': 'Technology overlap',
+  'charts.findings': 'Strengths vs. weaknesses by agent',
+  'charts.strengths': 'Strengths',
+  'charts.weaknesses': 'Weaknesses',
+  'charts.agent.technical': 'Technical',
+  'charts.agent.content': 'Content & SEO',
+  'charts.agent.visual_ux': 'Visual & UX',
+  'charts.agent.accessibility': 'Accessibility',
+
+  'competitor.detailedTitle': 'Detailed Competitor Analysis',
+  'competitor.unknown': 'Unknown Competitor',
+  'competitor.words': 'Words: {count}',
+  'competitor.accessibilityIssues': 'A11y issues: {total} ({critical} critical)',
+  'competitor.aiAnalyzed': 'AI Analyzed',
+
+  'screenshots.desktop': 'Desktop',
+  'screenshots.mobile': 'Mobile',
+  'screenshots.desktopAlt': 'Desktop render',
+  'screenshots.mobileAlt': 'Mobile render',
+
+  'agents.title': 'AI Specialist Analysis',
+  'agents.technical': 'Technical Analysis',
+  'agents.content': 'Content & SEO Analysis',
+  'agents.visual': 'Visual & UX Analysis',
+  'agents.visualMobile': 'Visual & UX Analysis (Mobile)',
+  'agents.visualDesktop': 'Visual & UX Analysis (Desktop)',
+  'agents.accessibility': 'Accessibility Analysis',
+  'agents.strengths': '✓ Strengths:',
+  'agents.weaknesses': '⚠ Weaknesses:',
+  'agents.desktopFinding': 'Desktop: {finding}',
+  'agents.mobileFinding': 'Mobile: {finding}',
+
+  'strategy.title': 'AI Strategic Analysis',
+  'strategy.marketOverview': 'Market Overview',
+  'strategy.trends': 'Trends',
+  'strategy.commonStrengths': 'Common Strengths',
+  'strategy.commonWeaknesses': 'Common Weaknesses',
+  'strategy.tierList': 'Competitor Tier List',
+  'strategy.decisiveAdvantage': 'The Decisive Advantage',
+  'strategy.quickWins': 'Immediate Quick Wins',
+  'tier.top_threat': 'Top Threat',
+  'tier.primary_target': 'Primary Target',
+  'tier.contender': 'Contender',
+  'impact.high': 'high impact',
+  'impact.medium': 'medium impact',
+  'impact.low': 'low impact',
+
+  'recommendations.title': 'Strategic Recommendations',
+  'recommendations.fallback': 'Based on our analysis of "{brand}" in the {category} industry, we recommend careful consideration of the competitive landscape and domain availability. Focus on building a strong brand identity that differentiates from existing market players.',
+  'recommendations.defaultBrand': 'this brand',
+  'recommendations.defaultCategory': 'this',
+
+  'disclaimer.title': 'Disclaimer',
+  'footer.generatedBy': "This report was generated by {company}'s AI-powered brand analysis engine.",
+  'footer.copyright': '© {year} {company}. All rights reserved.',
+};
@@ -0,0 +1,128 @@
+/**
+ * Spanish messages. Keys missing here fall back to English (see services/i18n.js).
+ */
+export default {
+  'language.englishName': 'Spanish',
+
+  'common.notAvailable': 'N/D',
+  'common.unknown': 'Desconocido',
+
+  'report.title': 'Informe de análisis de marca',
+  'report.documentTitle': 'Informe de análisis de marca - {brand}',
+  'report.unknownBrand': 'Marca desconocida',
+  'report.defaultCategory': 'General',
+  'report.industry': 'Sector: {category}',
+  'report.generatedOn': 'Generado el {date}',
+
+  'summary.title': 'Resumen ejecutivo',
+  'summary.body': 'Este análisis de marca evalúa la viabilidad de "<strong>{brand}</strong>" en el mercado del sector {category}. Examina la disponibilidad de dominios, el panorama competitivo y el posicionamiento en el mercado para ofrecer conclusiones basadas en datos que apoyen la toma de decisiones estratégicas.',
+  'summary.defaultBrand': 'su marca',
+  'summary.defaultCategory': 'empresarial',
+
+  'score.title': 'Puntuación global de viabilidad de la marca',
+  'score.excellent': 'Excelente',
+  'score.good': 'Buena',
+  'score.needsAttention': 'Requiere atención',
+  'score.description': '{label} - {score}/100',
+  'score.outOf': '{score}/100',
+
+  'metrics.title': 'Indicadores clave de rendimiento',
+  'metrics.domainStrength': 'Fortaleza del dominio',
+  'metrics.competition': 'Competencia (más alto = más fácil)',
+  'metrics.seoDifficulty': 'Dificultad SEO (más alto = más fácil)',
+
+  'breakdown.title': 'Desglose del análisis',
+  'breakdown.metric': 'Métrica',
+  'breakdown.score': 'Puntuación',
+  'breakdown.status': 'Estado',
+  'breakdown.domainAvailability': 'Disponibilidad de dominios',
+  'breakdown.competitionLevel': 'Nivel de competencia',
+  'breakdown.seoDifficulty': 'Dificultad SEO',
+  'breakdown.overallViability': 'Viabilidad global',
+
+  'domains.title': 'Análisis de disponibilidad de dominios',
+  'domains.none': 'No hay datos de dominios disponibles',
+  'domains.unknown': 'Dominio desconocido',
+  'domains.available': 'Disponible',
+  'domains.taken': 'Ocupado',
+
+  'competitors.title': 'Panorama competitivo',
+
+  'deepScan.badge': 'ANÁLISIS PREMIUM',
+  'deepScan.title': 'Informe de inteligencia Deep Scan',
+  'deepScan.subtitle': 'Análisis competitivo avanzado con IA a partir de datos extraídos en vivo',
+  'deepScan.competitorsAnalyzed': 'Competidores analizados',
+  'deepScan.unknownUrl': 'URL desconocida',
+  'deepScan.noTitle': 'Sin título',
+
+  'coverage.title': 'Cobertura del análisis',
+  'coverage.intro': '{failed} de {total} competidores no se pudieron analizar por completo:',
+  'coverage.partial': 'Analizado parcialmente',
+  'coverage.blocked': 'Bloqueado',
+  'coverage.timedOut': 'Tiempo de espera agotado',
+  'coverage.failed': 'Error',
+
+  'charts.title': 'Comparativa de competidores',
+  'charts.wordCount': 'Número de palabras (página de inicio)',
+  'charts.internalLinks': 'Enlaces internos',
+  'charts.externalLinks': 'Enlaces externos',
+  'charts.loadTime': 'Tiempo de carga (ms)',
+  'charts.largestContentfulPaint': 'Largest Contentful Paint (ms)',
+  'charts.technologies': 'Tecnologías detectadas',
+  'charts.headings': 'Encabezados (H2 / H3)',
+  'charts.techOverlap': 'Tecnologías en común',
+  'charts.findings': 'Fortalezas frente a debilidades por agente',
+  'charts.strengths': 'Fortalezas',
+  'charts.weaknesses': 'Debilidades',
+  'charts.agent.technical': 'Técnico',
+  'charts.agent.content': 'Contenido y SEO',
+  'charts.agent.visual_ux': 'Visual y UX',
+  'charts.agent.accessibility': 'Accesibilidad',
+
+  'competitor.detailedTitle': 'Análisis detallado de competidores',
+  'competitor.unknown': 'Competidor desconocido',
+  'competitor.words': 'Palabras: {count}',
+  'competitor.accessibilityIssues': 'Problemas de accesibilidad: {total} ({critical} críticos)',
+  'competitor.aiAnalyzed': 'Analizado con IA',
+
+  'screenshots.desktop': 'Escritorio',
+  'screenshots.mobile': 'Móvil',
+  'screenshots.desktopAlt': 'Captura de escritorio',
+  'screenshots.mobileAlt': 'Captura móvil',
+
+  'agents.title': 'Análisis de especialistas IA',
+  'agents.technical': 'Análisis técnico',
+  'agents.content': 'Análisis de contenido y SEO',
+  'agents.visual': 'Análisis visual y de UX',
+  'agents.visualMobile': 'Análisis visual y de UX (móvil)',
+  'agents.visualDesktop': 'Análisis visual y de UX (escritorio)',
+  'agents.accessibility': 'Análisis de accesibilidad',
+  'agents.strengths': '✓ Fortalezas:',
+  'agents.weaknesses': '⚠ Debilidades:',
+  'agents.desktopFinding': 'Escritorio: {finding}',
+  'agents.mobileFinding': 'Móvil: {finding}',
+
+  'strategy.title': 'Análisis estratégico con IA',
+  'strategy.marketOverview': 'Panorama del mercado',
+  'strategy.trends': 'Tendencias',
+  'strategy.commonStrengths': 'Fortalezas comunes',
+  'strategy.commonWeaknesses': 'Debilidades comunes',
+  'strategy.tierList': 'Clasificación de competidores',
+  'strategy.decisiveAdvantage': 'La ventaja decisiva',
+  'strategy.quickWins': 'Victorias rápidas inmediatas',
+  'tier.top_threat': 'Amenaza principal',
+  'tier.primary_target': 'Objetivo principal',
+  'tier.contender': 'Competidor',
+  'impact.high': 'impacto alto',
+  'impact.medium': 'impacto medio',
+  'impact.low': 'impacto bajo',
+
+  'recommendations.title': 'Recomendaciones estratégicas',
+  'recommendations.fallback': 'A partir de nuestro análisis de "{brand}" en el sector {category}, recomendamos estudiar con atención el panorama competitivo y la disponibilidad de dominios. Céntrese en construir una identidad de marca sólida que se diferencie de los actores ya presentes en el mercado.',
+  'recommendations.defaultBrand': 'esta marca',
+  'recommendations.defaultCategory': 'correspondiente',
+
+  'disclaimer.title': 'Aviso legal',
+  'footer.generatedBy': 'Este informe ha sido generado por el motor de análisis de marca con IA de {company}.',
+  'footer.copyright': '© {year} {company}. Todos los derechos reservados.',
+};
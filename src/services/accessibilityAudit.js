@@ -0,0 +1,196 @@
+/**
+ * Accessibility Audit
+ * In-page checks for the most common WCAG 2.1 failures: colour contrast, form labels,
+ * landmarks and heading order, ARIA misuse, keyboard focusability and document language.
+ * Returns structured violations:
+ *   { rule, severity: 'critical'|'serious'|'moderate'|'minor', wcag, message, count, selectors }
+ * plus per-severity totals. This is a heuristic pass, not a replacement for a full axe run.
+ */
+
+export const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+// Max selectors kept per violation; counts still cover every offending element
+const MAX_SELECTORS = 5;
+
+/**
+ * Runs inside the page.
+ */
+function accessibilityAuditInPage(maxSelectors) {
+  const describe = (el) => {
+    if (el.id) return `#${CSS.escape(el.id)}`;
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      const classes = [...node.classList].slice(0, 2).map(c => `.${CSS.escape(c)}`).join('');
+      if (classes) part += classes;
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(s => s.tagName === node.tagName) : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+      if (node.id) break;
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+  const isVisible = (el) => {
+    const style = getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+  };
+  const textOf = (id) => document.getElementById(id)?.textContent.trim() || '';
+  const accessibleName = (el) => (
+    el.getAttribute('aria-label')?.trim()
+    || (el.getAttribute('aria-labelledby') || '').split(/\s+/).map(textOf).join(' ').trim()
+    || el.textContent.trim()
+    || el.getAttribute('title')?.trim()
+    || [...el.querySelectorAll('img[alt]')].map(img => img.alt.trim()).join(' ').trim()
+    || (el.tagName === 'INPUT' ? el.value?.trim() : '')
+  );
+
+  const violations = [];
+  const report = (rule, severity, wcag, message, elements = []) => {
+    violations.push({ rule, severity, wcag, message, count: Math.max(elements.length, 1), selectors: elements.slice(0, maxSelectors).map(describe) });
+  };
+
+  // --- Document language ---
+  const lang = document.documentElement.getAttribute('lang');
+  if (!lang || !lang.trim()) {
+    report('document-lang', 'serious', '3.1.1', 'The <html> element has no lang attribute.');
+  } else if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang.trim())) {
+    report('document-lang', 'moderate', '3.1.1', `The <html> lang attribute "${lang}" is not a valid language tag.`);
+  }
+
+  // --- Colour contrast ---
+  const parseColor = (value) => {
+    const match = value.match(/rgba?\(([^)]+)\)/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[,\s/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const luminance = ({ r, g, b }) => {
+    const channel = (v) => { const c = v / 255; return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4; };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+  const backgroundOf = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      // Text over images or gradients can't be judged from computed colours alone
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a >= 0.95) return color;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+  const lowContrast = [];
+  let worstRatio = null;
+  const textElements = [...document.body.querySelectorAll('p, span, a, li, td, th, label, button, h1, h2, h3, h4, h5, h6')]
+    .filter(el => isVisible(el) && [...el.childNodes].some(n => n.nodeType === 3 && n.textContent.trim()))
+    .slice(0, 1500);
+  for (const el of textElements) {
+    const style = getComputedStyle(el);
+    const fg = parseColor(style.color);
+    const bg = backgroundOf(el);
+    if (!fg || !bg || fg.a < 0.5) continue;
+    const [light, dark] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+    const ratio = (light + 0.05) / (dark + 0.05);
+    const size = parseFloat(style.fontSize);
+    const isLarge = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+    if (ratio < (isLarge ? 3 : 4.5)) {
+      lowContrast.push(el);
+      worstRatio = worstRatio === null ? ratio : Math.min(worstRatio, ratio);
+    }
+  }
+  if (lowContrast.length > 0) {
+    report('color-contrast', lowContrast.length > 10 ? 'serious' : 'moderate', '1.4.3',
+      `${lowContrast.length} text elements fall below the WCAG AA contrast ratio (worst ${worstRatio.toFixed(2)}:1).`, lowContrast);
+  }
+
+  // --- Form labels ---
+  const unlabelled = [...document.querySelectorAll('input, select, textarea')]
+    .filter(el => !['hidden', 'submit', 'button', 'reset', 'image'].includes((el.getAttribute('type') || '').toLowerCase()))
+    .filter(el => isVisible(el))
+    .filter(el => !(
+      (el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`)?.textContent.trim())
+      || el.closest('label')?.textContent.trim()
+      || el.getAttribute('aria-label')?.trim()
+      || (el.getAttribute('aria-labelledby') || '').split(/\s+/).map(textOf).join('').trim()
+      || el.getAttribute('title')?.trim()
+    ));
+  if (unlabelled.length > 0) {
+    report('form-label', 'critical', '1.3.1 / 4.1.2', `${unlabelled.length} form fields have no programmatic label.`, unlabelled);
+  }
+
+  // --- Images ---
+  const missingAlt = [...document.querySelectorAll('img')].filter(img => !img.hasAttribute('alt') && img.getAttribute('role') !== 'presentation');
+  if (missingAlt.length > 0) {
+    report('image-alt', 'serious', '1.1.1', `${missingAlt.length} images have no alt attribute.`, missingAlt);
+  }
+
+  // --- Landmarks & headings ---
+  if (!document.querySelector('main, [role="main"]')) {
+    report('landmark-main', 'moderate', '1.3.1', 'The page has no <main> landmark.');
+  }
+  const headings = [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')].filter(isVisible);
+  const h1s = headings.filter(h => h.tagName === 'H1');
+  if (h1s.length === 0) {
+    report('page-has-heading-one', 'moderate', '1.3.1', 'The page has no visible <h1>.');
+  } else if (h1s.length > 1) {
+    report('multiple-h1', 'minor', '1.3.1', `The page has ${h1s.length} <h1> elements.`, h1s);
+  }
+  const skipped = headings.filter((h, i) => i > 0 && Number(h.tagName[1]) - Number(headings[i - 1].tagName[1]) > 1);
+  if (skipped.length > 0) {
+    report('heading-order', 'moderate', '1.3.1', `${skipped.length} headings skip a level (e.g. <h2> followed by <h4>).`, skipped);
+  }
+
+  // --- ARIA misuse ---
+  const validRoles = new Set(['alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem']);
+  const invalidRoles = [...document.querySelectorAll('[role]')]
+    .filter(el => el.getAttribute('role').trim().split(/\s+/).every(role => !validRoles.has(role)));
+  if (invalidRoles.length > 0) {
+    report('aria-valid-role', 'serious', '4.1.2', `${invalidRoles.length} elements use an unknown ARIA role.`, invalidRoles);
+  }
+  const focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+  const hiddenFocusable = [...document.querySelectorAll('[aria-hidden="true"]')]
+    .filter(el => el.matches(focusableSelector) || el.querySelector(focusableSelector));
+  if (hiddenFocusable.length > 0) {
+    report('aria-hidden-focus', 'serious', '4.1.2', `${hiddenFocusable.length} aria-hidden regions contain focusable elements.`, hiddenFocusable);
+  }
+  const brokenReferences = [...document.querySelectorAll('[aria-labelledby], [aria-describedby], [aria-controls]')]
+    .filter(el => ['aria-labelledby', 'aria-describedby', 'aria-controls']
+      .some(attr => el.hasAttribute(attr) && el.getAttribute(attr).split(/\s+/).filter(Boolean).some(id => !document.getElementById(id))));
+  if (brokenReferences.length > 0) {
+    report('aria-valid-reference', 'moderate', '4.1.2', `${brokenReferences.length} ARIA attributes reference IDs that don't exist.`, brokenReferences);
+  }
+
+  // --- Keyboard & names ---
+  const nonFocusableControls = [...document.querySelectorAll('[role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick]')]
+    .filter(el => isVisible(el) && !el.matches(focusableSelector) && !el.matches('a, button, input, select, textarea, summary'));
+  if (nonFocusableControls.length > 0) {
+    report('keyboard-focusable', 'critical', '2.1.1', `${nonFocusableControls.length} interactive elements can't be reached with the keyboard.`, nonFocusableControls);
+  }
+  const positiveTabindex = [...document.querySelectorAll('[tabindex]')].filter(el => Number(el.getAttribute('tabindex')) > 0);
+  if (positiveTabindex.length > 0) {
+    report('tabindex', 'moderate', '2.4.3', `${positiveTabindex.length} elements use a positive tabindex, which breaks the natural focus order.`, positiveTabindex);
+  }
+  const unnamedControls = [...document.querySelectorAll('a[href], button, [role="button"]')].filter(el => isVisible(el) && !accessibleName(el));
+  if (unnamedControls.length > 0) {
+    report('control-name', 'serious', '2.4.4 / 4.1.2', `${unnamedControls.length} links or buttons have no accessible name.`, unnamedControls);
+  }
+
+  return violations;
+}
+
+/**
+ * Audits a loaded page. Never throws; a failure comes back as `{ error }` with no violations.
+ */
+export async function auditAccessibility(page) {
+  try {
+    const violations = await page.evaluate(accessibilityAuditInPage, MAX_SELECTORS);
+    violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    const totals = Object.fromEntries(SEVERITIES.map(severity => [severity, violations.filter(v => v.severity === severity).length]));
+    return { violations, totals: { ...totals, total: violations.length } };
+  } catch (error) {
+    console.warn(`⚠️ [Accessibility Audit] Failed: ${error.message}`);
+    return { error: error.message, violations: [], totals: null };
+  }
+}
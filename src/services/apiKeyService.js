@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import { getDb } from './firestoreService.js';
+
+/**
+ * API Key Service
+ * Tenant-scoped API keys with scopes, quotas and usage metering.
+ *
+ * Keys are stored by their SHA-256 hash in apiKeys/{hash}; the plaintext is only returned once,
+ * at creation. Daily usage lives in apiKeys/{hash}/usage/{YYYY-MM-DD}.
+ * BACKEND_API_KEY keeps working as the admin key: every scope, no tenant restriction.
+ */
+
+// Scopes a tenant key can hold. 'admin' (key management, cross-tenant reads) belongs only to BACKEND_API_KEY.
+export const SCOPES = ['scan', 'read', 'export'];
+
+export const DEFAULT_QUOTAS = {
+  scansPerDay: parseInt(process.env.DEFAULT_SCANS_PER_DAY, 10) || 20,
+  maxCompetitors: parseInt(process.env.DEFAULT_MAX_COMPETITORS, 10) || 5,
+};
+
+const KEY_PREFIX = 'cp_live_';
+const CACHE_TTL_MS = 60 * 1000;
+
+export class QuotaExceededError extends Error {
+  constructor(message, quota) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.quota = quota;
+  }
+}
+
+export class ApiKeyValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyValidationError';
+  }
+}
+
+const apiKeysRef = () => getDb().collection('apiKeys');
+const hashKey = rawKey => crypto.createHash('sha256').update(rawKey).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Short-lived cache so authentication doesn't hit Firestore on every request
+const keyCache = new Map();
+
+const ADMIN_KEY_RECORD = Object.freeze({
+  keyId: 'admin',
+  tenantId: null,
+  name: 'BACKEND_API_KEY',
+  scopes: [...SCOPES, 'admin'],
+  quotas: { scansPerDay: null, maxCompetitors: null },
+  isAdmin: true,
+});
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Resolves a presented key to its record, or null if it is unknown or revoked.
+ */
+export async function authenticateApiKey(rawKey) {
+  if (!rawKey || typeof rawKey !== 'string') return null;
+  if (process.env.BACKEND_API_KEY && safeEqual(rawKey, process.env.BACKEND_API_KEY)) return ADMIN_KEY_RECORD;
+  if (!rawKey.startsWith(KEY_PREFIX)) return null;
+
+  return getApiKeyRecord(hashKey(rawKey));
+}
+
+/**
+ * Loads a key record by its id (the key hash), or null if it is unknown or revoked.
+ * Used where there is no presented key, e.g. to meter scheduled watch runs against the key that set them up.
+ */
+export async function getApiKeyRecord(keyId) {
+  if (keyId === 'admin') return ADMIN_KEY_RECORD;
+  const cached = keyCache.get(keyId);
+  if (cached && cached.expiresAt > Date.now()) return cached.record;
+
+  const doc = await apiKeysRef().doc(keyId).get();
+  const data = doc.exists ? doc.data() : null;
+  const record = data && data.active ? {
+    keyId,
+    tenantId: data.tenantId,
+    name: data.name,
+    scopes: data.scopes,
+    quotas: { ...DEFAULT_QUOTAS, ...data.quotas },
+    templateId: data.templateId || null,
+    isAdmin: false,
+  } : null;
+
+  keyCache.set(keyId, { record, expiresAt: Date.now() + CACHE_TTL_MS });
+  return record;
+}
+
+/**
+ * Creates a key for a tenant. Returns the record plus the plaintext key (shown only once).
+ */
+export async function createApiKey({ tenantId, name, scopes = ['scan', 'read', 'export'], quotas = {} }) {
+  if (!tenantId || typeof tenantId !== 'string') throw new ApiKeyValidationError('tenantId is required.');
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    throw new ApiKeyValidationError(`scopes must be a non-empty subset of ${SCOPES.join(', ')}.`);
+  }
+  const resolvedQuotas = { ...DEFAULT_QUOTAS, ...quotas };
+  if (!Object.values(resolvedQuotas).every(value => Number.isInteger(value) && value > 0)) {
+    throw new ApiKeyValidationError('quotas must be positive integers.');
+  }
+
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const keyId = hashKey(rawKey);
+  const record = {
+    tenantId,
+    name: name || `${tenantId} key`,
+    keyPreview: `${rawKey.slice(0, KEY_PREFIX.length + 4)}…${rawKey.slice(-4)}`,
+    scopes,
+    quotas: resolvedQuotas,
+    templateId: null,
+    active: true,
+    usage: { totalRequests: 0, totalScans: 0 },
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastUsedAt: null,
+  };
+  await apiKeysRef().doc(keyId).set(record);
+  console.log(`🔑 [API Keys] Created key ${record.keyPreview} for tenant ${tenantId}`);
+  return { keyId, apiKey: rawKey, ...record, createdAt: new Date().toISOString() };
+}
+
+export async function listApiKeys(tenantId) {
+  let query = apiKeysRef();
+  if (tenantId) query = query.where('tenantId', '==', tenantId);
+  const snapshot = await query.get();
+  return snapshot.docs.map(doc => ({ keyId: doc.id, ...doc.data() }));
+}
+
+export async function revokeApiKey(keyId) {
+  const docRef = apiKeysRef().doc(keyId);
+  const doc = await docRef.get();
+  if (!doc.exists) return false;
+  await docRef.update({ active: false, revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+  keyCache.delete(keyId);
+  return true;
+}
+
+/**
+ * Sets (or, with null, clears) the report template the key's renders use by default.
+ * Returns the updated key, or null if there is no such key.
+ * @throws {ApiKeyValidationError} when the template belongs to another tenant
+ */
+export async function setApiKeyTemplate(keyId, template) {
+  const docRef = apiKeysRef().doc(keyId);
+  const doc = await docRef.get();
+  if (!doc.exists) return null;
+  if (template?.tenantId && template.tenantId !== doc.data().tenantId) {
+    throw new ApiKeyValidationError(`Template ${template.templateId} belongs to another tenant.`);
+  }
+  await docRef.update({ templateId: template?.templateId || null });
+  keyCache.delete(keyId);
+  return { keyId, ...(await docRef.get()).data() };
+}
+
+/**
+ * Counts one API request against the key. Failures are logged, never surfaced to the caller.
+ */
+export async function recordRequest(keyRecord) {
+  if (keyRecord.keyId === 'admin') return;
+  try {
+    const keyRef = apiKeysRef().doc(keyRecord.keyId);
+    await Promise.all([
+      keyRef.update({
+        'usage.totalRequests': admin.firestore.FieldValue.increment(1),
+        lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }),
+      keyRef.collection('usage').doc(today()).set({
+        requests: admin.firestore.FieldValue.increment(1),
+      }, { merge: true }),
+    ]);
+  } catch (error) {
+    console.warn(`⚠️ [API Keys] Failed to meter request for ${keyRecord.keyId}: ${error.message}`);
+  }
+}
+
+/**
+ * @throws {QuotaExceededError} when a scan would exceed the key's competitor limit
+ */
+export function assertCompetitorLimit(keyRecord, competitorCount) {
+  const { maxCompetitors } = keyRecord.quotas;
+  if (maxCompetitors && competitorCount > maxCompetitors) {
+    throw new QuotaExceededError(`This API key allows at most ${maxCompetitors} competitors per scan.`, 'maxCompetitors');
+  }
+}
+
+/**
+ * Checks the competitor limit and atomically reserves one scan from today's quota.
+ * @throws {QuotaExceededError}
+ */
+export async function consumeScanQuota(keyRecord, competitorCount) {
+  assertCompetitorLimit(keyRecord, competitorCount);
+  if (keyRecord.keyId === 'admin') return;
+
+  const { scansPerDay } = keyRecord.quotas;
+
+  const keyRef = apiKeysRef().doc(keyRecord.keyId);
+  const usageRef = keyRef.collection('usage').doc(today());
+  await getDb().runTransaction(async (transaction) => {
+    const usageDoc = await transaction.get(usageRef);
+    const scansToday = usageDoc.exists ? usageDoc.data().scans || 0 : 0;
+    if (scansPerDay && scansToday >= scansPerDay) {
+      throw new QuotaExceededError(`Daily scan quota of ${scansPerDay} reached for this API key.`, 'scansPerDay');
+    }
+    transaction.set(usageRef, { scans: scansToday + 1 }, { merge: true });
+    transaction.update(keyRef, { 'usage.totalScans': admin.firestore.FieldValue.increment(1) });
+  });
+}
+
+/**
+ * Usage summary for a key: quotas, lifetime totals and the last `days` daily counters.
+ */
+export async function getUsage(keyRecord, days = 30) {
+  if (keyRecord.keyId === 'admin') return { keyId: 'admin', tenantId: null, quotas: keyRecord.quotas, daily: [] };
+  const keyRef = apiKeysRef().doc(keyRecord.keyId);
+  const [keyDoc, usageSnapshot] = await Promise.all([
+    keyRef.get(),
+    keyRef.collection('usage').orderBy(admin.firestore.FieldPath.documentId(), 'desc').limit(days).get(),
+  ]);
+  return {
+    keyId: keyRecord.keyId,
+    tenantId: keyRecord.tenantId,
+    quotas: keyRecord.quotas,
+    totals: keyDoc.data()?.usage || {},
+    daily: usageSnapshot.docs.map(doc => ({ date: doc.id, scans: doc.data().scans || 0, requests: doc.data().requests || 0 })),
+  };
+}
+
+/**
+ * True when the key may see a resource owned by `tenantId`. Admin keys see everything;
+ * resources created before tenancy (no tenantId) are admin-only.
+ */
+export function canAccessTenant(keyRecord, tenantId) {
+  return keyRecord.isAdmin || (!!tenantId && tenantId === keyRecord.tenantId);
+}
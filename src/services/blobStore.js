@@ -0,0 +1,119 @@
+import admin from 'firebase-admin';
+import fs from 'fs/promises';
+import path from 'path';
+import { getDb } from './firestoreService.js';
+
+/**
+ * Blob Store
+ * Binary storage (screenshots and other generated assets) addressed by a slash-separated blob ID
+ * such as "screenshots/<jobId>/<competitor>/desktop.jpg". Every backend implements:
+ *   putBlob(blobId, buffer, { contentType })  -> Promise<void>
+ *   getBlob(blobId)                           -> Promise<{ data: Buffer, contentType } | null>
+ *   deleteBlob(blobId)                        -> Promise<void>
+ * The backend is chosen with BLOB_STORE: 'local' (files under LOCAL_STORE_DIR, default ./data)
+ * or 'firebase' (Cloud Storage bucket FIREBASE_STORAGE_BUCKET). Defaults to 'firebase' when a
+ * bucket is configured, otherwise 'local'.
+ */
+
+// Segments of word characters, dots, dashes and colons (BullMQ repeat job IDs); no ".." traversal
+const BLOB_ID_PATTERN = /^(?!.*(^|\/)\.\.?(\/|$))[\w.:-]+(\/[\w.:-]+)*$/;
+
+export function assertValidBlobId(blobId) {
+  if (typeof blobId !== 'string' || !BLOB_ID_PATTERN.test(blobId)) {
+    throw new Error(`Invalid blob ID: ${blobId}`);
+  }
+}
+
+export class LocalBlobStore {
+  constructor(baseDir = path.resolve(process.env.LOCAL_STORE_DIR || './data', 'blobs')) {
+    this.baseDir = baseDir;
+  }
+
+  filePath(blobId) {
+    assertValidBlobId(blobId);
+    return path.join(this.baseDir, ...blobId.split('/'));
+  }
+
+  async putBlob(blobId, data, { contentType = 'application/octet-stream' } = {}) {
+    const target = this.filePath(blobId);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, data);
+    await fs.rename(temp, target);
+    // Content type lives in a sidecar so reads don't have to guess from the extension
+    await fs.writeFile(`${target}.meta.json`, JSON.stringify({ contentType, size: data.length }));
+  }
+
+  async getBlob(blobId) {
+    const target = this.filePath(blobId);
+    try {
+      const [data, meta] = await Promise.all([
+        fs.readFile(target),
+        fs.readFile(`${target}.meta.json`, 'utf8').then(JSON.parse).catch(() => ({})),
+      ]);
+      return { data, contentType: meta.contentType || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async deleteBlob(blobId) {
+    const target = this.filePath(blobId);
+    await Promise.all([target, `${target}.meta.json`].map(file => fs.rm(file, { force: true })));
+  }
+}
+
+export class FirebaseStorageBlobStore {
+  constructor(bucketName = process.env.FIREBASE_STORAGE_BUCKET) {
+    this.bucketName = bucketName;
+  }
+
+  file(blobId) {
+    assertValidBlobId(blobId);
+    getDb(); // initializes the Firebase app with the service account
+    return admin.storage().bucket(this.bucketName).file(blobId);
+  }
+
+  async putBlob(blobId, data, { contentType = 'application/octet-stream' } = {}) {
+    await this.file(blobId).save(data, { contentType, resumable: false });
+  }
+
+  async getBlob(blobId) {
+    const file = this.file(blobId);
+    try {
+      const [[data], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+      return { data, contentType: metadata.contentType || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  async deleteBlob(blobId) {
+    await this.file(blobId).delete({ ignoreNotFound: true });
+  }
+}
+
+let blobStore;
+
+/**
+ * Returns the process-wide blob store selected by BLOB_STORE.
+ */
+export function getBlobStore() {
+  if (blobStore) return blobStore;
+
+  const backend = (process.env.BLOB_STORE || (process.env.FIREBASE_STORAGE_BUCKET ? 'firebase' : 'local')).toLowerCase();
+  switch (backend) {
+    case 'firebase':
+      blobStore = new FirebaseStorageBlobStore();
+      break;
+    case 'local':
+      blobStore = new LocalBlobStore();
+      break;
+    default:
+      throw new Error(`Unknown BLOB_STORE backend: ${backend}`);
+  }
+  console.log(`🗄️ Blob store: ${backend}`);
+  return blobStore;
+}
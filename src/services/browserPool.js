@@ -0,0 +1,269 @@
+/**
+ * Browser Pool
+ * Shared headless Chromium instances for crawling (deepScanService) and PDF rendering
+ * (pdfGenerator). Every task runs in its own incognito browser context, so cookies and storage
+ * never leak between competitors or reports.
+ *
+ *   const result = await getBrowserPool().withContext(async (context) => {
+ *     const page = await context.newPage();
+ *     ...
+ *   });
+ *
+ * Configuration (env):
+ *   BROWSER_POOL_SIZE            Browsers kept running (default 1)
+ *   BROWSER_MAX_PAGES            Concurrent tasks per browser, one page slot each (default 4)
+ *   BROWSER_RECYCLE_AFTER        Tasks a browser serves before it is replaced (default 50)
+ *   BROWSER_HEALTH_INTERVAL_MS   How often idle browsers are pinged (default 30000, 0 disables)
+ *   BROWSER_ACQUIRE_TIMEOUT_MS   How long a task waits for a free slot (default 120000)
+ */
+
+const DEFAULT_POOL_OPTIONS = {
+  size: parseInt(process.env.BROWSER_POOL_SIZE || '1', 10),
+  maxPages: parseInt(process.env.BROWSER_MAX_PAGES || '4', 10),
+  recycleAfter: parseInt(process.env.BROWSER_RECYCLE_AFTER || '50', 10),
+  healthCheckInterval: parseInt(process.env.BROWSER_HEALTH_INTERVAL_MS || '30000', 10),
+  acquireTimeout: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS || '120000', 10),
+};
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Launches Chromium the way each environment needs it: @sparticuz/chromium in production,
+ * puppeteer-extra with the stealth plugin (and puppeteer's bundled browser) locally.
+ */
+export async function launchBrowser() {
+  let puppeteerLib;
+  let chromium;
+  if (process.env.NODE_ENV === 'production') {
+    puppeteerLib = (await import('puppeteer-core')).default;
+    try {
+      chromium = (await import('@sparticuz/chromium')).default;
+    } catch (e) {
+      console.warn('Could not import @sparticuz/chromium', e);
+    }
+  } else {
+    const puppeteerExtra = (await import('puppeteer-extra')).default;
+    const StealthPlugin = (await import('puppeteer-extra-plugin-stealth')).default;
+    puppeteerExtra.use(StealthPlugin());
+    puppeteerLib = puppeteerExtra;
+  }
+
+  // No --single-process: one renderer crash would take every context in the pool down with it
+  const launchOptions = {
+    args: ['--no-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--disable-setuid-sandbox', '--no-first-run', '--disable-extensions'],
+    headless: true,
+    timeout: 30000,
+  };
+
+  if (process.env.NODE_ENV === 'production' && chromium) {
+    launchOptions.executablePath = await chromium.executablePath();
+    launchOptions.args = [...new Set([...launchOptions.args, ...chromium.args])].filter(arg => arg !== '--single-process');
+  }
+
+  return puppeteerLib.launch(launchOptions);
+}
+
+export class BrowserPool {
+  constructor(options = {}, launch = launchBrowser) {
+    this.options = { ...DEFAULT_POOL_OPTIONS, ...options };
+    this.launch = launch;
+    this.entries = [];   // { browser, active, served, retiring }
+    this.launching = 0;
+    this.waiters = [];   // FIFO of { resolve, reject, timer }
+    this.closed = false;
+    this.healthTimer = null;
+  }
+
+  /**
+   * Runs task(context) in a fresh incognito context and always disposes of the context afterwards.
+   * Aborting `signal` closes the context, which rejects whatever navigation or capture is in flight.
+   */
+  async withContext(task, { signal } = {}) {
+    const entry = await this.acquire(signal);
+    let context;
+    const onAbort = () => context?.close().catch(() => {});
+    try {
+      context = await entry.browser.createBrowserContext();
+      signal?.throwIfAborted();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      return await task(context);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (context) await context.close().catch(() => {});
+      this.release(entry);
+    }
+  }
+
+  async acquire(signal) {
+    if (this.closed) throw new Error('Browser pool is shut down');
+    signal?.throwIfAborted();
+    this.startHealthChecks();
+
+    const entry = this.findAvailable() || await this.growIfPossible();
+    if (entry) {
+      const claimed = this.claim(entry);
+      // A freshly launched browser may have room for tasks that queued while it started
+      this.dispatchWaiters();
+      return claimed;
+    }
+
+    // Every slot is busy: wait for a release
+    return new Promise((resolve, reject) => {
+      const leave = (error) => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', waiter.onAbort);
+        reject(error);
+      };
+      const waiter = {
+        resolve: (entry) => {
+          signal?.removeEventListener('abort', waiter.onAbort);
+          resolve(entry);
+        },
+        reject: leave,
+        onAbort: () => leave(signal.reason),
+      };
+      waiter.timer = setTimeout(() => leave(new Error(`Timed out after ${this.options.acquireTimeout}ms waiting for a browser page`)), this.options.acquireTimeout);
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+      this.waiters.push(waiter);
+    });
+  }
+
+  findAvailable() {
+    return this.entries.find(entry => !entry.retiring && entry.browser.connected && entry.active < this.options.maxPages);
+  }
+
+  async growIfPossible() {
+    if (this.entries.length + this.launching >= this.options.size) return null;
+    this.launching++;
+    try {
+      const browser = await this.launch();
+      const entry = { browser, active: 0, served: 0, retiring: false };
+      // A crashed or killed browser is dropped so the next task launches a replacement
+      browser.on('disconnected', () => {
+        if (!this.entries.includes(entry)) return;
+        console.warn('⚠️ [Browser Pool] Browser disconnected; it will be replaced');
+        this.remove(entry);
+        this.dispatchWaiters();
+      });
+      this.entries.push(entry);
+      console.log(`🌐 [Browser Pool] Launched browser ${this.entries.length}/${this.options.size}`);
+      return entry;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  claim(entry) {
+    entry.active++;
+    entry.served++;
+    if (entry.served >= this.options.recycleAfter) entry.retiring = true;
+    return entry;
+  }
+
+  release(entry) {
+    entry.active--;
+    if (entry.retiring && entry.active === 0) {
+      console.log(`♻️ [Browser Pool] Recycling browser after ${entry.served} tasks`);
+      this.retire(entry);
+    }
+    this.dispatchWaiters();
+  }
+
+  async dispatchWaiters() {
+    while (this.waiters.length > 0) {
+      let entry = this.findAvailable();
+      if (!entry) {
+        try {
+          entry = await this.growIfPossible();
+        } catch (error) {
+          const waiter = this.waiters.shift();
+          if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+          }
+          continue;
+        }
+      }
+      if (!entry) return;
+      const waiter = this.waiters.shift();
+      if (!waiter) return;
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.claim(entry));
+    }
+  }
+
+  remove(entry) {
+    this.entries = this.entries.filter(e => e !== entry);
+  }
+
+  retire(entry) {
+    this.remove(entry);
+    entry.browser.close().catch(error => console.warn(`⚠️ [Browser Pool] Failed to close browser: ${error.message}`));
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer || !this.options.healthCheckInterval) return;
+    this.healthTimer = setInterval(() => this.checkHealth(), this.options.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Pings idle browsers and replaces any that are disconnected or unresponsive. Busy browsers are
+   * left alone; a crash there surfaces through the task and the 'disconnected' event.
+   */
+  async checkHealth() {
+    await Promise.all(this.entries.filter(entry => entry.active === 0).map(async (entry) => {
+      try {
+        if (!entry.browser.connected) throw new Error('not connected');
+        await Promise.race([
+          entry.browser.version(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), HEALTH_CHECK_TIMEOUT_MS)),
+        ]);
+      } catch (error) {
+        console.warn(`⚠️ [Browser Pool] Health check failed (${error.message}); replacing browser`);
+        // A task may have claimed the browser while it was being pinged; let that task finish first
+        if (entry.active === 0) this.retire(entry);
+        else entry.retiring = true;
+      }
+    }));
+  }
+
+  /**
+   * Stops handing out pages, waits up to `timeout` ms for running tasks, then closes every browser.
+   */
+  async close({ timeout = 30000 } = {}) {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    });
+
+    const deadline = Date.now() + timeout;
+    while (this.entries.some(entry => entry.active > 0) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    const entries = this.entries.splice(0);
+    await Promise.all(entries.map(entry => entry.browser.close().catch(() => {})));
+    console.log(`🛑 [Browser Pool] Closed ${entries.length} browser(s)`);
+  }
+}
+
+let pool;
+
+/**
+ * Returns the process-wide browser pool.
+ */
+export function getBrowserPool() {
+  if (!pool) pool = new BrowserPool();
+  return pool;
+}
+
+/**
+ * Closes the process-wide pool if one was created. Safe to call on every shutdown path.
+ */
+export async function closeBrowserPool(options) {
+  if (pool) await pool.close(options);
+}
@@ -0,0 +1,67 @@
+import { getTopThreat, getPrimaryTarget } from './strategistReport.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Client Report
+ * The shapes stored reports take on the way out of the API: the full client report returned by
+ * /analysis-status, /reports/:jobId and shared links (and rendered into PDFs), and the summary
+ * used by report listings.
+ */
+
+// Shapes a stored report for API clients: core analysis at the top level, the strategist's
+// headline picks pulled out of the structured document, and everything else under metadata.
+// `screenshotBase` is the path competitor screenshots are served under (shared links use their own).
+export const buildClientReport = (reportData, { screenshotBase = `/reports/${encodeURIComponent(reportData.jobId)}` } = {}) => ({
+  // Core analysis data (what frontend expects)
+  strategy: reportData.strategy || null,
+  analysis: reportData.analysis,
+  highlights: reportData.strategy ? {
+    topThreat: getTopThreat(reportData.strategy),
+    primaryTarget: getPrimaryTarget(reportData.strategy),
+    decisiveAdvantage: reportData.strategy.decisiveAdvantage,
+    quickWins: reportData.strategy.quickWins,
+  } : null,
+  detailedAgentReports: reportData.detailedAgentReports?.map(competitor => (competitor.screenshots ? {
+    ...competitor,
+    screenshotUrls: Object.fromEntries(Object.keys(competitor.screenshots.variants).map(variant => [
+      variant,
+      `${screenshotBase}/screenshots/${encodeURIComponent(competitor.screenshots.key)}?variant=${variant}`,
+    ])),
+  } : competitor)),
+  competitorsAnalyzed: reportData.competitorsAnalyzed,
+  // Per-competitor outcome (crawl method, agent results, failure reasons); absent on older reports
+  competitorStatus: reportData.competitorStatus || null,
+
+  // Additional metadata (preserved but not at top level)
+  metadata: {
+    jobId: reportData.jobId,
+    brandName: reportData.brandName,
+    category: reportData.category,
+    locale: reportData.locale || DEFAULT_LOCALE,
+    competitorUrls: reportData.competitorUrls,
+    timestamp: reportData.timestamp,
+    success: reportData.success,
+    createdAt: reportData.createdAt,
+    lastRetryAt: reportData.lastRetryAt || null
+  }
+});
+
+// Download filename for a report export, e.g. Acme-report.pdf
+export const reportFilename = (report, extension) => `${String(report.brandName || 'report').replace(/[^a-zA-Z0-9]/g, '-')}-report.${extension}`;
+
+// Lightweight listing entry for a stored report: enough to render a history table, with the
+// full report fetched through /reports/:jobId only when it is opened.
+export const buildReportSummary = (report) => ({
+  jobId: report.jobId,
+  brandName: report.brandName,
+  category: report.category || 'General',
+  competitorUrls: report.competitorUrls || [],
+  competitorsAnalyzed: report.competitorsAnalyzed?.length || 0,
+  competitorsFailed: report.competitorStatus?.filter(status => status.status !== 'ok').length || 0,
+  topThreat: getTopThreat(report.strategy)?.url || null,
+  success: report.success !== false,
+  createdAt: report.createdAt?.toDate?.().toISOString() || report.createdAt || null,
+  lastRetryAt: report.lastRetryAt || null,
+  watchId: report.watchId || null,
+  snapshotDate: report.snapshotDate || null,
+});
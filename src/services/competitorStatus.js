@@ -0,0 +1,46 @@
+/**
+ * Competitor Status
+ * What happened to each requested competitor in a deep scan: whether the crawl worked (and how),
+ * which specialist agents produced a report, and why anything failed. Stored on the report as
+ * `competitorStatus` and used to pick the competitors a retry-failed job re-analyses.
+ */
+
+/**
+ * Buckets a crawl error into 'timed_out', 'blocked' (bot protection, auth or rate limiting)
+ * or plain 'failed'.
+ */
+export function classifyFailure(error) {
+  const message = error?.message || '';
+  if (/\b(401|403|429|451)\b|captcha|access denied|forbidden|blocked|cloudflare/i.test(message)) return 'blocked';
+  if (/timed? ?out|timeout|ETIMEDOUT|ECONNABORTED/i.test(message)) return 'timed_out';
+  return 'failed';
+}
+
+/**
+ * Per-competitor status for the result:
+ *   { url, finalUrl, status: 'ok'|'partial'|'failed', reason,
+ *     crawl: { status: 'crawled'|'blocked'|'timed_out'|'failed', method, cached, reason },
+ *     agents: { [agent]: { status: 'ok'|'skipped'|'failed', reason } } }
+ */
+export function buildCompetitorStatus(crawlOutcome, agentOutcomes = {}) {
+  const { url, finalUrl, ...crawl } = crawlOutcome;
+  if (crawl.status !== 'crawled') {
+    return { url, finalUrl, status: 'failed', reason: crawl.reason, crawl, agents: {} };
+  }
+  const failedAgents = Object.entries(agentOutcomes).filter(([, outcome]) => outcome.status === 'failed');
+  return {
+    url,
+    finalUrl,
+    status: failedAgents.length ? 'partial' : 'ok',
+    reason: failedAgents.length ? failedAgents.map(([agent, outcome]) => `${agent}: ${outcome.reason}`).join('; ') : null,
+    crawl,
+    agents: agentOutcomes,
+  };
+}
+
+/**
+ * Requested URLs of a report's competitors that are worth another attempt (anything not 'ok').
+ */
+export function getRetryableCompetitors(report) {
+  return (report?.competitorStatus || []).filter(status => status.status !== 'ok').map(status => status.url);
+}
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { getBlobStore } from './blobStore.js';
+import { normalizePageUrl, resolveCrawlOptions } from './siteCrawler.js';
+import { DEFAULT_THROTTLING } from './performanceAudit.js';
+
+/**
+ * Crawl Cache
+ * Competitor analyses (crawl results, screenshots, audits) are reused across jobs for
+ * CRAWL_CACHE_TTL_SECONDS (default 86400, 0 disables), so two brands that share a competitor
+ * don't crawl it twice in a day. Entries live in the blob store, keyed by the normalized URL plus
+ * every option that changes what a crawl produces. Concurrent requests for the same entry within
+ * one process share a single crawl.
+ */
+
+export const CRAWL_CACHE_TTL_SECONDS = parseInt(process.env.CRAWL_CACHE_TTL_SECONDS || '86400', 10);
+
+const inFlight = new Map();
+
+/**
+ * Cache key for a competitor analysis. `crawl: false` (homepage only) and site crawls with
+ * different limits are separate entries, as are audited and unaudited runs.
+ */
+export function crawlCacheKey(url, { crawl, performanceAudit, throttling } = {}) {
+  const normalizedUrl = normalizePageUrl(/^https?:\/\//i.test(url) ? url : `https://${url}`) || url;
+  const audit = performanceAudit ?? process.env.PERFORMANCE_AUDIT !== 'false';
+  const variant = {
+    url: normalizedUrl,
+    crawl: crawl === false ? false : resolveCrawlOptions(crawl),
+    performanceAudit: audit,
+    throttling: audit ? throttling || DEFAULT_THROTTLING : null,
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(variant)).digest('hex').slice(0, 32);
+}
+
+const blobId = (key) => `crawl-cache/${key}.json`;
+
+async function readEntry(key) {
+  try {
+    const blob = await getBlobStore().getBlob(blobId(key));
+    if (!blob) return null;
+    const entry = JSON.parse(blob.data.toString('utf8'));
+    if (Date.parse(entry.expiresAt) > Date.now()) return entry;
+    await getBlobStore().deleteBlob(blobId(key)).catch(() => {});
+    return null;
+  } catch (error) {
+    console.warn(`⚠️ [Crawl Cache] Read failed for ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeEntry(key, data) {
+  const cachedAt = new Date();
+  const entry = {
+    cachedAt: cachedAt.toISOString(),
+    expiresAt: new Date(cachedAt.getTime() + CRAWL_CACHE_TTL_SECONDS * 1000).toISOString(),
+    data,
+  };
+  try {
+    await getBlobStore().putBlob(blobId(key), Buffer.from(JSON.stringify(entry)), { contentType: 'application/json' });
+  } catch (error) {
+    console.warn(`⚠️ [Crawl Cache] Write failed for ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Returns { data, cached, cachedAt } for a competitor analysis, running load() on a miss.
+ * `refresh: true` skips the lookup but still stores the fresh result for later jobs; results that
+ * `cacheable(data)` rejects (e.g. degraded fallback analyses) are never stored.
+ */
+export async function withCrawlCache(key, load, { refresh = false, cacheable = () => true } = {}) {
+  if (CRAWL_CACHE_TTL_SECONDS <= 0) return { data: await load(), cached: false };
+
+  if (!refresh) {
+    const entry = await readEntry(key);
+    if (entry) return { data: entry.data, cached: true, cachedAt: entry.cachedAt };
+    if (inFlight.has(key)) {
+      try {
+        const shared = await inFlight.get(key);
+        // Each job decorates its copy (screenshots, requestedUrl), so never hand out the same object
+        return { data: { ...shared.data }, cachedAt: shared.cachedAt, cached: true };
+      } catch {
+        // The other job's crawl failed or was cancelled; crawl for this job instead
+      }
+    }
+  }
+
+  const pending = (async () => {
+    const data = await load();
+    if (cacheable(data)) await writeEntry(key, data);
+    return { data, cachedAt: new Date().toISOString() };
+  })();
+  inFlight.set(key, pending);
+  try {
+    const { data, cachedAt } = await pending;
+    return { data: { ...data }, cachedAt, cached: false };
+  } finally {
+    if (inFlight.get(key) === pending) inFlight.delete(key);
+  }
+}
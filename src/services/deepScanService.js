@@ -2,27 +2,142 @@
 // This version implements the full multi-agent architecture.
 
 // --- Core Dependencies ---
-import OpenAI from 'openai';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
-import puppeteer from 'puppeteer-core';
 import { getDomain } from 'tldts';
+import {
+  resolveCrawlOptions,
+  normalizePageUrl,
+  extractInternalUrls,
+  fetchSitemapUrls,
+  summarizeSite,
+} from './siteCrawler.js';
+import { createLlmProvider, AGENTS } from './llmProvider.js';
+import { getBrowserPool } from './browserPool.js';
+import { detectTechnologies } from './techDetector.js';
+import { getGlobalProbes } from './techSignatures.js';
+import { startPerformanceAudit, DEFAULT_THROTTLING } from './performanceAudit.js';
+import { storeCompetitorScreenshots } from './screenshotStore.js';
+import { crawlCacheKey, withCrawlCache } from './crawlCache.js';
+import { auditAccessibility } from './accessibilityAudit.js';
+import { classifyFailure, buildCompetitorStatus, getRetryableCompetitors } from './competitorStatus.js';
+import { STRATEGY_JSON_SHAPE, validateStrategistReport, renderStrategistMarkdown } from './strategistReport.js';
+import { DEFAULT_LOCALE, translate, languageInstruction } from './i18n.js';
+import {
+  DESKTOP_VIEWPORT,
+  MOBILE_DEVICE_NAME,
+  MOBILE_SCREENSHOT_MAX_HEIGHT,
+  THUMBNAIL_WIDTH,
+  getMobileDevice,
+  auditLayout,
+} from './layoutAudit.js';
 
-// We no longer need to dynamically import chromium here as it's handled inside the method.
+// Chromium is launched and shared through browserPool.js.
+
+// Share of the overall progress bar allotted to each pipeline stage (crawl → agents → strategist)
+const STAGE_WEIGHTS = { crawl: 50, agent: 40, strategist: 10 };
+const SPECIALIST_AGENTS = ['technical', 'content', 'visual_ux', 'accessibility'];
+
+/**
+ * Thrown when a scan's AbortSignal fires; the worker records the job as cancelled, not failed.
+ */
+export class ScanCancelledError extends Error {
+  constructor(message = 'Deep scan was cancelled') {
+    super(message);
+    this.name = 'ScanCancelledError';
+  }
+}
+
+// Appends the output-language instruction for non-English reports
+const localizePrompt = (prompt, locale) => {
+  const instruction = languageInstruction(locale);
+  return instruction ? `${prompt}\n      ${instruction}` : prompt;
+};
+
+const throwIfCancelled = (signal) => {
+  if (signal?.aborted) throw new ScanCancelledError();
+};
+
+/**
+ * Tracks per-stage and per-competitor progress for a multi-competitor scan.
+ * Every change emits a JSON-serializable snapshot through progressCallback, which the worker
+ * forwards to job.updateProgress(). Callback failures are logged and never break the scan.
+ */
+function createProgressTracker(urls, progressCallback) {
+  const state = {
+    percent: 0,
+    stage: 'queued',
+    message: 'Waiting to start',
+    competitors: Object.fromEntries(urls.map(url => [url, {
+      status: 'pending',
+      agents: Object.fromEntries(SPECIALIST_AGENTS.map(agent => [agent, 'pending'])),
+    }])),
+  };
+  let crawlsDone = 0;
+  let agentRunsDone = 0;
+  let agentRunsTotal = 0;
+
+  const emit = () => {
+    const snapshot = { ...state, updatedAt: new Date().toISOString() };
+    try {
+      Promise.resolve(progressCallback(snapshot)).catch(err => console.warn(`⚠️ [Progress] Callback failed: ${err.message}`));
+    } catch (err) {
+      console.warn(`⚠️ [Progress] Callback failed: ${err.message}`);
+    }
+  };
+
+  const recalculate = () => {
+    const crawlShare = urls.length ? (crawlsDone / urls.length) * STAGE_WEIGHTS.crawl : STAGE_WEIGHTS.crawl;
+    const agentShare = agentRunsTotal ? (agentRunsDone / agentRunsTotal) * STAGE_WEIGHTS.agent : 0;
+    // Never move backwards, even if a late callback arrives out of order
+    state.percent = Math.max(state.percent, Math.min(99, Math.round(crawlShare + agentShare)));
+  };
+
+  return {
+    setStage(stage, message, competitorCount = 0) {
+      state.stage = stage;
+      state.message = message;
+      if (stage === 'specialist_agents') agentRunsTotal = competitorCount * SPECIALIST_AGENTS.length;
+      if (stage === 'chief_strategist') state.percent = STAGE_WEIGHTS.crawl + STAGE_WEIGHTS.agent;
+      if (stage === 'completed' || stage === 'failed') state.percent = 100;
+      emit();
+    },
+    updateCompetitor(url, patch) {
+      if (!state.competitors[url]) return;
+      state.competitors[url] = { ...state.competitors[url], ...patch };
+      emit();
+    },
+    updateAgent(url, agent, status) {
+      if (!state.competitors[url]) return;
+      state.competitors[url].agents[agent] = status;
+      emit();
+    },
+    completeStep(kind) {
+      if (kind === 'crawl') crawlsDone += 1;
+      if (kind === 'agent') agentRunsDone += 1;
+      recalculate();
+      emit();
+    },
+  };
+}
 
 class DeepScanService {
   /**
-   * Initializes the service with necessary API keys.
-   * @param {string} openaiApiKey - Your OpenAI API key.
+   * Initializes the service with an LLM provider.
+   * @param {object} [options]
+   * @param {object} [options.llm] - A ready provider (anything with complete()), e.g. a MockProvider in tests.
+   * @param {object} [options.llmConfig] - Config passed to createLlmProvider() when no provider is given.
    */
-  constructor(openaiApiKey) {
-    if (!openaiApiKey && !process.env.OPENAI_API_KEY) {
-      throw new Error('OpenAI API key is required for DeepScanService');
-    }
-    
-    this.openai = new OpenAI({
-      apiKey: openaiApiKey || process.env.OPENAI_API_KEY,
-    });
+  constructor({ llm, llmConfig } = {}) {
+    this.llm = llm || createLlmProvider(llmConfig);
+  }
+
+  /**
+   * Sends a chat request for an agent and parses the JSON object it returns.
+   */
+  async completeJson(agent, messages, { signal } = {}) {
+    const content = await this.llm.complete({ agent, messages, json: true, signal });
+    return JSON.parse(content);
   }
 
   /**
@@ -34,10 +149,11 @@ class DeepScanService {
       const analyzedData = await this.analyzeWebsite(competitorUrl);
 
       // Run agent pipeline for a single competitor
-      const [techReport, contentReport, visualReport] = await Promise.all([
+      const [techReport, contentReport, visualReport, accessibilityReport] = await Promise.all([
         this.runTechnicalAnalysisAgent(analyzedData),
         this.runContentSeoAgent(analyzedData),
-        analyzedData.screenshot ? this.runVisualUxAgent(analyzedData.screenshot) : Promise.resolve(null)
+        analyzedData.screenshot ? this.runVisualUxAgent(analyzedData) : Promise.resolve(null),
+        analyzedData.accessibility?.totals ? this.runAccessibilityAgent(analyzedData) : Promise.resolve(null)
       ]);
 
       const singleCompetitorReport = {
@@ -51,18 +167,20 @@ class DeepScanService {
             specialist_reports: {
               technical: techReport,
               content: contentReport,
-              visual_ux: visualReport
+              visual_ux: visualReport,
+              accessibility: accessibilityReport
             }
         }]
       };
 
       // Generate final analysis from the Chief Strategist
-      const analysis = await this.runChiefStrategistAgent(singleCompetitorReport, userBrandName, category);
+      const strategy = await this.runChiefStrategistAgent(singleCompetitorReport, userBrandName, category);
       
       return {
         success: true,
         competitorUrl: competitorUrl,
-        analysis: analysis, // The final synthesized report
+        strategy: strategy, // The final synthesized report
+        analysis: renderStrategistMarkdown(strategy), // Markdown view of the same report
         detailedAgentReports: singleCompetitorReport.competitors[0].specialist_reports,
         timestamp: new Date().toISOString()
       };
@@ -79,246 +197,517 @@ class DeepScanService {
 
   /**
    * Orchestrates the multi-agent deep scan for multiple competitors.
+   * progressCallback receives a snapshot from createProgressTracker() after every stage change.
+   * When options.jobId is set, competitor screenshots are stored in the blob store under that job.
+   * Aborting options.signal stops browser work and LLM requests and rejects with ScanCancelledError.
+   * options.refresh bypasses the crawl cache (results are still cached for later jobs).
+   * options.locale (see i18n.js) is the language every agent writes in; it is kept on the result.
+   * The result carries a `competitorStatus` entry per requested competitor (see competitorStatus.js).
    */
-  async performMultipleDeepScan(competitorUrls, brandName, category = 'General', progressCallback = () => {}) {
+  async performMultipleDeepScan(competitorUrls, brandName, category = 'General', progressCallback = () => {}, options = {}) {
     console.log(`🚀 Starting multi-agent deep scan for brand: ${brandName} in category: ${category}`);
+    const { signal, locale = DEFAULT_LOCALE } = options;
+    let tracker;
     try {
+      throwIfCancelled(signal);
       const uniqueCompetitors = this.deduplicateByDomain(competitorUrls);
       console.log(`🎯 Analyzing ${uniqueCompetitors.length} unique competitors...`);
       const urlsToProcess = uniqueCompetitors.slice(0, 5);
-      
-      let completedCrawls = 0;
-      const total = urlsToProcess.length;
+      tracker = createProgressTracker(urlsToProcess, progressCallback);
 
       // Step 1: Analyze all websites to get raw data and screenshots
-      const analysisPromises = urlsToProcess.map(async (url) => {
-        try {
-          const data = await this.analyzeWebsite(url);
-          return { status: 'fulfilled', value: data };
-        } catch (err) {
-          return { status: 'rejected', reason: err };
-        } finally {
-          completedCrawls += 1;
-          const percent = Math.round((completedCrawls / total) * 50); // Initial analysis is 50% of the work
-          try { progressCallback(percent); } catch (_) {}
-        }
-      });
-      const settledResults = await Promise.all(analysisPromises);
-      
-      const successfulAnalyses = [];
-      settledResults.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value) {
-          successfulAnalyses.push(result.value);
-        } else {
-          console.error(`Analysis failed for ${urlsToProcess[index]}: ${result.reason?.message || 'Unknown error'}`);
-        }
-      });
-      
+      const { successfulAnalyses, crawlOutcomes } = await this.analyzeCompetitors(urlsToProcess, tracker, options);
       if (successfulAnalyses.length === 0) {
-        throw new Error(`No competitor data could be analyzed. All attempts failed.`);
+        throw new Error(`No competitor data could be analyzed. All attempts failed: ${crawlOutcomes.map(o => `${o.url} (${o.reason})`).join('; ')}`);
       }
 
-      console.log(`🤖 [Orchestrator] Running specialist agents for ${successfulAnalyses.length} competitors...`);
-      let completedAgentRuns = 0;
-
       // Step 2: Run the specialist agents for each successful analysis
-      const agentReportPromises = successfulAnalyses.map(async (data) => {
-        try {
-          console.log(`[Agent Pipeline] Running Technical and Content agents for ${data.url}...`);
-          const [techReport, contentReport] = await Promise.all([
-            this.runTechnicalAnalysisAgent(data),
-            this.runContentSeoAgent(data),
-          ]);
-          
-          console.log(`[Agent Pipeline] Running Visual agent for ${data.url}...`);
-          const visualReport = data.screenshot 
-            ? await this.runVisualUxAgent(data.screenshot) 
-            : { strengths: [], weaknesses: ["Screenshot not available"] };
-          
-          console.log(`[Agent Pipeline] All agents finished for ${data.url}.`);
-
-          return {
-            url: data.url,
-            raw_data_summary: { wordCount: data.wordCount, performance: data.performance, techStack: data.technologyStack },
-            specialist_reports: { technical: techReport, content: contentReport, visual_ux: visualReport }
-          };
-        } catch (agentError) {
-          console.error(`[Agent Pipeline] Failed for ${data.url}:`, agentError.message);
-          return { url: data.url, error: `Agent analysis failed: ${agentError.message}` };
-        } finally {
-            completedAgentRuns += 1; 
-            const percent = Math.round(50 + (completedAgentRuns / successfulAnalyses.length) * 50);
-            try { progressCallback(percent); } catch (_) {}
-        }
-      });
-
-      const allAgentReports = await Promise.all(agentReportPromises);
+      const { agentReports, agentOutcomes } = await this.runSpecialistAgents(successfulAnalyses, tracker, { signal, locale });
+      const competitorStatus = urlsToProcess.map(url => buildCompetitorStatus(crawlOutcomes.find(o => o.url === url), agentOutcomes[url]));
 
       console.log(`🧠 [Orchestrator] Synthesizing final report with Chief Strategist...`);
+      tracker.setStage('chief_strategist', 'Synthesizing the final report with the Chief Strategist');
       // Step 3: Run the Chief Strategist Agent for the final synthesis
-      const finalReport = await this.runChiefStrategistAgent({ competitors: allAgentReports }, brandName, category);
+      const strategy = await this.runChiefStrategistAgent({ competitors: agentReports }, brandName, category, { signal, locale });
       
-      try { progressCallback(100); } catch (_) {}
+      tracker.setStage('completed', 'Deep scan completed');
 
       return {
         success: true,
         data: {
           brandName: brandName,
+          locale,
           competitorsAnalyzed: successfulAnalyses.map(a => ({url: a.url, title: a.title})),
-          analysis: finalReport,
-          detailedAgentReports: allAgentReports,
+          competitorStatus,
+          strategy: strategy,
+          analysis: renderStrategistMarkdown(strategy, locale), // Markdown view kept for existing clients
+          detailedAgentReports: agentReports,
           timestamp: new Date().toISOString()
         }
       };
     } catch (error) {
+      // Whatever failed after an abort failed because of it; report the cancellation, not the symptom
+      if (signal?.aborted) {
+        console.log(`🛑 Deep scan for ${brandName} cancelled`);
+        if (tracker) tracker.setStage('cancelled', 'Deep scan cancelled');
+        throw new ScanCancelledError();
+      }
       console.error('❌ Multi-competitor deep scan failed:', error);
-      try { progressCallback(100); } catch (_) {}
+      if (tracker) tracker.setStage('failed', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Re-analyses the competitors of a stored report that did not come back fully 'ok', merges
+   * them into the report's competitor data and re-runs the Chief Strategist over the result.
+   * Competitors that fail again keep their previous data, with the new attempt under `lastRetry`.
+   * options.urls narrows the retry to specific requested URLs (defaults to every non-'ok' one).
+   * Agents write in the report's own locale so retried competitors match the rest of it.
+   * Returns the same { success, data } shape as performMultipleDeepScan (data holds only the
+   * fields that changed).
+   */
+  async retryFailedCompetitors(report, progressCallback = () => {}, options = {}) {
+    const { signal } = options;
+    const locale = report.locale || DEFAULT_LOCALE;
+    const retryUrls = options.urls || getRetryableCompetitors(report);
+    console.log(`🔁 Retrying ${retryUrls.length} competitor(s) for brand: ${report.brandName}`);
+    let tracker;
+    try {
+      throwIfCancelled(signal);
+      if (retryUrls.length === 0) throw new Error('No failed competitors to retry.');
+      tracker = createProgressTracker(retryUrls, progressCallback);
+
+      const { successfulAnalyses, crawlOutcomes } = await this.analyzeCompetitors(retryUrls, tracker, options);
+      const { agentReports, agentOutcomes } = await this.runSpecialistAgents(successfulAnalyses, tracker, { signal, locale });
+      const retriedAt = new Date().toISOString();
+
+      // Merge per requested URL: a successful retry replaces the old entry, a failed one annotates it
+      const reportsByUrl = new Map((report.detailedAgentReports || []).map(entry => [entry.requestedUrl || entry.url, entry]));
+      const statusByUrl = new Map((report.competitorStatus || []).map(status => [status.url, status]));
+      const analyzedByUrl = new Map((report.competitorsAnalyzed || []).map(c => [c.url, c]));
+      retryUrls.forEach(url => {
+        const status = buildCompetitorStatus(crawlOutcomes.find(o => o.url === url), agentOutcomes[url]);
+        const previous = statusByUrl.get(url);
+        const fresh = agentReports.find(entry => entry.requestedUrl === url);
+        if (fresh && (status.status === 'ok' || !previous || previous.status === 'failed')) {
+          if (previous?.finalUrl) analyzedByUrl.delete(previous.finalUrl);
+          const analysis = successfulAnalyses.find(a => a.requestedUrl === url);
+          analyzedByUrl.set(analysis.url, { url: analysis.url, title: analysis.title });
+          reportsByUrl.set(url, fresh);
+          statusByUrl.set(url, { ...status, retriedAt });
+        } else {
+          statusByUrl.set(url, { ...(previous || status), lastRetry: { at: retriedAt, status: status.status, reason: status.reason } });
+        }
+      });
+
+      const detailedAgentReports = [...reportsByUrl.values()];
+      const competitorStatus = [...statusByUrl.values()];
+
+      console.log(`🧠 [Orchestrator] Re-synthesizing the report with Chief Strategist...`);
+      tracker.setStage('chief_strategist', 'Re-synthesizing the report with the Chief Strategist');
+      const strategy = await this.runChiefStrategistAgent({ competitors: detailedAgentReports }, report.brandName, report.category || 'General', { signal, locale });
+      tracker.setStage('completed', 'Retry completed');
+
+      return {
+        success: true,
+        data: {
+          competitorsAnalyzed: [...analyzedByUrl.values()],
+          competitorStatus,
+          strategy,
+          analysis: renderStrategistMarkdown(strategy, locale),
+          detailedAgentReports,
+          timestamp: retriedAt,
+          lastRetryAt: retriedAt,
+        }
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        if (tracker) tracker.setStage('cancelled', 'Retry cancelled');
+        throw new ScanCancelledError();
+      }
+      console.error('❌ Retrying failed competitors failed:', error);
+      if (tracker) tracker.setStage('failed', error.message);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Crawl stage: analyses every URL (through the crawl cache) and stores its screenshots.
+   * Returns the successful analyses (tagged with their requestedUrl) and one outcome per URL.
+   */
+  async analyzeCompetitors(urls, tracker, options = {}) {
+    const { signal } = options;
+    // Request-level `performance: { audit, throttling }` maps onto the analyzer options
+    const analysisOptions = { performanceAudit: options.performance?.audit, throttling: options.performance?.throttling, signal };
+    tracker.setStage('crawling', `Crawling ${urls.length} competitor websites`);
+
+    const results = await Promise.all(urls.map(async (url) => {
+      tracker.updateCompetitor(url, { status: 'crawling' });
+      try {
+        // `crawl: false` keeps the old homepage-only behaviour. Recent crawls of the same URL
+        // (from any job) are reused unless the request asked for a refresh.
+        const cacheKey = crawlCacheKey(url, { crawl: options.crawl, ...analysisOptions });
+        const { data, cached, cachedAt } = await withCrawlCache(cacheKey, () => (options.crawl === false
+          ? this.analyzeWebsite(url, analysisOptions)
+          : this.crawlSite(url, options.crawl, analysisOptions)), {
+          refresh: options.refresh,
+          // A fallback analysis is usually a transient browser failure; don't pin it for a day
+          cacheable: result => result.analysisMethod === 'PUPPETEER_SUCCESS',
+        });
+        if (cached) console.log(`📦 [Crawl Cache] Reusing analysis of ${url} from ${cachedAt}`);
+        throwIfCancelled(signal);
+        // Keep what the visual agent judges; the report references the stored images by ID
+        data.screenshots = await storeCompetitorScreenshots(options.jobId, url, data.renders);
+        tracker.updateCompetitor(url, { status: 'crawled', method: data.analysisMethod, cached });
+        // Keep the key the tracker knows this competitor by, even if the crawl followed a redirect
+        return {
+          analysis: { ...data, requestedUrl: url },
+          outcome: { url, finalUrl: data.url, status: 'crawled', method: data.analysisMethod, cached, reason: data.browserError || null },
+        };
+      } catch (err) {
+        console.error(`Analysis failed for ${url}: ${err.message}`);
+        const status = classifyFailure(err);
+        tracker.updateCompetitor(url, { status: 'failed', error: err.message });
+        return { outcome: { url, finalUrl: null, status, method: null, cached: false, reason: err.message } };
+      } finally {
+        tracker.completeStep('crawl');
+      }
+    }));
+
+    throwIfCancelled(signal);
+    return {
+      successfulAnalyses: results.filter(r => r.analysis).map(r => r.analysis),
+      crawlOutcomes: results.map(r => r.outcome),
+    };
+  }
+
+  /**
+   * Agent stage: runs every specialist agent for each analysis. A failing agent leaves a null
+   * report and a 'failed' outcome instead of sinking the competitor's other reports.
+   * Returns the per-competitor reports and { [requestedUrl]: { [agent]: { status, reason } } }.
+   */
+  async runSpecialistAgents(analyses, tracker, { signal, locale } = {}) {
+    const agentOutcomes = {};
+    if (analyses.length === 0) return { agentReports: [], agentOutcomes };
+
+    console.log(`🤖 [Orchestrator] Running specialist agents for ${analyses.length} competitors...`);
+    tracker.setStage('specialist_agents', `Running specialist agents for ${analyses.length} competitors`, analyses.length);
+
+    const agentReports = await Promise.all(analyses.map(async (data) => {
+      const outcomes = agentOutcomes[data.requestedUrl] = {};
+      // Runs a single specialist agent and records its outcome against the competitor.
+      // `run` returning undefined means the agent had nothing to work with.
+      const trackAgent = async (agentName, run, unavailableReport) => {
+        tracker.updateAgent(data.requestedUrl, agentName, 'running');
+        try {
+          const report = await run();
+          if (report === undefined) {
+            outcomes[agentName] = { status: 'skipped', reason: unavailableReport.weaknesses[0] };
+            tracker.updateAgent(data.requestedUrl, agentName, 'skipped');
+            return unavailableReport;
+          }
+          outcomes[agentName] = { status: 'ok', reason: null };
+          tracker.updateAgent(data.requestedUrl, agentName, 'completed');
+          return report;
+        } catch (error) {
+          throwIfCancelled(signal);
+          console.error(`[Agent Pipeline] ${agentName} agent failed for ${data.url}:`, error.message);
+          outcomes[agentName] = { status: 'failed', reason: error.message };
+          tracker.updateAgent(data.requestedUrl, agentName, 'failed');
+          return null;
+        } finally {
+          tracker.completeStep('agent');
+        }
+      };
+
+      tracker.updateCompetitor(data.requestedUrl, { status: 'analyzing' });
+      console.log(`[Agent Pipeline] Running Technical, Content and Accessibility agents for ${data.url}...`);
+      const [techReport, contentReport, accessibilityReport] = await Promise.all([
+        trackAgent('technical', () => this.runTechnicalAnalysisAgent(data, { signal, locale })),
+        trackAgent('content', () => this.runContentSeoAgent(data, { signal, locale })),
+        trackAgent('accessibility', async () => (data.accessibility?.totals ? this.runAccessibilityAgent(data, { signal, locale }) : undefined),
+          { strengths: [], weaknesses: ["Accessibility audit not available"] }),
+      ]);
+
+      console.log(`[Agent Pipeline] Running Visual agent for ${data.url}...`);
+      const visualReport = await trackAgent('visual_ux', async () => (data.screenshot ? this.runVisualUxAgent(data, { signal, locale }) : undefined),
+        { strengths: [], weaknesses: ["Screenshot not available"] });
+
+      const failedAgents = Object.keys(outcomes).filter(agent => outcomes[agent].status === 'failed');
+      console.log(`[Agent Pipeline] All agents finished for ${data.url}${failedAgents.length ? ` (failed: ${failedAgents.join(', ')})` : ''}.`);
+      tracker.updateCompetitor(data.requestedUrl, { status: failedAgents.length ? 'partial' : 'completed' });
+
+      return {
+        url: data.url,
+        requestedUrl: data.requestedUrl,
+        raw_data_summary: {
+          wordCount: data.wordCount,
+          h2Count: data.h2Count,
+          h3Count: data.h3Count,
+          internalLinks: data.internalLinks,
+          externalLinks: data.externalLinks,
+          performance: data.performance,
+          techStack: data.technologyStack,
+          accessibility: data.accessibility?.totals || undefined,
+          layoutIssues: data.renders ? {
+            desktop: data.renders.desktop.layout?.issues || [],
+            mobile: data.renders.mobile?.layout?.issues || [],
+          } : undefined,
+          site: data.siteSummary ? {
+            pagesCrawled: data.siteSummary.pagesCrawled,
+            totals: data.siteSummary.totals,
+            schemaTypes: data.siteSummary.schemaTypes,
+          } : undefined,
+        },
+        specialist_reports: { technical: techReport, content: contentReport, visual_ux: visualReport, accessibility: accessibilityReport },
+        screenshots: data.screenshots,
+      };
+    }));
+
+    throwIfCancelled(signal);
+    return { agentReports, agentOutcomes };
+  }
+
   /**
    * Analyzes a website using Puppeteer as primary, with a fallback.
+   * @param {object} [analysisOptions]
+   * @param {boolean} [analysisOptions.performanceAudit] - Full Core Web Vitals / resource audit (default on, PERFORMANCE_AUDIT=false disables).
+   * @param {string} [analysisOptions.throttling] - Throttling profile for the audit (see performanceAudit.js).
+   * @param {AbortSignal} [analysisOptions.signal] - Cancels the analysis (no fallback is attempted).
    */
-  async analyzeWebsite(url) {
+  async analyzeWebsite(url, analysisOptions = {}) {
     if (!/^(https?:\/\/)/i.test(url)) url = 'https://' + url;
     try { new URL(url); } catch (e) { throw new Error(`Invalid URL format: ${url}`); }
 
     console.log(`📡 [Analyzer] Attempting robust browser analysis for: ${url}`);
     try {
-      return await this.analyzWithPuppeteer(url);
+      return await this.analyzWithPuppeteer(url, analysisOptions);
     } catch (puppeteerError) {
+      throwIfCancelled(analysisOptions.signal);
       console.warn(`⚠️ Browser analysis failed for ${url}, trying fast fallback:`, puppeteerError.message);
-      return await this.analyzeWithFallback(url);
+      try {
+        // Keep why the browser failed; the competitor status reports it alongside the degraded result
+        return { ...await this.analyzeWithFallback(url, analysisOptions), browserError: puppeteerError.message };
+      } catch (fallbackError) {
+        throwIfCancelled(analysisOptions.signal);
+        throw new Error(`${puppeteerError.message}; fallback: ${fallbackError.message}`);
+      }
     }
   }
 
   /**
    * Analyzes website using Puppeteer with stealth and retries.
    */
-  async analyzWithPuppeteer(url) {
-    console.log(`🚀 Launching headless browser to analyze: ${url}`);
-    let browser;
-    let chromium;
-
-    let puppeteerLib;
-    if (process.env.NODE_ENV === 'production') {
-      puppeteerLib = (await import('puppeteer-core')).default;
-      try {
-        chromium = (await import('@sparticuz/chromium')).default;
-      } catch (e) {
-        console.warn('Could not import @sparticuz/chromium', e);
-      }
-    } else {
-      const puppeteerExtra = (await import('puppeteer-extra')).default;
-      const StealthPlugin = (await import('puppeteer-extra-plugin-stealth')).default;
-      puppeteerExtra.use(StealthPlugin());
-      puppeteerLib = puppeteerExtra;
-    }
-
+  async analyzWithPuppeteer(url, { performanceAudit = process.env.PERFORMANCE_AUDIT !== 'false', throttling = DEFAULT_THROTTLING, signal } = {}) {
+    console.log(`🚀 Opening a pooled browser context to analyze: ${url}${performanceAudit ? ` (performance audit, ${throttling} throttling)` : ''}`);
     try {
-      let launchOptions = {
-        args: ['--no-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--disable-setuid-sandbox', '--no-first-run', '--no-zygote', '--single-process', '--disable-extensions'],
-        headless: true,
-        timeout: 30000
-      };
-
-      if (process.env.NODE_ENV === 'production' && chromium) {
-        launchOptions.executablePath = await chromium.executablePath();
-        launchOptions.args = [...launchOptions.args, ...chromium.args];
-      }
-
-      browser = await puppeteerLib.launch(launchOptions);
-      const page = await browser.newPage();
+      return await getBrowserPool().withContext(async (context) => {
+        const page = await context.newPage();
+        await page.setViewport(DESKTOP_VIEWPORT);
       
-      await page.setRequestInterception(true);
-      page.on('request', req => {
-        const type = req.resourceType();
-        if (type === 'image' || type === 'font') return req.abort();
-        req.continue();
-      });
+        // Audit mode loads every resource so LCP and transfer sizes are real; otherwise skip
+        // images and fonts to keep the crawl fast.
+        const audit = performanceAudit ? await startPerformanceAudit(page, throttling) : null;
+        if (!audit) await this.blockHeavyResources(page);
 
-      for (let attempt = 0; attempt < 2; attempt++) {
-        try {
-            await page.goto(url, { waitUntil: 'networkidle2', timeout: 90000 });
-            break;
-      } catch (navigationError) {
-            console.warn(`⚠️ Navigation attempt ${attempt + 1} failed for ${url}: ${navigationError.message}`);
-            if (attempt === 1) throw navigationError;
+        let mainResponse;
+        for (let attempt = 0; attempt < 2; attempt++) {
+          try {
+              mainResponse = await page.goto(url, { waitUntil: 'networkidle2', timeout: 90000 });
+              break;
+        } catch (navigationError) {
+              console.warn(`⚠️ Navigation attempt ${attempt + 1} failed for ${url}: ${navigationError.message}`);
+              if (attempt === 1) throw navigationError;
+          }
         }
-      }
+        // Bot walls and auth pages still render; don't analyse them as the competitor's site
+        if (mainResponse && mainResponse.status() >= 400) {
+          throw new Error(`Page responded with HTTP ${mainResponse.status()}`);
+        }
+
+        // Collect the audit before the full-page screenshot scrolls the page and triggers lazy loading
+        const auditMetrics = audit ? await audit.collect(page.url()) : null;
+
+        const desktopLayout = await auditLayout(page);
+        const accessibility = await auditAccessibility(page);
+        const desktopThumbnail = await this.captureAboveTheFold(page, DESKTOP_VIEWPORT);
 
-      // Take screenshot after page is stable
-      const screenshotBuffer = await page.screenshot({ type: 'jpeg', quality: 70, fullPage: true });
-      const screenshotBase64 = screenshotBuffer.toString('base64');
+        // Take screenshot after page is stable
+        const screenshotBuffer = await page.screenshot({ type: 'jpeg', quality: 70, fullPage: true });
+        const screenshotBase64 = screenshotBuffer.toString('base64');
       
-      const finalUrl = page.url();
-      const htmlContent = await page.content();
-      const $ = cheerio.load(htmlContent);
+        const finalUrl = page.url();
+        const htmlContent = await page.content();
+        const $ = cheerio.load(htmlContent);
 
-      const techClues = this.extractTechClues($);
-      const technologies = await this.detectTechnologiesAI(techClues, finalUrl);
+        const techClues = this.extractTechClues($, {
+          headers: mainResponse?.headers() || {},
+          cookies: (await page.cookies()).map(cookie => cookie.name),
+          globals: await this.probeGlobals(page),
+        });
+        const technologies = await this.detectTechnologies(techClues, finalUrl, { signal });
       
-      const performanceMetrics = await page.evaluate(() => {
-        try {
-        const paintTimings = performance.getEntriesByType('paint');
-        const fcp = paintTimings.find(entry => entry.name === 'first-contentful-paint')?.startTime;
-        const navTiming = performance.getEntriesByType("navigation")[0];
-        return {
-          firstContentfulPaint: fcp ? `${fcp.toFixed(0)} ms` : 'N/A',
-          domLoadTime: navTiming ? `${(navTiming.domContentLoadedEventEnd - navTiming.startTime).toFixed(0)} ms` : 'N/A',
-          pageLoadTime: navTiming ? `${(navTiming.loadEventEnd - navTiming.startTime).toFixed(0)} ms` : 'N/A',
-        };
-        } catch (e) {
-            return { firstContentfulPaint: 'N/A', domLoadTime: 'N/A', pageLoadTime: 'N/A' };
-        }
-      });
+        const performanceMetrics = auditMetrics || await page.evaluate(() => {
+          const round = value => (Number.isFinite(value) && value > 0 ? Math.round(value) : null);
+          try {
+            const paintTimings = performance.getEntriesByType('paint');
+            const fcp = paintTimings.find(entry => entry.name === 'first-contentful-paint')?.startTime;
+            const navTiming = performance.getEntriesByType("navigation")[0];
+            return {
+              auditMode: false,
+              firstContentfulPaint: round(fcp),
+              domContentLoaded: navTiming ? round(navTiming.domContentLoadedEventEnd - navTiming.startTime) : null,
+              loadTime: navTiming ? round(navTiming.loadEventEnd - navTiming.startTime) : null,
+            };
+          } catch (e) {
+            return { auditMode: false, firstContentfulPaint: null, domContentLoaded: null, loadTime: null };
+          }
+        });
 
-      const analyzedData = {
-        url: finalUrl,
-        title: $('title').text().trim() || 'No title found',
-        metaDescription: $('meta[name="description"]').attr('content')?.trim() || 'No meta description found',
-        h1: $('h1').first().text().trim() || 'No H1 found',
-        h2Count: $('h2').length,
-        h3Count: $('h3').length,
-        wordCount: this.estimateWordCount($('body').text()),
-        internalLinks: this.countLinks($, finalUrl, true),
-        externalLinks: this.countLinks($, finalUrl, false),
-        images: $('img').length,
-        imagesWithAlt: $('img[alt][alt!=""]').length,
-        schemaMarkup: $('script[type="application/ld+json"]').length > 0,
-        canonicalUrl: $('link[rel="canonical"]').attr('href') || null,
-        metaRobots: $('meta[name="robots"]').attr('content') || null,
-        performance: performanceMetrics,
-        technologyStack: technologies,
-        analysisMethod: 'PUPPETEER_SUCCESS',
-        screenshot: screenshotBase64,
-      };
+        await page.close();
+        const mobileRender = await this.renderMobile(context, finalUrl, { blockResources: !audit });
+
+        const analyzedData = {
+          url: finalUrl,
+          title: $('title').text().trim() || 'No title found',
+          metaDescription: $('meta[name="description"]').attr('content')?.trim() || 'No meta description found',
+          h1: $('h1').first().text().trim() || 'No H1 found',
+          h2Count: $('h2').length,
+          h3Count: $('h3').length,
+          wordCount: this.estimateWordCount($('body').text()),
+          internalLinks: this.countLinks($, finalUrl, true),
+          externalLinks: this.countLinks($, finalUrl, false),
+          images: $('img').length,
+          imagesWithAlt: $('img[alt][alt!=""]').length,
+          schemaMarkup: $('script[type="application/ld+json"]').length > 0,
+          schemaTypes: this.extractSchemaTypes($),
+          internalUrls: extractInternalUrls($, finalUrl),
+          canonicalUrl: $('link[rel="canonical"]').attr('href') || null,
+          metaRobots: $('meta[name="robots"]').attr('content') || null,
+          performance: performanceMetrics,
+          accessibility,
+          technologyStack: technologies,
+          analysisMethod: 'PUPPETEER_SUCCESS',
+          screenshot: screenshotBase64,
+          renders: {
+            desktop: {
+              viewport: { width: DESKTOP_VIEWPORT.width, height: DESKTOP_VIEWPORT.height },
+              layout: desktopLayout,
+              screenshot: screenshotBase64,
+              thumbnail: desktopThumbnail,
+            },
+            mobile: mobileRender,
+          },
+        };
 
-      console.log(`✅ Puppeteer analysis complete for ${finalUrl}`);
-      return analyzedData;
+        console.log(`✅ Puppeteer analysis complete for ${finalUrl}`);
+        return analyzedData;
+      }, { signal });
     } catch (error) {
       console.error(`[Puppeteer Analysis] Failed for ${url}:`, error.message);
       throw new Error(`Puppeteer failed to analyze ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Aborts image and font requests on a page; used when no performance audit needs them.
+   */
+  async blockHeavyResources(page) {
+    await page.setRequestInterception(true);
+    page.on('request', req => {
+      const type = req.resourceType();
+      if (type === 'image' || type === 'font') return req.abort();
+      req.continue();
+    });
+  }
+
+  /**
+   * Captures the first viewport of a page, scaled down to THUMBNAIL_WIDTH device pixels.
+   * Returns base64 JPEG, or null if the capture fails.
+   */
+  async captureAboveTheFold(page, viewport) {
+    try {
+      const scale = THUMBNAIL_WIDTH / (viewport.width * (viewport.deviceScaleFactor || 1));
+      const buffer = await page.screenshot({
+        type: 'jpeg',
+        quality: 70,
+        clip: { x: 0, y: 0, width: viewport.width, height: viewport.height, scale },
+      });
+      return buffer.toString('base64');
+    } catch (error) {
+      console.warn(`⚠️ Thumbnail capture failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Renders the page again on an emulated mobile device (viewport, DPR, touch and UA), runs the
+   * layout audit and captures a screenshot clipped to MOBILE_SCREENSHOT_MAX_HEIGHT.
+   * A failure is recorded on the render rather than failing the whole analysis.
+   */
+  async renderMobile(context, url, { blockResources = false } = {}) {
+    let page;
+    try {
+      const device = getMobileDevice();
+      page = await context.newPage();
+      await page.emulate(device);
+      if (blockResources) await this.blockHeavyResources(page);
+
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+      const layout = await auditLayout(page);
+      const thumbnail = await this.captureAboveTheFold(page, device.viewport);
+
+      const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+      const screenshotBuffer = await page.screenshot({
+        type: 'jpeg',
+        quality: 60,
+        clip: {
+          x: 0,
+          y: 0,
+          width: device.viewport.width,
+          height: Math.max(device.viewport.height, Math.min(pageHeight, MOBILE_SCREENSHOT_MAX_HEIGHT)),
+        },
+        captureBeyondViewport: true,
+      });
+
+      return {
+        device: MOBILE_DEVICE_NAME,
+        viewport: {
+          width: device.viewport.width,
+          height: device.viewport.height,
+          deviceScaleFactor: device.viewport.deviceScaleFactor,
+        },
+        layout,
+        screenshot: screenshotBuffer.toString('base64'),
+        thumbnail,
+      };
+    } catch (error) {
+      console.warn(`⚠️ [Mobile Render] Failed for ${url}: ${error.message}`);
+      return { device: MOBILE_DEVICE_NAME, error: error.message, layout: null, screenshot: null, thumbnail: null };
     } finally {
-      if (browser) await browser.close();
+      if (page) await page.close().catch(() => {});
     }
   }
 
   /**
    * Fast analysis via HTTP GET request, used as a fallback.
    */
-  async analyzeWithFallback(url) {
+  async analyzeWithFallback(url, { signal } = {}) {
     try {
         const response = await axios.get(url, {
             timeout: 15000,
+            signal,
             headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36' }
         });
         const htmlContent = response.data;
         const $ = cheerio.load(htmlContent);
 
-        const techClues = this.extractTechClues($);
-        const technologies = await this.detectTechnologiesAI(techClues, url);
+        const techClues = this.extractTechClues($, {
+            headers: response.headers,
+            cookies: this.parseSetCookieNames(response.headers['set-cookie']),
+        });
+        const technologies = await this.detectTechnologies(techClues, url, { signal });
 
         return {
             url: url,
@@ -326,21 +715,122 @@ class DeepScanService {
             metaDescription: $('meta[name="description"]').attr('content')?.trim() || 'No meta description found',
             h1: $('h1').first().text().trim() || 'No H1 found',
             h2Count: $('h2').length,
+            h3Count: $('h3').length,
             wordCount: this.estimateWordCount($('body').text()),
             internalLinks: this.countLinks($, url, true),
             externalLinks: this.countLinks($, url, false),
+            schemaMarkup: $('script[type="application/ld+json"]').length > 0,
+            schemaTypes: this.extractSchemaTypes($),
+            internalUrls: extractInternalUrls($, url),
             technologyStack: technologies,
             analysisMethod: 'FALLBACK_SUCCESS',
             screenshot: null, // No screenshot available in fallback
         };
     } catch (error) {
         console.error(`[Fallback Analysis] Failed for ${url}:`, error.message);
-        throw new Error(`Both Puppeteer and Fallback methods failed for ${url}.`);
+        throw new Error(`Fallback request failed for ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crawls a competitor site: full analysis of the entry page, then lightweight analysis of
+   * further pages discovered through the homepage links and sitemap.xml (breadth-first,
+   * bounded by maxDepth/maxPages). Returns the entry page data plus a `siteSummary`.
+   */
+  async crawlSite(url, crawlOptions = {}, analysisOptions = {}) {
+    const options = resolveCrawlOptions(crawlOptions);
+    const entryPage = await this.analyzeWebsite(url, analysisOptions);
+    const pages = [{ ...entryPage, depth: 0 }];
+    const discovery = { sitemap: 0, links: entryPage.internalUrls?.length || 0 };
+
+    if (options.maxPages > 1 && options.maxDepth > 0) {
+      const seen = new Set([normalizePageUrl(entryPage.url), normalizePageUrl(url, entryPage.url)]);
+      const queue = [];
+      const enqueue = (pageUrl, depth) => {
+        if (!pageUrl || seen.has(pageUrl) || getDomain(pageUrl) !== getDomain(entryPage.url)) return;
+        seen.add(pageUrl);
+        queue.push({ url: pageUrl, depth });
+      };
+
+      // Homepage navigation links first (they are the pages the site promotes), then the sitemap
+      (entryPage.internalUrls || []).forEach(link => enqueue(link, 1));
+      if (options.useSitemap) {
+        const sitemapUrls = await fetchSitemapUrls(entryPage.url, options.maxPages * 5, { signal: analysisOptions.signal });
+        discovery.sitemap = sitemapUrls.length;
+        sitemapUrls.forEach(link => enqueue(link, 1));
+      }
+
+      while (queue.length > 0 && pages.length < options.maxPages) {
+        throwIfCancelled(analysisOptions.signal);
+        const batch = queue.splice(0, Math.min(options.concurrency, options.maxPages - pages.length));
+        const results = await Promise.all(batch.map(async ({ url: pageUrl, depth }) => {
+          try {
+            return { ...(await this.analyzeSubPage(pageUrl, analysisOptions)), depth };
+          } catch (error) {
+            console.warn(`⚠️ [Crawler] Skipping ${pageUrl}: ${error.message}`);
+            return null;
+          }
+        }));
+
+        results.filter(Boolean).forEach(page => {
+          pages.push(page);
+          if (page.depth < options.maxDepth) page.internalUrls.forEach(link => enqueue(link, page.depth + 1));
+        });
+      }
     }
+
+    console.log(`🕸️ [Crawler] Crawled ${pages.length} page(s) for ${entryPage.url}`);
+    return { ...entryPage, siteSummary: summarizeSite(entryPage.url, pages, discovery) };
+  }
+
+  /**
+   * Fetches a secondary page over plain HTTP and extracts only what the site summary needs.
+   */
+  async analyzeSubPage(url, { signal } = {}) {
+    const response = await axios.get(url, {
+      timeout: 15000,
+      signal,
+      maxContentLength: 5 * 1024 * 1024,
+      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36' }
+    });
+    const contentType = response.headers['content-type'] || '';
+    if (!contentType.includes('text/html')) {
+      throw new Error(`Not an HTML page (${contentType || 'unknown content type'})`);
+    }
+
+    const $ = cheerio.load(response.data);
+    return {
+      url,
+      title: $('title').text().trim() || null,
+      metaDescription: $('meta[name="description"]').attr('content')?.trim() || null,
+      h1: $('h1').first().text().trim() || null,
+      h2Count: $('h2').length,
+      h3Count: $('h3').length,
+      wordCount: this.estimateWordCount($('body').text()),
+      schemaTypes: this.extractSchemaTypes($),
+      internalUrls: extractInternalUrls($, url),
+    };
   }
 
   // --- UTILITY AND HELPER FUNCTIONS ---
 
+  /**
+   * Collects the @type values declared in JSON-LD blocks (including @graph entries).
+   */
+  extractSchemaTypes($) {
+    const types = new Set();
+    const collect = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(collect);
+      [].concat(node['@type'] || []).forEach(type => types.add(type));
+      if (node['@graph']) collect(node['@graph']);
+    };
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try { collect(JSON.parse($(el).contents().text())); } catch (e) { /* ignore malformed JSON-LD */ }
+    });
+    return [...types];
+  }
+
   deduplicateByDomain(urls) {
     const uniqueDomains = new Set();
     return urls.filter(url => {
@@ -370,15 +860,79 @@ class DeepScanService {
     return count;
   }
 
-  extractTechClues($) {
+  /**
+   * Gathers the clues the signature database matches on. Headers, cookies and globals come
+   * from the caller because only the live page / HTTP response has them.
+   */
+  extractTechClues($, { headers = {}, cookies = [], globals = {} } = {}) {
     const scripts = $('script[src]').map((i, el) => $(el).attr('src')).get();
     const styles = $('link[rel="stylesheet"]').map((i, el) => $(el).attr('href')).get();
     const metaGenerator = $('meta[name="generator"]').attr('content');
     const html = $('html').html();
-    return { scripts, styles, metaGenerator, html };
+    const normalizedHeaders = Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), Array.isArray(value) ? value.join(', ') : String(value)])
+    );
+    return {
+      scripts,
+      styles,
+      metaGenerator,
+      meta: { generator: metaGenerator },
+      headers: normalizedHeaders,
+      cookies,
+      globals,
+      html,
+    };
+  }
+
+  /**
+   * Checks which signature globals exist on window, resolving a version string where known.
+   */
+  async probeGlobals(page) {
+    try {
+      return await page.evaluate((probes) => {
+        const resolve = (path) => path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+        const found = {};
+        Object.entries(probes).forEach(([path, versionPath]) => {
+          if (resolve(path) === undefined) return;
+          const version = versionPath ? resolve(versionPath) : undefined;
+          found[path] = typeof version === 'string' ? version : true;
+        });
+        return found;
+      }, getGlobalProbes());
+    } catch (e) {
+      console.warn(`[Tech Detect] Could not probe page globals: ${e.message}`);
+      return {};
+    }
+  }
+
+  parseSetCookieNames(setCookie) {
+    return [].concat(setCookie || []).map(cookie => cookie.split('=')[0].trim()).filter(Boolean);
+  }
+
+  /**
+   * Signature-based detection, optionally followed by an LLM pass (TECH_DETECT_LLM=true)
+   * for technologies the rules don't know. Returns [{ name, category, version, confidence, evidence, source }].
+   */
+  async detectTechnologies(techClues, url, { signal } = {}) {
+    const technologies = detectTechnologies(techClues);
+    if (process.env.TECH_DETECT_LLM !== 'true') return technologies;
+
+    const known = new Set(technologies.map(tech => tech.name.toLowerCase()));
+    const suggestions = await this.detectTechnologiesAI(techClues, url, technologies.map(tech => tech.name), { signal });
+    suggestions
+      .filter(name => typeof name === 'string' && !known.has(name.toLowerCase()))
+      .forEach(name => technologies.push({
+        name,
+        category: 'Unclassified',
+        version: null,
+        confidence: 30,
+        evidence: [{ type: 'llm', value: 'Suggested by AI from page clues' }],
+        source: 'llm',
+      }));
+    return technologies;
   }
 
-  async detectTechnologiesAI(techClues, url) {
+  async detectTechnologiesAI(techClues, url, alreadyDetected = [], { signal } = {}) {
     const prompt = `You are a world-class web technology detective. Your mission is to exhaustively identify every significant technology used on a website based on the provided clues. Do not stop at the obvious; look for subtle hints.
 
 **Clues from ${url}:**
@@ -397,22 +951,46 @@ ${JSON.stringify(techClues, null, 2).substring(0, 8000)}
 **Output Format:**
 Return a JSON object with a single key "technologies", which is an array of strings. Be specific. For example, if you see evidence for Next.js, list both "Next.js" and "React".
 
-Example: \`{"technologies": ["Next.js", "React", "Node.js", "Vercel", "Stripe", "Google Analytics", "Facebook Pixel"]}\``;
+Example: \`{"technologies": ["Next.js", "React", "Node.js", "Vercel", "Stripe", "Google Analytics", "Facebook Pixel"]}\`
+
+**Already identified by rule-based detection (do not repeat):** ${alreadyDetected.join(', ') || 'none'}`;
     try {
-        const completion = await this.openai.chat.completions.create({
-            model: "gpt-4.1-mini",
-            messages: [{ role: "system", content: "You are a web technology detection expert." }, { role: "user", content: prompt }],
-            response_format: { type: "json_object" },
-        });
-        const result = JSON.parse(completion.choices[0].message.content);
+        const result = await this.completeJson(AGENTS.TECH_DETECT, [
+            { role: "system", content: "You are a web technology detection expert." },
+            { role: "user", content: prompt },
+        ], { signal });
         // Ensure we handle both { "technologies": [...] } and a direct array [] for robustness
-        return Array.isArray(result) ? result : result.technologies || ['AI Detection Failed'];
+        return Array.isArray(result) ? result : result.technologies || [];
     } catch (e) {
         console.error(`[Tech Detect] AI parsing failed: ${e.message}`);
-        return ['AI Detection Failed'];
+        return [];
     }
   }
 
+  // Agent-facing views of the site summary, trimmed to what each specialist needs
+  summarizeSiteForTechnicalAgent(siteSummary) {
+    if (!siteSummary) return undefined;
+    const { pagesCrawled, totals, schemaTypes } = siteSummary;
+    return {
+      pagesCrawled,
+      schemaTypes,
+      pagesWithSchema: totals.pagesWithSchema,
+      pagesMissingH1: totals.pagesMissingH1,
+      pagesMissingMetaDescription: totals.pagesMissingMetaDescription,
+    };
+  }
+
+  summarizeSiteForContentAgent(siteSummary) {
+    if (!siteSummary) return undefined;
+    const { pagesCrawled, totals, duplicateTitles, pages } = siteSummary;
+    return {
+      pagesCrawled,
+      totals,
+      duplicateTitles,
+      pages: pages.map(({ url, title, h1, wordCount, h2Count }) => ({ url, title, h1, wordCount, h2Count })),
+    };
+  }
+
   // --- DEPRECATED FUNCTIONS ---
   async generateAIAnalysis() { console.warn("DEPRECATED: generateAIAnalysis is no longer used."); return "Deprecated."; }
   async generateComparativeAIReport() { console.warn("DEPRECATED: generateComparativeAIReport is no longer used."); return "Deprecated."; }
@@ -423,78 +1001,148 @@ Example: \`{"technologies": ["Next.js", "React", "Node.js", "Vercel", "Stripe",
   /**
    * AGENT 1: Technical SEO Analyst
    */
-  async runTechnicalAnalysisAgent(data) {
+  async runTechnicalAnalysisAgent(data, { signal, locale } = {}) {
     const prompt = `You are a Senior Technical SEO Analyst. Your analysis is precise and data-driven. Based on the following data, provide a technical assessment in JSON format. Focus on performance, mobile-friendliness (inferred from stack), and SEO best practices.
-      Data: \`\`\`json\n${JSON.stringify({ performance: data.performance, technologyStack: data.technologyStack, schemaMarkup: data.schemaMarkup, metaRobots: data.metaRobots }, null, 2)}\n\`\`\`
+      Data: \`\`\`json\n${JSON.stringify({ performance: data.performance, technologyStack: (data.technologyStack || []).map(({ name, category, version, confidence }) => ({ name, category, version, confidence })), schemaMarkup: data.schemaMarkup, metaRobots: data.metaRobots, site: this.summarizeSiteForTechnicalAgent(data.siteSummary) }, null, 2)}\n\`\`\`
+      Performance timings are milliseconds and sizes are bytes (null = not measured). Judge Core Web Vitals against Google's "good" thresholds (LCP ≤ 2500 ms, CLS ≤ 0.1, TBT ≤ 200 ms) and call out heavy third-party or render-blocking resources.
+      When "site" is present it aggregates every crawled page; judge site-wide coverage (e.g. structured data on inner pages), not just the homepage.
       Return a JSON object with two keys: "strengths" and "weaknesses" (each an array of strings).`;
-    const completion = await this.openai.chat.completions.create({
-      model: "gpt-4.1-mini",
-      messages: [{ role: "system", content: "You are a technical SEO expert that returns only JSON." }, { role: "user", content: prompt }],
-      response_format: { type: "json_object" },
-    });
-    return JSON.parse(completion.choices[0].message.content);
+    return this.completeJson(AGENTS.TECHNICAL, [
+      { role: "system", content: "You are a technical SEO expert that returns only JSON." },
+      { role: "user", content: localizePrompt(prompt, locale) },
+    ], { signal });
   }
 
   /**
    * AGENT 2: Content Marketing Strategist
    */
-  async runContentSeoAgent(data) {
+  async runContentSeoAgent(data, { signal, locale } = {}) {
     const prompt = `You are a Content Marketing Strategist. You are evaluating a competitor's content effectiveness. Based on the following data, provide a content & SEO assessment in JSON format. Focus on clarity of messaging, keyword targeting (inferred from H1/title), and call-to-action signals.
-      Data: \`\`\`json\n${JSON.stringify({ title: data.title, metaDescription: data.metaDescription, h1: data.h1, wordCount: data.wordCount, h2Count: data.h2Count }, null, 2)}\n\`\`\`
+      Data: \`\`\`json\n${JSON.stringify({ title: data.title, metaDescription: data.metaDescription, h1: data.h1, wordCount: data.wordCount, h2Count: data.h2Count, site: this.summarizeSiteForContentAgent(data.siteSummary) }, null, 2)}\n\`\`\`
+      When "site" is present it covers every crawled page; assess content depth and topical coverage across the whole site, not just the homepage.
       Return a JSON object with two keys: "strengths" and "weaknesses" (each an array of strings).`;
-    const completion = await this.openai.chat.completions.create({
-      model: "gpt-4.1-mini",
-      messages: [{ role: "system", content: "You are a content marketing expert that returns only JSON." }, { role: "user", content: prompt }],
-      response_format: { type: "json_object" },
-    });
-    return JSON.parse(completion.choices[0].message.content);
+    return this.completeJson(AGENTS.CONTENT, [
+      { role: "system", content: "You are a content marketing expert that returns only JSON." },
+      { role: "user", content: localizePrompt(prompt, locale) },
+    ], { signal });
   }
 
   /**
    * AGENT 3: UI/UX Design Consultant
+   * Reviews the desktop and mobile renders side by side, together with the layout audit of each.
+   * Returns separate desktop and mobile findings plus combined strengths/weaknesses.
    */
-  async runVisualUxAgent(screenshotBase64) {
-    const prompt = `You are a professional UI/UX Design Consultant. Analyze this screenshot of a webpage. Provide your assessment of its visual branding, layout, and user experience. Focus on professionalism, clarity, and trustworthiness.
-      Return a JSON object with two keys: "strengths" and "weaknesses" (each an array of strings).`;
-    const completion = await this.openai.chat.completions.create({
-      model: "gpt-4.1-mini", // Changed from gpt-4o for cost savings, as it supports vision
-      messages: [
-        { role: "system", content: "You are a UI/UX design expert that returns only JSON." },
-        { role: "user", content: [ { type: "text", text: prompt }, { type: "image_url", image_url: { "url": `data:image/jpeg;base64,${screenshotBase64}` } } ] }
-      ],
-      response_format: { type: "json_object" },
+  async runVisualUxAgent(analyzedData, { signal, locale } = {}) {
+    const desktop = analyzedData.renders?.desktop || { screenshot: analyzedData.screenshot };
+    const mobile = analyzedData.renders?.mobile?.screenshot ? analyzedData.renders.mobile : null;
+    const layoutFindings = {
+      desktop: desktop.layout?.issues || [],
+      mobile: mobile ? mobile.layout?.issues || [] : undefined,
+    };
+    const prompt = `You are a professional UI/UX Design Consultant. Analyze the ${mobile ? 'desktop and mobile screenshots' : 'desktop screenshot'} of this webpage (${analyzedData.url}). Provide your assessment of its visual branding, layout, and user experience. Focus on professionalism, clarity, and trustworthiness.
+      ${mobile ? `The mobile render was captured on an emulated ${mobile.device} (${mobile.viewport.width}px wide, touch enabled). Judge it as a phone user would: readability, thumb reach, tap target size and whether anything overflows sideways.` : 'No mobile render is available; set "mobile" to null.'}
+      **Automated layout checks:** \`\`\`json\n${JSON.stringify(layoutFindings, null, 2)}\n\`\`\`
+      Treat these checks as facts and mention the serious ones.
+      Return a JSON object with two keys: "desktop" and "mobile", each an object with "strengths" and "weaknesses" (arrays of strings).`;
+    const content = [{ type: "text", text: localizePrompt(prompt, locale) }, { type: "text", text: "Desktop render:" }, { type: "image_url", image_url: { "url": `data:image/jpeg;base64,${desktop.screenshot}` } }];
+    if (mobile) {
+      content.push({ type: "text", text: "Mobile render:" }, { type: "image_url", image_url: { "url": `data:image/jpeg;base64,${mobile.screenshot}` } });
+    }
+    // The configured visual_ux model must accept image input
+    const review = await this.completeJson(AGENTS.VISUAL_UX, [
+      { role: "system", content: "You are a UI/UX design expert that returns only JSON." },
+      { role: "user", content }
+    ], { signal });
+
+    const findings = (section) => ({
+      strengths: Array.isArray(section?.strengths) ? section.strengths : [],
+      weaknesses: Array.isArray(section?.weaknesses) ? section.weaknesses : [],
     });
-    return JSON.parse(completion.choices[0].message.content);
+    const desktopFinding = finding => translate(locale, 'agents.desktopFinding', { finding });
+    const mobileFinding = finding => translate(locale, 'agents.mobileFinding', { finding });
+    const desktopFindings = findings(review.desktop);
+    const mobileFindings = mobile && review.mobile ? findings(review.mobile) : null;
+    return {
+      strengths: [...desktopFindings.strengths.map(desktopFinding), ...(mobileFindings?.strengths || []).map(mobileFinding)],
+      weaknesses: [...desktopFindings.weaknesses.map(desktopFinding), ...(mobileFindings?.weaknesses || []).map(mobileFinding)],
+      desktop: desktopFindings,
+      mobile: mobileFindings,
+    };
+  }
+
+  /**
+   * AGENT 4: Accessibility Specialist
+   * Interprets the in-page accessibility audit; the audit's violations are the evidence.
+   */
+  async runAccessibilityAgent(data, { signal, locale } = {}) {
+    const { violations, totals } = data.accessibility;
+    const prompt = `You are an Accessibility Specialist (WCAG 2.1 AA). Based on the following automated audit of a competitor's homepage, provide an accessibility assessment in JSON format. Focus on the barriers that would stop real users (screen reader, keyboard-only and low-vision users) and on what the site already does well.
+      Data: \`\`\`json\n${JSON.stringify({ url: data.url, totals, violations, images: data.images, imagesWithAlt: data.imagesWithAlt }, null, 2)}\n\`\`\`
+      Each violation lists the WCAG criterion, a severity (critical > serious > moderate > minor), how many elements fail and example selectors. Rules that are absent passed. Prioritise critical and serious violations.
+      Return a JSON object with two keys: "strengths" and "weaknesses" (each an array of strings).`;
+    return this.completeJson(AGENTS.ACCESSIBILITY, [
+      { role: "system", content: "You are a web accessibility expert that returns only JSON." },
+      { role: "user", content: localizePrompt(prompt, locale) },
+    ], { signal });
   }
 
   /**
-   * AGENT 4: Chief Marketing Strategist ("Aura")
+   * AGENT 5: Chief Marketing Strategist ("Aura")
+   * Returns a validated strategist document (see strategistReport.js). An invalid answer is
+   * sent back once with the validation problems before giving up.
    */
-  async runChiefStrategistAgent(allAgentReports, userBrandName, category) {
+  async runChiefStrategistAgent(allAgentReports, userBrandName, category, { signal, locale } = {}) {
+    const competitorUrls = (allAgentReports.competitors || []).map(c => c.url).filter(Boolean);
     const prompt = `You are "Aura," a Chief Marketing Strategist specializing in the "${category}" industry. You are briefing your client, "${userBrandName}", on the competitive landscape.
       **Specialist Agent Reports:** \`\`\`json\n${JSON.stringify(allAgentReports, null, 2)}\n\`\`\`
       **Your Task:** Synthesize this data into a high-level STRATEGIC BATTLE PLAN. Do not just list the data; interpret it. Provide actionable insights.
       **Report Structure:**
-      1.  **## Market Overview:** Summarize the competitive landscape. What are the common trends, strengths, and weaknesses?
-      2.  **## Competitor Tier List:**
-          * **Top Threat:** Identify the strongest competitor and explain why, citing data.
-          * **Primary Target:** Identify the most vulnerable competitor and detail their weaknesses, citing data.
-      3.  **## The Decisive Advantage:** What is the single most important strategic advantage "${userBrandName}" must build to win?
-      4.  **## Immediate Quick Wins:** List 3 "quick win" actions based on common flaws you observed.`;
-    const completion = await this.openai.chat.completions.create({
-        model: "gpt-4.1-mini", // Changed from gpt-4o to reduce cost
-        messages: [{ role: "system", content: `You are Aura, a Chief Marketing Strategist for the ${category} industry.` }, { role: "user", content: prompt }],
-        max_tokens: 2500,
-        temperature: 0.5,
-    });
-    return completion.choices[0].message.content.trim();
+      1.  **Market Overview:** Summarize the competitive landscape. What are the common trends, strengths, and weaknesses?
+      2.  **Competitor Tier List:** Rank every competitor URL. Exactly one "top_threat" (the strongest, citing data) and, when there is more than one competitor, exactly one "primary_target" (the most vulnerable, citing its weaknesses). Everyone else is a "contender".
+      3.  **The Decisive Advantage:** What is the single most important strategic advantage "${userBrandName}" must build to win?
+      4.  **Immediate Quick Wins:** List 3 prioritised "quick win" actions based on common flaws you observed (priority 1 = do first).
+      **Competitor URLs (use exactly these in the tier list):** ${competitorUrls.join(', ')}
+      **Output Format:** Return only a JSON object with this shape:
+      ${STRATEGY_JSON_SHAPE}`;
+    const messages = [
+      { role: "system", content: `You are Aura, a Chief Marketing Strategist for the ${category} industry. You return only JSON.` },
+      { role: "user", content: localizePrompt(prompt, locale) },
+    ];
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const content = await this.llm.complete({
+          agent: AGENTS.CHIEF_STRATEGIST,
+          messages,
+          json: true,
+          maxTokens: 2500,
+          temperature: 0.5,
+          signal,
+      });
+      try {
+        return validateStrategistReport(JSON.parse(content), competitorUrls);
+      } catch (error) {
+        if (attempt === 1) throw error;
+        console.warn(`⚠️ [Chief Strategist] Invalid report, asking for a correction: ${error.message}`);
+        messages.push(
+          { role: "assistant", content },
+          { role: "user", content: `That response was rejected: ${error.message}. Return the corrected JSON object only.` },
+        );
+      }
+    }
   }
 }
 
-// Create a single, shared instance of the service
+// Create a single, shared instance of the service (provider chosen by LLM_PROVIDER)
 const deepScanService = new DeepScanService();
 
+export { DeepScanService };
+
 // Export the main function for the worker
-export async function performMultipleDeepScan(competitorUrls, brandName, category) {
-  return await deepScanService.performMultipleDeepScan(competitorUrls, brandName, category);
-}
\ No newline at end of file
+export async function performMultipleDeepScan(competitorUrls, brandName, category, progressCallback, options) {
+  return await deepScanService.performMultipleDeepScan(competitorUrls, brandName, category, progressCallback, options);
+}
+
+// Export the retry for the worker (retry-failed jobs)
+export async function retryFailedCompetitors(report, progressCallback, options) {
+  return await deepScanService.retryFailedCompetitors(report, progressCallback, options);
+}
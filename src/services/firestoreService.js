@@ -1,36 +1,59 @@
 import admin from 'firebase-admin';
 import { createRequire } from 'module';
 
-// Add flexible credential loading: prefer env var, fallback to local ServiceKey.json for local dev.
-let serviceAccount;
+/**
+ * Firestore is initialized on first use rather than on import, so scripts and tests that only
+ * touch local storage load without Google credentials. The server and the worker always need it:
+ * only reports (REPORT_STORE) and blobs (BLOB_STORE) have local backends, while API keys, watches,
+ * webhook deliveries and report templates live in Firestore whatever the store settings.
+ */
+let db;
 
-if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-  // The env variable should contain the raw JSON string for the service account
-  try {
-    serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-  } catch (err) {
-    console.error('[Firestore] Failed to parse FIREBASE_SERVICE_ACCOUNT env variable. Ensure it contains valid JSON.');
-    throw err;
+function loadServiceAccount() {
+  // Add flexible credential loading: prefer env var, fallback to local ServiceKey.json for local dev.
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    // The env variable should contain the raw JSON string for the service account
+    try {
+      return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    } catch (err) {
+      console.error('[Firestore] Failed to parse FIREBASE_SERVICE_ACCOUNT env variable. Ensure it contains valid JSON.');
+      throw err;
+    }
   }
-} else {
+
   // Fallback to local file for local development
   try {
     const require = createRequire(import.meta.url);
-    serviceAccount = require('../../ServiceKey.json');
+    return require('../../ServiceKey.json');
   } catch (fileErr) {
     console.error('[Firestore] No service account JSON available. Provide FIREBASE_SERVICE_ACCOUNT env variable or place ServiceKey.json in project root.');
     throw fileErr;
   }
 }
 
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-  });
-  // Configure Firestore to ignore undefined values so we can persist partial reports safely
-  admin.firestore().settings({ ignoreUndefinedProperties: true });
-}
+export function getDb() {
+  if (db) return db;
 
-const db = admin.firestore();
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(loadServiceAccount()),
+    });
+    // Configure Firestore to ignore undefined values so we can persist partial reports safely
+    admin.firestore().settings({ ignoreUndefinedProperties: true });
+  }
 
-export default db; 
\ No newline at end of file
+  db = admin.firestore();
+  return db;
+}
+
+/**
+ * Initializes Firestore at startup so a missing service account stops the process with a clear
+ * message instead of failing the first authenticated request.
+ */
+export function assertFirestoreConfigured() {
+  try {
+    getDb();
+  } catch (error) {
+    throw new Error(`Firestore credentials are required (${error.message.split('\n')[0]}). REPORT_STORE=local only keeps reports on disk; API keys, watches, webhook deliveries and report templates are always stored in Firestore.`);
+  }
+}
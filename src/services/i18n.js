@@ -0,0 +1,76 @@
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+import de from '../locales/de.js';
+
+/**
+ * Localization
+ * Reports carry a `locale` (a BCP 47 tag such as 'es' or 'de-AT', default 'en'). The language
+ * part picks the message catalog in src/locales and the language the agents write in; the full
+ * tag drives date and number formatting. Catalogs are flat maps of dotted keys to messages with
+ * {placeholders}; a key missing from a catalog falls back to English, so a new language can
+ * start with a partial catalog. Add one by creating src/locales/<language>.js and listing it here.
+ */
+
+const CATALOGS = { en, es, de };
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+export class LocaleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LocaleValidationError';
+  }
+}
+
+const languageOf = (locale) => String(locale).split('-')[0].toLowerCase();
+
+/**
+ * Canonicalizes a requested locale ('ES-mx' -> 'es-MX'); empty means DEFAULT_LOCALE.
+ * @throws {LocaleValidationError} for malformed tags and languages without a catalog
+ */
+export function normalizeLocale(locale) {
+  if (locale === undefined || locale === null || locale === '') return DEFAULT_LOCALE;
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(locale);
+  } catch {
+    throw new LocaleValidationError(`locale must be a language tag such as ${SUPPORTED_LANGUAGES.join(', ')}.`);
+  }
+  if (!CATALOGS[languageOf(canonical)]) {
+    throw new LocaleValidationError(`locale must be one of the supported languages: ${SUPPORTED_LANGUAGES.join(', ')}.`);
+  }
+  return canonical;
+}
+
+/**
+ * The message for `key` in the locale's language (falling back to English, then to the key
+ * itself), with {name} placeholders replaced from `params`. Params are inserted verbatim, so
+ * callers building HTML pass values that are already escaped.
+ */
+export function translate(locale, key, params = {}) {
+  const message = CATALOGS[languageOf(locale || DEFAULT_LOCALE)]?.[key] ?? en[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Bundles translate() and Intl formatting for one locale. Unknown locales format as English.
+ */
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const resolved = CATALOGS[languageOf(locale)] ? locale : DEFAULT_LOCALE;
+  return {
+    locale: resolved,
+    t: (key, params) => translate(resolved, key, params),
+    formatDate: (date, options = { year: 'numeric', month: 'long', day: 'numeric' }) => new Intl.DateTimeFormat(resolved, options).format(new Date(date)),
+    formatNumber: (value, options) => new Intl.NumberFormat(resolved, options).format(value),
+  };
+}
+
+/**
+ * Prompt suffix telling an agent which language to write in; empty for English. JSON keys and
+ * enum values stay English so validation and rendering don't depend on the language.
+ */
+export function languageInstruction(locale) {
+  if (languageOf(locale || DEFAULT_LOCALE) === 'en') return '';
+  return `Write every free-text value (summaries, findings, reasons, actions, rationales) in ${translate(locale, 'language.englishName')} (${locale}). Keep JSON keys, URLs and enumerated values such as tiers and impact levels exactly as specified, in English.`;
+}
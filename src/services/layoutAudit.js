@@ -0,0 +1,126 @@
+import { KnownDevices } from 'puppeteer-core';
+
+/**
+ * Render Profiles & Layout Audit
+ * Viewports used for the desktop and mobile renders of each competitor, and an in-page check
+ * for layout problems (missing viewport meta, horizontal overflow, undersized tap targets,
+ * tiny text) that the visual agent and reports can cite.
+ */
+
+export const DESKTOP_VIEWPORT = { width: 1440, height: 900, deviceScaleFactor: 1 };
+
+export const MOBILE_DEVICE_NAME = process.env.MOBILE_DEVICE || 'iPhone 13';
+
+export function getMobileDevice() {
+  const device = KnownDevices[MOBILE_DEVICE_NAME];
+  if (!device) throw new Error(`Unknown MOBILE_DEVICE "${MOBILE_DEVICE_NAME}"; use a Puppeteer KnownDevices name.`);
+  return device;
+}
+
+// Mobile screenshots are clipped to this many CSS pixels so DPR 3 captures stay a sane size
+export const MOBILE_SCREENSHOT_MAX_HEIGHT = 2400;
+
+// Above-the-fold thumbnails are scaled down to this width in device pixels
+export const THUMBNAIL_WIDTH = 480;
+
+// Google's tap-target guidance: at least 48x48 CSS pixels
+const MIN_TAP_TARGET_PX = 48;
+const MIN_FONT_SIZE_PX = 12;
+
+/**
+ * Runs inside the page. Returns numeric findings plus a flat list of issues with severity.
+ */
+function layoutAuditInPage(minTapTarget, minFontSize) {
+  const describe = (el) => {
+    if (el.id) return `#${CSS.escape(el.id)}`;
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      const classes = [...node.classList].slice(0, 2).map(c => `.${CSS.escape(c)}`).join('');
+      if (classes) part += classes;
+      const siblings = node.parentElement ? [...node.parentElement.children].filter(s => s.tagName === node.tagName) : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+      if (node.id) break;
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+  const isVisible = (el) => {
+    const style = getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+  };
+
+  const viewportWidth = window.innerWidth;
+  const scrollWidth = document.documentElement.scrollWidth;
+
+  const overflowOffenders = [...document.body.querySelectorAll('*')]
+    .filter(el => isVisible(el) && el.getBoundingClientRect().right > viewportWidth + 1)
+    // Report the outermost offender only, not every descendant inside it
+    .filter((el, i, all) => !all.some(other => other !== el && other.contains(el)))
+    .slice(0, 10)
+    .map(el => ({ selector: describe(el), right: Math.round(el.getBoundingClientRect().right) }));
+
+  const tapTargets = [...document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [onclick]')]
+    .filter(isVisible);
+  const smallTapTargets = tapTargets
+    .map(el => ({ el, rect: el.getBoundingClientRect() }))
+    .filter(({ rect }) => rect.width < minTapTarget || rect.height < minTapTarget);
+
+  const textElements = [...document.body.querySelectorAll('p, li, span, a, td, label')]
+    .filter(el => isVisible(el) && el.textContent.trim().length > 0 && el.children.length === 0);
+  const smallText = textElements.filter(el => parseFloat(getComputedStyle(el).fontSize) < minFontSize);
+
+  const viewportMeta = document.querySelector('meta[name="viewport"]')?.getAttribute('content') || null;
+
+  const issues = [];
+  if (!viewportMeta || !/width\s*=\s*device-width/i.test(viewportMeta)) {
+    issues.push({ type: 'viewport-meta', severity: 'high', message: 'No responsive viewport meta tag (width=device-width).' });
+  }
+  if (scrollWidth > viewportWidth + 1) {
+    issues.push({ type: 'horizontal-overflow', severity: 'high', message: `Content is ${scrollWidth - viewportWidth}px wider than the ${viewportWidth}px viewport.` });
+  }
+  if (smallTapTargets.length > 0) {
+    const share = smallTapTargets.length / tapTargets.length;
+    issues.push({
+      type: 'small-tap-targets',
+      severity: share > 0.25 ? 'medium' : 'low',
+      message: `${smallTapTargets.length} of ${tapTargets.length} tap targets are smaller than ${minTapTarget}x${minTapTarget}px.`,
+    });
+  }
+  if (textElements.length > 0 && smallText.length / textElements.length > 0.1) {
+    issues.push({ type: 'small-text', severity: 'medium', message: `${smallText.length} text elements use a font size below ${minFontSize}px.` });
+  }
+
+  return {
+    viewportWidth,
+    viewportMeta,
+    horizontalOverflow: { overflowing: scrollWidth > viewportWidth + 1, scrollWidth, offenders: overflowOffenders },
+    smallTapTargets: {
+      count: smallTapTargets.length,
+      total: tapTargets.length,
+      examples: smallTapTargets.slice(0, 10).map(({ el, rect }) => ({
+        selector: describe(el),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        text: (el.textContent || el.getAttribute('aria-label') || '').trim().slice(0, 40),
+      })),
+    },
+    smallTextCount: smallText.length,
+    issues,
+  };
+}
+
+/**
+ * Audits the current layout of a page. Never throws; failures come back as an issue-free result with `error`.
+ */
+export async function auditLayout(page) {
+  try {
+    return await page.evaluate(layoutAuditInPage, MIN_TAP_TARGET_PX, MIN_FONT_SIZE_PX);
+  } catch (error) {
+    console.warn(`⚠️ [Layout Audit] Failed: ${error.message}`);
+    return { error: error.message, issues: [] };
+  }
+}
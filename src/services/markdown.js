@@ -0,0 +1,135 @@
+/**
+ * Markdown & HTML Escaping
+ * Everything the report renderer interpolates into HTML is untrusted: page titles and URLs come
+ * from scraped sites, findings and the strategist's markdown come from an LLM. escapeHtml() is for
+ * plain fields; renderMarkdown() / renderInlineMarkdown() escape first and only then add the
+ * markup they recognise, so no input can produce tags, attributes or URLs other than the ones
+ * generated here.
+ *
+ * Supported: ATX headings, paragraphs, bullet and numbered lists, pipe tables, horizontal rules,
+ * **bold**, *italic*, `code` and [links](https://...) to http(s) and mailto URLs.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute. null/undefined become ''.
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Reduces a value to a safe CSS class token (letters, digits, '-' and '_').
+ */
+export function toClassName(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9_-]/g, '');
+}
+
+// Links survive only with a scheme we trust; anything else (javascript:, data:, ...) stays text
+const isSafeHref = (href) => /^(https?:\/\/|mailto:)/i.test(href);
+
+const applyEmphasis = html => html
+  .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+  .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+  .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?![*\w])/g, '$1<em>$2</em>')
+  .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>');
+
+/**
+ * Renders inline markdown (bold, italic, code, links) in a single line of text.
+ */
+export function renderInlineMarkdown(text) {
+  // Code spans, then links, are set aside as placeholders before emphasis is applied, so neither
+  // code nor a URL (e.g. one with _ or * in it) is ever treated as markup
+  const tokens = [];
+  const setAside = (html) => {
+    tokens.push(html);
+    return `\u0000${tokens.length - 1}\u0000`;
+  };
+  const restore = html => html.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+
+  let html = escapeHtml(text).replace(/\u0000/g, '').replace(/`([^`]+)`/g, (_, code) => setAside(`<code>${code}</code>`));
+
+  html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+    // href is already escaped, so it can't break out of the attribute
+    const decoded = href.replace(/&amp;/g, '&');
+    return isSafeHref(decoded) ? setAside(`<a href="${href}">${restore(applyEmphasis(label))}</a>`) : match;
+  });
+
+  return restore(applyEmphasis(html));
+}
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER = /^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*(:?-{3,}:?\s*)?\|?\s*$/;
+
+const splitTableRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+/**
+ * Renders a markdown document to sanitized HTML. `headingOffset` shifts heading levels so a
+ * document's `#` can sit below the surrounding page's own headings (capped at h6).
+ */
+export function renderMarkdown(markdown, { headingOffset = 0 } = {}) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      const level = Math.min(6, heading[1].length + headingOffset);
+      blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flushParagraph();
+      blocks.push('<hr>');
+      continue;
+    }
+
+    if (TABLE_ROW.test(line) && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+      flushParagraph();
+      const header = splitTableRow(line);
+      const rows = [];
+      for (i += 2; i < lines.length && TABLE_ROW.test(lines[i]); i++) rows.push(splitTableRow(lines[i]));
+      i--;
+      blocks.push(`<table><thead><tr>${header.map(cell => `<th>${renderInlineMarkdown(cell)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${rows.map(row => `<tr>${header.map((_, column) => `<td>${renderInlineMarkdown(row[column] || '')}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+      continue;
+    }
+
+    const listPattern = BULLET.test(line) ? BULLET : NUMBERED.test(line) ? NUMBERED : null;
+    if (listPattern) {
+      flushParagraph();
+      const items = [];
+      for (; i < lines.length && listPattern.test(lines[i]); i++) items.push(lines[i].match(listPattern)[1]);
+      i--;
+      const tag = listPattern === BULLET ? 'ul' : 'ol';
+      blocks.push(`<${tag}>${items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${tag}>`);
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+  flushParagraph();
+
+  return blocks.join('\n');
+}
@@ -1,5 +1,9 @@
-import puppeteer from 'puppeteer-core';
-import chromium from '@sparticuz/chromium';
+import { getBrowserPool } from './browserPool.js';
+import { escapeHtml, renderMarkdown, renderInlineMarkdown, toClassName } from './markdown.js';
+import { DEFAULT_RENDER_TEMPLATE, DEFAULT_TEMPLATE_ID } from './reportTemplates.js';
+import { TIERS, IMPACT_LEVELS } from './strategistReport.js';
+import { barChart, groupedBarChart, matrixChart } from './reportCharts.js';
+import { createTranslator } from './i18n.js';
 
 /**
  * PDF Generator Service
@@ -7,17 +11,11 @@ import chromium from '@sparticuz/chromium';
  */
 
 export async function generatePdfFromHtml(html) {
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath: await chromium.executablePath(),
-      headless: chromium.headless,
-      ignoreHTTPSErrors: true,
-    });
-
-    const page = await browser.newPage();
+  return getBrowserPool().withContext(async (context) => {
+    const page = await context.newPage();
+    // Reports embed everything they show as data URIs; never let a render reach the network
+    await page.setRequestInterception(true);
+    page.on('request', request => (/^(data|about):/.test(request.url()) ? request.continue() : request.abort()));
     await page.setContent(html, { waitUntil: 'networkidle0' });
 
     const pdfBuffer = await page.pdf({
@@ -27,17 +25,26 @@ export async function generatePdfFromHtml(html) {
     });
 
     return pdfBuffer;
-  } finally {
-    if (browser) await browser.close();
-  }
+  });
 }
 
-export function generateProfessionalPdfHtml(analysisData, brandName, category) {
-    const currentDate = new Date().toLocaleDateString('en-US', { 
-    year: 'numeric', month: 'long', day: 'numeric' 
-    });
+/**
+ * options.screenshots maps competitor screenshot keys to data URIs (see loadScreenshotDataUris).
+ * options.template is a render template from loadRenderTemplate() (branding, palette, fonts,
+ * cover page, disclaimer, sections); without one the built-in template is used. Nothing in the
+ * output references the network.
+ * options.locale picks the labels and date/number formats (default: the report's own locale).
+ * Every scraped or generated value is escaped (or rendered through markdown.js) on the way in.
+ */
+export function generateProfessionalPdfHtml(analysisData, brandName, category, { screenshots = {}, template: branding = DEFAULT_RENDER_TEMPLATE, locale } = {}) {
+  const sections = new Set(branding.sections);
+  const includeSection = (section, render) => (sections.has(section) ? render() : '');
+  const { t, formatDate, formatNumber } = createTranslator(locale || analysisData.metadata?.locale);
+
+    const currentDate = formatDate(new Date());
   
   // Helper Functions
+    const formatCount = (value) => (typeof value === 'number' ? formatNumber(value) : escapeHtml(value || t('common.notAvailable')));
     const getScoreColor = (score) => {
     if (score >= 80) return '#059669';
     if (score >= 60) return '#d97706';
@@ -45,37 +52,53 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
     };
   
     const getScoreLabel = (score) => {
-      if (score >= 80) return 'Excellent';
-      if (score >= 60) return 'Good';
-      return 'Needs Attention';
+      if (score >= 80) return t('score.excellent');
+      if (score >= 60) return t('score.good');
+      return t('score.needsAttention');
     };
   
   // Component Generators
+  // The logo image when the template has one, else the company name
+  const generateLogo = (className) => (branding.logoDataUri
+    ? `<div class="${className}"><img src="${escapeHtml(branding.logoDataUri)}" alt="${escapeHtml(branding.companyName)}"></div>`
+    : `<div class="${className}">${escapeHtml(branding.companyName)}</div>`);
+
+  const generateCoverPage = () => {
+    if (!branding.coverPage?.enabled) return '';
+    return `
+      <div class="cover-page">
+        ${generateLogo('cover-logo')}
+        <h1 class="cover-title">${escapeHtml(branding.coverPage.title || t('report.title'))}</h1>
+        ${branding.coverPage.subtitle ? `<div class="cover-subtitle">${escapeHtml(branding.coverPage.subtitle)}</div>` : ''}
+        <div class="cover-brand">${escapeHtml(brandName || t('report.unknownBrand'))}</div>
+        <div class="date-info">${currentDate}</div>
+      </div>
+      <div class="page-break"></div>
+    `;
+  };
+
   const generateHeader = () => `
       <div class="header">
-              <div class="logo">CenterPage</div>
-          <h1>Brand Analysis Report</h1>
-              <div class="brand-info">${brandName || 'Unknown Brand'}</div>
-              <div class="brand-info">${category || 'General'} Industry</div>
-              <div class="date-info">Generated on ${currentDate}</div>
+              ${generateLogo('logo')}
+          <h1>${t('report.title')}</h1>
+              <div class="brand-info">${escapeHtml(brandName || t('report.unknownBrand'))}</div>
+              <div class="brand-info">${t('report.industry', { category: escapeHtml(category || t('report.defaultCategory')) })}</div>
+              <div class="date-info">${t('report.generatedOn', { date: currentDate })}</div>
           </div>
   `;
   
   const generateExecutiveSummary = () => `
           <div class="executive-summary">
-              <h2>Executive Summary</h2>
+              <h2>${t('summary.title')}</h2>
               <div class="summary-content">
-        This comprehensive brand analysis evaluates "<strong>${brandName || 'your brand'}</strong>" 
-        for market viability in the ${category || 'business'} industry. Our analysis examines domain 
-        availability, competitive landscape, and market positioning to provide data-driven insights 
-        for strategic decision making.
+        ${t('summary.body', { brand: escapeHtml(brandName || t('summary.defaultBrand')), category: escapeHtml(category || t('summary.defaultCategory')) })}
       </div>
     </div>
   `;
   
   const generateScoreSection = () => `
       <div class="score-section">
-      <h2>Overall Brand Viability Score</h2>
+      <h2>${t('score.title')}</h2>
               <div class="score-container">
         <div class="score-circle" style="border-top-color: ${getScoreColor(analysisData.overallScore || 0)}">
           <div class="score-number" style="color: ${getScoreColor(analysisData.overallScore || 0)}">
@@ -84,32 +107,32 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
                   </div>
               </div>
       <div class="score-description">
-        ${getScoreLabel(analysisData.overallScore || 0)} - ${Math.round(analysisData.overallScore || 0)}/100
+        ${t('score.description', { label: getScoreLabel(analysisData.overallScore || 0), score: formatNumber(Math.round(analysisData.overallScore || 0)) })}
       </div>
     </div>
   `;
   
   const generateMetrics = () => `
           <div class="metrics-section">
-              <div class="metrics-title">Key Performance Indicators</div>
+              <div class="metrics-title">${t('metrics.title')}</div>
               <div class="metrics-grid">
                   <div class="metric-card">
           <div class="metric-value" style="color: ${getScoreColor(analysisData.scores?.domainStrength || 0)}">
             ${Math.round(analysisData.scores?.domainStrength || 0)}
           </div>
-              <div class="metric-title">Domain Strength</div>
+              <div class="metric-title">${t('metrics.domainStrength')}</div>
                   </div>
                   <div class="metric-card">
           <div class="metric-value" style="color: ${getScoreColor(analysisData.scores?.competitionIntensity || 0)}">
             ${Math.round(analysisData.scores?.competitionIntensity || 0)}
           </div>
-                      <div class="metric-title">Competition (Higher = Easier)</div>
+                      <div class="metric-title">${t('metrics.competition')}</div>
                   </div>
                   <div class="metric-card">
           <div class="metric-value" style="color: ${getScoreColor(analysisData.scores?.seoDifficulty || 0)}">
             ${Math.round(analysisData.scores?.seoDifficulty || 0)}
           </div>
-                      <div class="metric-title">SEO Difficulty (Higher = Easier)</div>
+                      <div class="metric-title">${t('metrics.seoDifficulty')}</div>
                   </div>
               </div>
           </div>
@@ -117,34 +140,34 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
   
   const generateDataTable = () => `
           <div class="data-section">
-              <div class="data-title">Analysis Breakdown</div>
+              <div class="data-title">${t('breakdown.title')}</div>
               <table class="data-table">
                   <thead>
                       <tr>
-                          <th>Metric</th>
-                          <th>Score</th>
-                          <th>Status</th>
+                          <th>${t('breakdown.metric')}</th>
+                          <th>${t('breakdown.score')}</th>
+                          <th>${t('breakdown.status')}</th>
                       </tr>
                   </thead>
                   <tbody>
                       <tr>
-                          <td>Domain Availability</td>
-                          <td>${Math.round(analysisData.scores?.domainStrength || 0)}/100</td>
+                          <td>${t('breakdown.domainAvailability')}</td>
+                          <td>${t('score.outOf', { score: formatNumber(Math.round(analysisData.scores?.domainStrength || 0)) })}</td>
                           <td>${getScoreLabel(analysisData.scores?.domainStrength || 0)}</td>
                       </tr>
                       <tr>
-                          <td>Competition Level</td>
-                          <td>${Math.round(analysisData.scores?.competitionIntensity || 0)}/100</td>
+                          <td>${t('breakdown.competitionLevel')}</td>
+                          <td>${t('score.outOf', { score: formatNumber(Math.round(analysisData.scores?.competitionIntensity || 0)) })}</td>
                           <td>${getScoreLabel(analysisData.scores?.competitionIntensity || 0)}</td>
                       </tr>
                       <tr>
-                          <td>SEO Difficulty</td>
-                          <td>${Math.round(analysisData.scores?.seoDifficulty || 0)}/100</td>
+                          <td>${t('breakdown.seoDifficulty')}</td>
+                          <td>${t('score.outOf', { score: formatNumber(Math.round(analysisData.scores?.seoDifficulty || 0)) })}</td>
                           <td>${getScoreLabel(analysisData.scores?.seoDifficulty || 0)}</td>
                       </tr>
                       <tr>
-                          <td>Overall Viability</td>
-                          <td>${Math.round(analysisData.overallScore || 0)}/100</td>
+                          <td>${t('breakdown.overallViability')}</td>
+                          <td>${t('score.outOf', { score: formatNumber(Math.round(analysisData.overallScore || 0)) })}</td>
                           <td>${getScoreLabel(analysisData.overallScore || 0)}</td>
                       </tr>
                   </tbody>
@@ -157,9 +180,9 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
     if (!domains || !Array.isArray(domains) || domains.length === 0) {
       return `
           <div class="domains-section">
-              <div class="domains-title">Domain Availability Analysis</div>
+              <div class="domains-title">${t('domains.title')}</div>
           <div class="domain-item">
-            <span class="domain-name">No domain data available</span>
+            <span class="domain-name">${t('domains.none')}</span>
           </div>
         </div>
       `;
@@ -167,12 +190,12 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
 
     return `
       <div class="domains-section">
-        <div class="domains-title">Domain Availability Analysis</div>
+        <div class="domains-title">${t('domains.title')}</div>
         ${domains.map(domain => `
                       <div class="domain-item">
-                          <span class="domain-name">${domain.domain || 'Unknown domain'}</span>
+                          <span class="domain-name">${escapeHtml(domain.domain || t('domains.unknown'))}</span>
             <span class="domain-status ${domain.isAvailable ? 'available' : 'taken'}">
-              ${domain.isAvailable ? 'Available' : 'Taken'}
+              ${domain.isAvailable ? t('domains.available') : t('domains.taken')}
             </span>
           </div>
         `).join('')}
@@ -188,11 +211,11 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
 
                   return `
                   <div class="competitors-section">
-                      <div class="competitors-title">Competitive Landscape</div>
+                      <div class="competitors-title">${t('competitors.title')}</div>
                       ${competitors.slice(0, 10).map(competitor => `
                           <div class="competitor-row">
-                              <span class="competitor-name">${competitor.name || competitor.url || 'Unknown'}</span>
-                              <span class="competitor-score">${competitor.relevanceScore || 'N/A'}</span>
+                              <span class="competitor-name">${escapeHtml(competitor.name || competitor.url || t('common.unknown'))}</span>
+                              <span class="competitor-score">${escapeHtml(competitor.relevanceScore || t('common.notAvailable'))}</span>
                           </div>
                       `).join('')}
                   </div>
@@ -205,10 +228,115 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
                         analysisData.data || 
                         analysisData;
 
-    if (!deepScanData || (!deepScanData.competitorsAnalyzed && !deepScanData.analysis && !deepScanData.detailedAgentReports)) {
+    if (!deepScanData || (!deepScanData.competitorsAnalyzed && !deepScanData.analysis && !deepScanData.strategy && !deepScanData.detailedAgentReports)) {
       return '';
     }
 
+    // Competitors that couldn't be crawled, or whose specialist agents partly failed
+    const generateCoverageSection = () => {
+      const gaps = (deepScanData.competitorStatus || []).filter(status => status.status !== 'ok');
+      if (gaps.length === 0) return '';
+      const labels = { blocked: t('coverage.blocked'), timed_out: t('coverage.timedOut'), failed: t('coverage.failed') };
+
+      return `
+        <div class="coverage-section">
+          <h3 class="section-title">${t('coverage.title')}</h3>
+          <p>${t('coverage.intro', { failed: formatNumber(gaps.length), total: formatNumber(deepScanData.competitorStatus.length) })}</p>
+          <ul>
+            ${gaps.map(status => `
+              <li>
+                <strong>${escapeHtml(status.url)}</strong> &mdash;
+                ${status.status === 'partial' ? t('coverage.partial') : labels[status.crawl?.status] || t('coverage.failed')}${status.reason ? `: ${escapeHtml(status.reason)}` : ''}
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      `;
+    };
+
+    // Side-by-side comparisons of the numbers every competitor has (inline SVG, see reportCharts.js)
+    const generateChartsSection = () => {
+      const competitors = deepScanData.detailedAgentReports || [];
+      if (competitors.length === 0) return '';
+      const hostname = (url) => {
+        try {
+          return new URL(url).hostname.replace(/^www\./, '');
+        } catch {
+          return url || t('competitor.unknown');
+        }
+      };
+      const labels = competitors.map(competitor => hostname(competitor.url));
+      const summaries = competitors.map(competitor => competitor.raw_data_summary || {});
+      const number = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+      const format = (value) => formatNumber(Math.round(value));
+
+      const metricChart = (key, value) => barChart({
+        label: t(`charts.${key}`),
+        rows: summaries.map((summary, index) => ({ label: labels[index], value: number(value(summary)) })),
+        formatValue: format,
+        missingLabel: t('common.notAvailable'),
+      });
+      const figure = (title, chart) => (chart ? `
+        <figure class="chart-figure">
+          <figcaption>${title}</figcaption>
+          ${chart}
+        </figure>
+      ` : '');
+
+      const headingsChart = groupedBarChart({
+        label: t('charts.headings'),
+        rows: summaries.map((summary, index) => ({ label: labels[index], values: [number(summary.h2Count), number(summary.h3Count)] })),
+        series: [{ label: 'H2', className: 'chart-series-1' }, { label: 'H3', className: 'chart-series-2' }],
+        formatValue: format,
+      });
+
+      const metricCharts = [
+        ['wordCount', summary => summary.wordCount],
+        ['internalLinks', summary => summary.internalLinks],
+        ['externalLinks', summary => summary.externalLinks],
+        ['loadTime', summary => summary.performance?.loadTime],
+        ['largestContentfulPaint', summary => summary.performance?.largestContentfulPaint],
+        ['technologies', summary => (Array.isArray(summary.techStack) ? summary.techStack.length : null)],
+      ].map(([key, value]) => figure(t(`charts.${key}`), metricChart(key, value)));
+
+      // The most widely used technologies first, so shared stack choices lead the matrix
+      const stacks = summaries.map(summary => new Set((summary.techStack || []).map(tech => tech.name).filter(Boolean)));
+      const technologies = [...new Set(stacks.flatMap(stack => [...stack]))]
+        .map(name => ({ name, count: stacks.filter(stack => stack.has(name)).length }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, 15);
+      const techMatrix = matrixChart({
+        label: t('charts.techOverlap'),
+        columns: labels,
+        rows: technologies.map(({ name }) => ({ label: name, cells: stacks.map(stack => stack.has(name)) })),
+        formatValue: formatNumber,
+      });
+
+      const agentKeys = ['technical', 'content', 'visual_ux', 'accessibility'];
+      const findingsChart = groupedBarChart({
+        label: t('charts.findings'),
+        rows: agentKeys.map(agent => ({
+          label: t(`charts.agent.${agent}`),
+          values: ['strengths', 'weaknesses'].map(kind => competitors.reduce((sum, competitor) => (
+            sum + (competitor.specialist_reports?.[agent]?.[kind]?.length || 0)
+          ), 0)),
+        })),
+        series: [{ label: t('charts.strengths'), className: 'chart-strengths' }, { label: t('charts.weaknesses'), className: 'chart-weaknesses' }],
+        formatValue: formatNumber,
+      });
+
+      const charts = [...metricCharts, figure(t('charts.headings'), headingsChart), figure(t('charts.findings'), findingsChart)].filter(Boolean);
+      if (charts.length === 0 && !techMatrix) return '';
+
+      return `
+        <div class="charts-section">
+          <h3 class="section-title">${t('charts.title')}</h3>
+          <div class="charts-grid">${charts.join('')}</div>
+          ${techMatrix ? `<div class="chart-wide">${figure(t('charts.techOverlap'), techMatrix)}</div>` : ''}
+        </div>
+      `;
+    };
+
     const generateCompetitorAnalysis = () => {
       if (!deepScanData.detailedAgentReports || deepScanData.detailedAgentReports.length === 0) {
               return '';
@@ -216,23 +344,52 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
 
       return `
         <div class="deep-competitors-section">
-          <h3 class="section-title">Detailed Competitor Analysis</h3>
+          <h3 class="section-title">${t('competitor.detailedTitle')}</h3>
           ${deepScanData.detailedAgentReports.map(competitor => `
             <div class="deep-competitor-card">
               <div class="competitor-header">
-                <h4>${competitor.url || 'Unknown Competitor'}</h4>
+                <h4>${escapeHtml(competitor.url || t('competitor.unknown'))}</h4>
                 <div class="competitor-metrics">
-                  ${competitor.raw_data_summary ? `<span class="metric-badge">Words: ${competitor.raw_data_summary.wordCount || 'N/A'}</span>` : ''}
-                  ${competitor.specialist_reports ? `<span class="metric-badge">AI Analyzed</span>` : ''}
+                  ${competitor.raw_data_summary ? `<span class="metric-badge">${t('competitor.words', { count: formatCount(competitor.raw_data_summary.wordCount) })}</span>` : ''}
+                  ${competitor.raw_data_summary?.accessibility ? `<span class="metric-badge">${t('competitor.accessibilityIssues', { total: formatCount(competitor.raw_data_summary.accessibility.total), critical: formatCount(competitor.raw_data_summary.accessibility.critical) })}</span>` : ''}
+                  ${competitor.specialist_reports ? `<span class="metric-badge">${t('competitor.aiAnalyzed')}</span>` : ''}
+                </div>
+              </div>
+              <div class="competitor-body">
+                ${generateScreenshots(competitor)}
+                <div class="competitor-body-main">
+                  ${generateSpecialistReports(competitor.specialist_reports)}
                 </div>
               </div>
-              ${generateSpecialistReports(competitor.specialist_reports)}
             </div>
           `).join('')}
         </div>
       `;
     };
 
+    // Above-the-fold thumbnails of what the visual agent reviewed
+    const generateScreenshots = (competitor) => {
+      const images = competitor.screenshots ? screenshots[competitor.screenshots.key] : null;
+      if (!images || (!images.desktopThumbnail && !images.mobileThumbnail)) return '';
+
+      return `
+        <div class="competitor-screenshots">
+          ${images.desktopThumbnail ? `
+            <figure class="screenshot desktop">
+              <img src="${escapeHtml(images.desktopThumbnail)}" alt="${t('screenshots.desktopAlt')}" />
+              <figcaption>${t('screenshots.desktop')}</figcaption>
+            </figure>
+          ` : ''}
+          ${images.mobileThumbnail ? `
+            <figure class="screenshot mobile">
+              <img src="${escapeHtml(images.mobileThumbnail)}" alt="${t('screenshots.mobileAlt')}" />
+              <figcaption>${t('screenshots.mobile')}</figcaption>
+            </figure>
+          ` : ''}
+        </div>
+      `;
+    };
+
     const generateSpecialistReports = (reports) => {
       if (!reports) return '';
 
@@ -244,26 +401,97 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
             <strong>${title}:</strong>
             ${report.strengths && report.strengths.length > 0 ? `
               <div class="strengths">
-                <span class="label success">✓ Strengths:</span>
-                <ul>${report.strengths.map(item => `<li>${item}</li>`).join('')}</ul>
+                <span class="label success">${t('agents.strengths')}</span>
+                <ul>${report.strengths.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</ul>
               </div>
             ` : ''}
             ${report.weaknesses && report.weaknesses.length > 0 ? `
               <div class="weaknesses">
-                <span class="label warning">⚠ Weaknesses:</span>
-                <ul>${report.weaknesses.map(item => `<li>${item}</li>`).join('')}</ul>
+                <span class="label warning">${t('agents.weaknesses')}</span>
+                <ul>${report.weaknesses.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</ul>
               </div>
             ` : ''}
           </div>
         `;
       };
 
+      // Newer visual reports keep mobile and desktop findings apart; older ones only have the flat lists
+      const generateVisualSection = (report) => {
+        if (!report || !(report.desktop || report.mobile)) return generateReportSection(t('agents.visual'), report);
+        return `
+          ${generateReportSection(t('agents.visualMobile'), report.mobile)}
+          ${generateReportSection(t('agents.visualDesktop'), report.desktop)}
+        `;
+      };
+
       return `
         <div class="competitor-analysis">
-          <h5>AI Specialist Analysis</h5>
-          ${generateReportSection('Technical Analysis', reports.technical)}
-          ${generateReportSection('Content & SEO Analysis', reports.content)}
-          ${generateReportSection('Visual & UX Analysis', reports.visual_ux)}
+          <h5>${t('agents.title')}</h5>
+          ${generateReportSection(t('agents.technical'), reports.technical)}
+          ${generateReportSection(t('agents.content'), reports.content)}
+          ${generateVisualSection(reports.visual_ux)}
+          ${generateReportSection(t('agents.accessibility'), reports.accessibility)}
+        </div>
+      `;
+    };
+
+    // Structured Chief Strategist report; older reports only have the markdown `analysis`
+    const generateStrategySection = (strategy) => {
+      const tierOrder = ['top_threat', 'primary_target', 'contender'];
+      const tiers = [...(strategy.tierList || [])].sort((a, b) => tierOrder.indexOf(a.tier) - tierOrder.indexOf(b.tier));
+      const overview = strategy.marketOverview || {};
+      const generateList = (title, items) => items && items.length > 0 ? `
+        <div class="overview-list">
+          <span class="label">${title}</span>
+          <ul>${items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</ul>
+        </div>
+      ` : '';
+
+      return `
+        <div class="comparative-analysis-section">
+          <h3 class="section-title">${t('strategy.title')}</h3>
+          <div class="strategy-block">
+            <h4>${t('strategy.marketOverview')}</h4>
+            <div class="analysis-content">${renderMarkdown(overview.summary)}</div>
+            ${generateList(t('strategy.trends'), overview.trends)}
+            ${generateList(t('strategy.commonStrengths'), overview.commonStrengths)}
+            ${generateList(t('strategy.commonWeaknesses'), overview.commonWeaknesses)}
+          </div>
+          ${tiers.length > 0 ? `
+            <div class="strategy-block">
+              <h4>${t('strategy.tierList')}</h4>
+              ${tiers.map(entry => `
+                <div class="tier-row">
+                  <span class="tier-badge tier-${toClassName(entry.tier)}">${escapeHtml(TIERS.includes(entry.tier) ? t(`tier.${entry.tier}`) : entry.tier)}</span>
+                  <div class="tier-detail">
+                    <div class="tier-url">${escapeHtml(entry.url)}</div>
+                    <div class="tier-reason">${renderInlineMarkdown(entry.reason)}</div>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+          ${strategy.decisiveAdvantage ? `
+            <div class="strategy-block advantage-block">
+              <h4>${t('strategy.decisiveAdvantage')}</h4>
+              <div class="advantage-title">${renderInlineMarkdown(strategy.decisiveAdvantage.title)}</div>
+              ${strategy.decisiveAdvantage.rationale ? renderMarkdown(strategy.decisiveAdvantage.rationale) : ''}
+            </div>
+          ` : ''}
+          ${strategy.quickWins && strategy.quickWins.length > 0 ? `
+            <div class="strategy-block">
+              <h4>${t('strategy.quickWins')}</h4>
+              <ol class="quick-wins">
+                ${strategy.quickWins.map(win => `
+                  <li>
+                    <strong>${renderInlineMarkdown(win.action)}</strong>
+                    <span class="impact-badge impact-${toClassName(win.impact)}">${escapeHtml(IMPACT_LEVELS.includes(win.impact) ? t(`impact.${win.impact}`) : win.impact)}</span>
+                    ${win.rationale ? `<div class="win-rationale">${renderInlineMarkdown(win.rationale)}</div>` : ''}
+                  </li>
+                `).join('')}
+              </ol>
+            </div>
+          ` : ''}
         </div>
       `;
     };
@@ -272,143 +500,188 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
                   <div class="page-break"></div>
                   <div class="deep-scan-section">
                       <div class="premium-header">
-                          <div class="premium-badge">PREMIUM ANALYSIS</div>
-                          <h2 class="deep-scan-title">Deep Scan Intelligence Report</h2>
-                          <p class="deep-scan-subtitle">Advanced AI-powered competitive analysis with live-scraped data</p>
+                          <div class="premium-badge">${t('deepScan.badge')}</div>
+                          <h2 class="deep-scan-title">${t('deepScan.title')}</h2>
+                          <p class="deep-scan-subtitle">${t('deepScan.subtitle')}</p>
       </div>
+        ${generateChartsSection()}
         ${generateCompetitorAnalysis()}
-        ${deepScanData.analysis ? `
+        ${deepScanData.strategy ? generateStrategySection(deepScanData.strategy) : deepScanData.analysis ? `
                       <div class="comparative-analysis-section">
-                          <h3 class="section-title">AI Strategic Analysis</h3>
+                          <h3 class="section-title">${t('strategy.title')}</h3>
                           <div class="analysis-content">
-              ${deepScanData.analysis.split('\n').map(p => p.trim() ? `<p>${p.trim()}</p>` : '').join('')}
+              ${renderMarkdown(deepScanData.analysis, { headingOffset: 2 })}
                           </div>
                       </div>
                       ` : ''}
         ${deepScanData.competitorsAnalyzed && deepScanData.competitorsAnalyzed.length > 0 ? `
                       <div class="market-insights-section">
-            <h3 class="section-title">Competitors Analyzed</h3>
+            <h3 class="section-title">${t('deepScan.competitorsAnalyzed')}</h3>
                           <div class="insights-grid">
               ${deepScanData.competitorsAnalyzed.map(competitor => `
                                   <div class="insight-item">
-                  <h6>${competitor.url || 'Unknown URL'}</h6>
-                  <p>${competitor.title || 'No title available'}</p>
+                  <h6>${escapeHtml(competitor.url || t('deepScan.unknownUrl'))}</h6>
+                  <p>${escapeHtml(competitor.title || t('deepScan.noTitle'))}</p>
               </div>
           `).join('')}
       </div>
                       </div>
                       ` : ''}
+        ${generateCoverageSection()}
                   </div>
                   `;
   };
   
   const generateRecommendations = () => `
           <div class="recommendation-section">
-              <div class="recommendation-title">Strategic Recommendations</div>
+              <div class="recommendation-title">${t('recommendations.title')}</div>
               <div class="recommendation-content">
-        ${analysisData.recommendation || analysisData.summary || 
-          `Based on our analysis of "${brandName || 'this brand'}" in the ${category || 'this'} industry, 
-          we recommend careful consideration of the competitive landscape and domain availability. 
-          Focus on building a strong brand identity that differentiates from existing market players.`}
+        ${analysisData.recommendation || analysisData.summary ? renderMarkdown(analysisData.recommendation || analysisData.summary) :
+          t('recommendations.fallback', { brand: escapeHtml(brandName || t('recommendations.defaultBrand')), category: escapeHtml(category || t('recommendations.defaultCategory')) })}
       </div>
     </div>
   `;
   
+  const generateDisclaimer = () => (branding.disclaimer ? `
+      <div class="disclaimer-section">
+        <div class="disclaimer-title">${t('disclaimer.title')}</div>
+        <div class="analysis-content">${renderMarkdown(branding.disclaimer, { headingOffset: 2 })}</div>
+      </div>
+  ` : '');
+
+  // The built-in template's footer line comes from the catalog; white-label templates bring their own
+  const footerText = branding.templateId === DEFAULT_TEMPLATE_ID ? t('footer.generatedBy', { company: branding.companyName }) : branding.footerText;
   const generateFooter = () => `
       <div class="footer">
-              <div class="footer-logo">CenterPage</div>
+              ${generateLogo('footer-logo')}
               <div class="footer-text">
-                  This report was generated by CenterPage's AI-powered brand analysis engine.<br>
-                  © ${new Date().getFullYear()} CenterPage. All rights reserved. | Professional Brand Intelligence
+                  ${footerText ? `${escapeHtml(footerText)}<br>` : ''}
+                  ${t('footer.copyright', { year: new Date().getFullYear(), company: escapeHtml(branding.companyName) })}
               </div>
           </div>
   `;
 
+  // Template palette and embedded fonts; colours and font names are validated by reportTemplates.js
+  const fontFaces = (branding.fonts || []).map(font => `
+      @font-face {
+        font-family: '${font.family}'; font-weight: ${font.weight}; font-style: ${font.style};
+        src: url('${font.dataUri}') format('${font.format}');
+      }`).join('');
+  const themeStyles = `
+      ${fontFaces}
+      :root {
+        --color-primary: ${branding.colors.primary}; --color-accent: ${branding.colors.accent};
+        --color-text: ${branding.colors.text}; --color-muted: ${branding.colors.muted};
+        --color-subtle: ${branding.colors.subtle}; --color-surface: ${branding.colors.surface};
+        --color-border: ${branding.colors.border};
+        --font-body: ${branding.fontStacks.body}; --font-heading: ${branding.fontStacks.heading};
+      }
+  `;
+
   // CSS Styles
   const styles = `
     <style>
-      @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');
+      ${themeStyles}
       
       * { margin: 0; padding: 0; box-sizing: border-box; }
       
       body { 
-        font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; 
-        line-height: 1.6; color: #374151; background: #ffffff;
+        font-family: var(--font-body); 
+        line-height: 1.6; color: var(--color-text); background: #ffffff;
       }
       
+      h1, h2, h3, h4, h5, h6, .logo, .footer-logo { font-family: var(--font-heading); }
+      
+      .cover-page {
+        min-height: 900px; padding: 160px 40px 0; text-align: center;
+        border-top: 12px solid var(--color-accent); background: var(--color-surface);
+      }
+      
+      .cover-logo { font-size: 36px; font-weight: 700; color: var(--color-primary); margin-bottom: 80px; }
+      
+      .cover-logo img { max-width: 320px; max-height: 120px; }
+      
+      .cover-title { font-size: 34px; font-weight: 700; color: var(--color-primary); margin-bottom: 16px; }
+      
+      .cover-subtitle { font-size: 18px; color: var(--color-muted); margin-bottom: 48px; }
+      
+      .cover-brand { font-size: 22px; font-weight: 600; color: var(--color-text); margin-bottom: 8px; }
+      
       .page { max-width: 800px; margin: 0 auto; background: white; }
       
       .header {
-        background: #f9fafb; border-bottom: 3px solid #1f2937; color: #1f2937;
+        background: var(--color-surface); border-bottom: 3px solid var(--color-accent); color: var(--color-primary);
         padding: 40px 30px; text-align: center;
       }
       
-      .logo { font-size: 28px; font-weight: 700; margin-bottom: 16px; color: #1f2937; }
+      .logo { font-size: 28px; font-weight: 700; margin-bottom: 16px; color: var(--color-primary); }
       
-      .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 12px; color: #374151; }
+      .logo img { max-width: 220px; max-height: 64px; }
       
-      .brand-info { font-size: 18px; font-weight: 600; margin-bottom: 8px; color: #1f2937; }
+      .header h1 { font-size: 24px; font-weight: 600; margin-bottom: 12px; color: var(--color-text); }
       
-      .date-info { font-size: 14px; color: #6b7280; }
+      .brand-info { font-size: 18px; font-weight: 600; margin-bottom: 8px; color: var(--color-primary); }
+      
+      .date-info { font-size: 14px; color: var(--color-subtle); }
       
       .executive-summary {
-        padding: 40px 30px; background: #ffffff; border-left: 4px solid #1f2937; margin: 20px 0;
+        padding: 40px 30px; background: #ffffff; border-left: 4px solid var(--color-accent); margin: 20px 0;
       }
       
-      .executive-summary h2 { font-size: 20px; font-weight: 600; margin-bottom: 16px; color: #1f2937; }
+      .executive-summary h2 { font-size: 20px; font-weight: 600; margin-bottom: 16px; color: var(--color-primary); }
       
-      .summary-content { font-size: 14px; line-height: 1.7; color: #4b5563; }
+      .summary-content { font-size: 14px; line-height: 1.7; color: var(--color-muted); }
       
       .score-section {
-        padding: 40px 30px; text-align: center; background: #f9fafb; border: 1px solid #e5e7eb;
+        padding: 40px 30px; text-align: center; background: var(--color-surface); border: 1px solid var(--color-border);
       }
       
       .score-container { display: inline-block; position: relative; margin-bottom: 20px; }
       
       .score-circle {
-        width: 120px; height: 120px; border-radius: 50%; border: 8px solid #e5e7eb;
+        width: 120px; height: 120px; border-radius: 50%; border: 8px solid var(--color-border);
         display: flex; align-items: center; justify-content: center; margin: 0 auto;
       }
       
       .score-number { font-size: 28px; font-weight: 700; }
       
-      .score-description { font-size: 16px; font-weight: 600; color: #374151; margin-top: 16px; }
+      .score-description { font-size: 16px; font-weight: 600; color: var(--color-text); margin-top: 16px; }
       
       .metrics-section { padding: 40px 30px; background: #ffffff; }
       
-      .metrics-title { font-size: 18px; font-weight: 600; margin-bottom: 24px; text-align: center; color: #1f2937; }
+      .metrics-title { font-size: 18px; font-weight: 600; margin-bottom: 24px; text-align: center; color: var(--color-primary); }
       
       .metrics-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 20px; }
       
-      .metric-card { background: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; text-align: center; }
+      .metric-card { background: var(--color-surface); padding: 20px; border: 1px solid var(--color-border); text-align: center; }
       
       .metric-value { font-size: 24px; font-weight: 700; margin-bottom: 8px; }
       
-      .metric-title { font-size: 12px; font-weight: 500; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px; }
+      .metric-title { font-size: 12px; font-weight: 500; color: var(--color-subtle); text-transform: uppercase; letter-spacing: 0.5px; }
       
       .data-section { padding: 40px 30px; background: #ffffff; }
       
-      .data-title { font-size: 18px; font-weight: 600; margin-bottom: 20px; color: #1f2937; }
+      .data-title { font-size: 18px; font-weight: 600; margin-bottom: 20px; color: var(--color-primary); }
       
       .data-table { width: 100%; border-collapse: collapse; margin-bottom: 30px; }
       
       .data-table th {
-        background: #f9fafb; padding: 12px; text-align: left; font-weight: 600; font-size: 12px;
-        color: #374151; border-bottom: 2px solid #e5e7eb; text-transform: uppercase; letter-spacing: 0.5px;
+        background: var(--color-surface); padding: 12px; text-align: left; font-weight: 600; font-size: 12px;
+        color: var(--color-text); border-bottom: 2px solid var(--color-border); text-transform: uppercase; letter-spacing: 0.5px;
       }
       
-      .data-table td { padding: 12px; border-bottom: 1px solid #e5e7eb; font-size: 14px; color: #4b5563; }
+      .data-table td { padding: 12px; border-bottom: 1px solid var(--color-border); font-size: 14px; color: var(--color-muted); }
       
-      .domains-section { padding: 40px 30px; background: #f9fafb; }
+      .domains-section { padding: 40px 30px; background: var(--color-surface); }
       
-      .domains-title { font-size: 18px; font-weight: 600; margin-bottom: 20px; color: #1f2937; }
+      .domains-title { font-size: 18px; font-weight: 600; margin-bottom: 20px; color: var(--color-primary); }
       
       .domain-item {
         display: flex; justify-content: space-between; align-items: center;
-        padding: 12px 16px; background: #ffffff; border: 1px solid #e5e7eb; margin-bottom: 8px;
+        padding: 12px 16px; background: #ffffff; border: 1px solid var(--color-border); margin-bottom: 8px;
       }
       
-      .domain-name { font-weight: 500; color: #1f2937; }
+      .domain-name { font-weight: 500; color: var(--color-primary); }
       
       .domain-status {
         font-weight: 600; font-size: 12px; padding: 4px 8px; border: 1px solid; text-transform: uppercase;
@@ -420,57 +693,103 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
       
       .competitors-section { padding: 40px 30px; background: #ffffff; }
       
-      .competitors-title { font-size: 18px; font-weight: 600; margin-bottom: 20px; color: #1f2937; }
+      .competitors-title { font-size: 18px; font-weight: 600; margin-bottom: 20px; color: var(--color-primary); }
       
       .competitor-row {
         display: flex; justify-content: space-between; align-items: center;
-        padding: 12px 16px; background: #f9fafb; border: 1px solid #e5e7eb; margin-bottom: 8px;
+        padding: 12px 16px; background: var(--color-surface); border: 1px solid var(--color-border); margin-bottom: 8px;
       }
       
-      .competitor-name { font-weight: 500; color: #1f2937; flex: 1; }
+      .competitor-name { font-weight: 500; color: var(--color-primary); flex: 1; }
       
-      .competitor-score { font-weight: 600; font-size: 14px; color: #374151; width: 60px; text-align: center; }
+      .competitor-score { font-weight: 600; font-size: 14px; color: var(--color-text); width: 60px; text-align: center; }
       
       .deep-scan-section { padding: 40px 30px; background: #ffffff; }
       
       .premium-header {
-        text-align: center; margin-bottom: 40px; padding: 30px; background: #f8fafc; border: 2px solid #e5e7eb;
+        text-align: center; margin-bottom: 40px; padding: 30px; background: #f8fafc; border: 2px solid var(--color-border);
       }
       
       .premium-badge {
-        display: inline-block; background: #1f2937; color: white; padding: 6px 16px;
+        display: inline-block; background: var(--color-accent); color: white; padding: 6px 16px;
         font-size: 11px; font-weight: 700; letter-spacing: 1px; margin-bottom: 16px;
       }
       
-      .deep-scan-title { font-size: 24px; font-weight: 700; color: #1f2937; margin-bottom: 8px; }
+      .deep-scan-title { font-size: 24px; font-weight: 700; color: var(--color-primary); margin-bottom: 8px; }
       
-      .deep-scan-subtitle { font-size: 14px; color: #6b7280; margin: 0; }
+      .deep-scan-subtitle { font-size: 14px; color: var(--color-subtle); margin: 0; }
       
       .section-title {
-        font-size: 18px; font-weight: 600; color: #1f2937; margin-bottom: 20px;
-        padding-bottom: 8px; border-bottom: 2px solid #e5e7eb;
+        font-size: 18px; font-weight: 600; color: var(--color-primary); margin-bottom: 20px;
+        padding-bottom: 8px; border-bottom: 2px solid var(--color-border);
       }
       
+      .charts-section { margin-bottom: 40px; }
+
+      .charts-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+
+      .chart-figure { margin: 0; padding: 12px; background: #ffffff; border: 1px solid var(--color-border); page-break-inside: avoid; }
+
+      .chart-figure figcaption { font-size: 12px; font-weight: 600; color: var(--color-text); margin-bottom: 8px; }
+
+      .chart-wide { margin-top: 20px; }
+
+      .chart { display: block; max-width: 100%; height: auto; font-family: var(--font-body); }
+
+      .chart-label, .chart-value { font-size: 10px; fill: var(--color-muted); }
+
+      .chart-missing { font-style: italic; fill: var(--color-subtle); }
+
+      .chart-axis { stroke: var(--color-border); stroke-width: 1; }
+
+      .chart-bar, .chart-series-1 { fill: var(--color-accent); }
+
+      .chart-series-2 { fill: var(--color-subtle); }
+
+      .chart-strengths { fill: #059669; }
+
+      .chart-weaknesses { fill: #dc2626; }
+
+      .chart-cell { fill: var(--color-surface); stroke: var(--color-border); stroke-width: 1; }
+
+      .chart-cell-filled { fill: var(--color-accent); stroke: var(--color-accent); }
+
       .deep-competitors-section { margin-bottom: 40px; }
       
-      .deep-competitor-card { background: #f9fafb; border: 1px solid #e5e7eb; padding: 24px; margin-bottom: 20px; }
+      .deep-competitor-card { background: var(--color-surface); border: 1px solid var(--color-border); padding: 24px; margin-bottom: 20px; }
       
       .competitor-header {
         display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;
       }
       
-      .competitor-header h4 { font-size: 16px; font-weight: 600; color: #1f2937; margin: 0; }
+      .competitor-header h4 { font-size: 16px; font-weight: 600; color: var(--color-primary); margin: 0; }
       
       .competitor-metrics { display: flex; gap: 8px; }
       
       .metric-badge {
-        background: #e5e7eb; color: #374151; padding: 4px 8px; border-radius: 4px;
+        background: var(--color-border); color: var(--color-text); padding: 4px 8px; border-radius: 4px;
         font-size: 11px; font-weight: 600;
       }
       
+      .competitor-body { display: flex; gap: 20px; align-items: flex-start; }
+      
+      .competitor-body-main { flex: 1; min-width: 0; }
+      
+      .competitor-screenshots { display: flex; gap: 8px; align-items: flex-start; flex-shrink: 0; }
+      
+      .screenshot { margin: 0; text-align: center; page-break-inside: avoid; }
+      
+      .screenshot img { display: block; border: 1px solid var(--color-border); background: #ffffff; }
+      
+      .screenshot.desktop img { width: 200px; }
+      
+      .screenshot.mobile img { width: 72px; max-height: 156px; object-fit: cover; object-position: top; }
+      
+      .screenshot figcaption { font-size: 10px; color: var(--color-subtle); margin-top: 4px; }
+      
       .competitor-analysis { margin-bottom: 16px; }
       
-      .competitor-analysis h5 { font-size: 14px; font-weight: 600; color: #1f2937; margin-bottom: 8px; }
+      .competitor-analysis h5 { font-size: 14px; font-weight: 600; color: var(--color-primary); margin-bottom: 8px; }
       
       .report-section { margin-bottom: 16px; }
       
@@ -484,37 +803,92 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
       
       .strengths ul, .weaknesses ul { margin: 4px 0; padding-left: 16px; }
       
-      .strengths li, .weaknesses li { font-size: 11px; color: #4b5563; }
+      .strengths li, .weaknesses li { font-size: 11px; color: var(--color-muted); }
       
       .comparative-analysis-section { margin-bottom: 40px; }
       
-      .analysis-content p { font-size: 14px; line-height: 1.7; color: #4b5563; margin-bottom: 12px; }
+      .analysis-content p { font-size: 14px; line-height: 1.7; color: var(--color-muted); margin-bottom: 12px; }
+      .analysis-content h3, .analysis-content h4, .analysis-content h5, .analysis-content h6 { font-size: 15px; font-weight: 600; color: var(--color-primary); margin: 18px 0 8px; }
+      .analysis-content ul, .analysis-content ol { margin: 0 0 12px 20px; font-size: 14px; color: var(--color-muted); }
+      .analysis-content li { margin-bottom: 4px; }
+      .analysis-content table { width: 100%; border-collapse: collapse; margin-bottom: 12px; font-size: 13px; }
+      .analysis-content th, .analysis-content td { border: 1px solid var(--color-border); padding: 6px 8px; text-align: left; }
+      .analysis-content th { background: var(--color-surface); font-weight: 600; }
+      .analysis-content code { font-family: monospace; font-size: 12px; background: #f3f4f6; padding: 1px 4px; border-radius: 3px; }
+      
+      .strategy-block { margin-bottom: 24px; }
+      
+      .strategy-block h4 { font-size: 15px; font-weight: 600; color: var(--color-primary); margin-bottom: 10px; }
+      
+      .overview-list { margin-top: 8px; }
+      
+      .overview-list ul, .quick-wins { margin: 4px 0; padding-left: 18px; }
+      
+      .overview-list li, .quick-wins li { font-size: 13px; color: var(--color-muted); margin-bottom: 6px; }
+      
+      .tier-row {
+        display: flex; align-items: flex-start; gap: 12px; padding: 12px 16px;
+        background: var(--color-surface); border: 1px solid var(--color-border); margin-bottom: 8px;
+      }
+      
+      .tier-badge, .impact-badge {
+        font-size: 10px; font-weight: 700; padding: 3px 8px; text-transform: uppercase;
+        letter-spacing: 0.5px; border: 1px solid; white-space: nowrap;
+      }
+      
+      .tier-top_threat, .impact-high { color: #dc2626; border-color: #dc2626; background: #fef2f2; }
+      
+      .tier-primary_target, .impact-low { color: #059669; border-color: #059669; background: #ecfdf5; }
+      
+      .tier-contender, .impact-medium { color: #d97706; border-color: #d97706; background: #fffbeb; }
+      
+      .tier-url { font-size: 13px; font-weight: 600; color: var(--color-primary); }
+      
+      .tier-reason, .win-rationale { font-size: 12px; color: var(--color-muted); }
+      
+      .advantage-block { padding: 16px; border-left: 4px solid var(--color-accent); background: var(--color-surface); }
+      
+      .advantage-title { font-size: 15px; font-weight: 600; color: var(--color-primary); margin-bottom: 6px; }
+      
+      .advantage-block p { font-size: 13px; color: var(--color-muted); }
       
       .market-insights-section { margin-bottom: 40px; }
+      .coverage-section { margin-bottom: 40px; padding: 16px 20px; background: #fff8e6; border-left: 4px solid #f0ad4e; border-radius: 6px; }
+      .coverage-section ul { margin: 8px 0 0 20px; }
+      .coverage-section li { margin-bottom: 6px; font-size: 13px; }
       
       .insights-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 20px; }
       
-      .insight-item { background: #f9fafb; padding: 16px; border: 1px solid #e5e7eb; }
+      .insight-item { background: var(--color-surface); padding: 16px; border: 1px solid var(--color-border); }
       
-      .insight-item h6 { font-size: 13px; font-weight: 600; color: #1f2937; margin-bottom: 8px; }
+      .insight-item h6 { font-size: 13px; font-weight: 600; color: var(--color-primary); margin-bottom: 8px; }
       
-      .insight-item p { font-size: 12px; color: #4b5563; margin: 0; line-height: 1.5; }
+      .insight-item p { font-size: 12px; color: var(--color-muted); margin: 0; line-height: 1.5; }
       
       .recommendation-section {
-        padding: 40px 30px; background: #ffffff; border-top: 2px solid #e5e7eb;
+        padding: 40px 30px; background: #ffffff; border-top: 2px solid var(--color-border);
       }
       
-      .recommendation-title { font-size: 18px; font-weight: 600; margin-bottom: 16px; color: #1f2937; }
+      .recommendation-title { font-size: 18px; font-weight: 600; margin-bottom: 16px; color: var(--color-primary); }
       
-      .recommendation-content { font-size: 14px; line-height: 1.7; color: #4b5563; }
+      .recommendation-content { font-size: 14px; line-height: 1.7; color: var(--color-muted); }
       
       .footer {
-        padding: 30px; text-align: center; background: #f9fafb; border-top: 1px solid #e5e7eb;
+        padding: 30px; text-align: center; background: var(--color-surface); border-top: 1px solid var(--color-border);
       }
       
-      .footer-logo { font-size: 18px; font-weight: 600; color: #1f2937; margin-bottom: 8px; }
+      .footer-logo { font-size: 18px; font-weight: 600; color: var(--color-primary); margin-bottom: 8px; }
+      
+      .footer-logo img { max-width: 140px; max-height: 36px; }
+      
+      .footer-text { font-size: 11px; color: var(--color-subtle); line-height: 1.5; }
+      
+      .disclaimer-section { padding: 30px; border-top: 1px solid var(--color-border); }
+      
+      .disclaimer-title { font-size: 13px; font-weight: 600; color: var(--color-primary); margin-bottom: 8px; }
       
-      .footer-text { font-size: 11px; color: #6b7280; line-height: 1.5; }
+      .disclaimer-section .analysis-content p,
+      .disclaimer-section .analysis-content li { font-size: 11px; color: var(--color-subtle); }
       
       .page-break { page-break-before: always; }
     </style>
@@ -523,23 +897,25 @@ export function generateProfessionalPdfHtml(analysisData, brandName, category) {
   // Generate Complete HTML
   return `
     <!DOCTYPE html>
-    <html>
+    <html lang="${escapeHtml(locale || analysisData.metadata?.locale || 'en')}">
     <head>
       <meta charset="UTF-8">
-      <title>Brand Analysis Report - ${brandName}</title>
+      <title>${t('report.documentTitle', { brand: escapeHtml(brandName) })} | ${escapeHtml(branding.companyName)}</title>
       ${styles}
     </head>
     <body>
       <div class="page">
+        ${generateCoverPage()}
         ${generateHeader()}
-        ${generateExecutiveSummary()}
-        ${generateScoreSection()}
-        ${generateMetrics()}
-        ${generateDataTable()}
-        ${generateDomainSection()}
-        ${generateCompetitorSection()}
-        ${generateDeepScanSection()}
-        ${generateRecommendations()}
+        ${includeSection('summary', generateExecutiveSummary)}
+        ${includeSection('score', generateScoreSection)}
+        ${includeSection('metrics', generateMetrics)}
+        ${includeSection('breakdown', generateDataTable)}
+        ${includeSection('domains', generateDomainSection)}
+        ${includeSection('competitors', generateCompetitorSection)}
+        ${includeSection('deepScan', generateDeepScanSection)}
+        ${includeSection('recommendations', generateRecommendations)}
+        ${generateDisclaimer()}
         ${generateFooter()}
       </div>
   </body>
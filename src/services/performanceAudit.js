@@ -0,0 +1,173 @@
+import { getDomain } from 'tldts';
+
+/**
+ * Performance Audit
+ * Core Web Vitals and resource-weight collection for a Puppeteer page, driven through CDP.
+ * Usage: const audit = await startPerformanceAudit(page, 'slow4g') before navigation, then
+ * await audit.collect(finalUrl) once the page has settled. All values are numbers
+ * (milliseconds, bytes, counts) so competitors can be compared directly.
+ */
+
+// Network/CPU throttling profiles (latency ms, throughput bytes/s, CPU slowdown multiplier)
+export const THROTTLING_PROFILES = {
+  none: null,
+  cable: { latency: 28, downloadThroughput: 5 * 1024 * 1024 / 8, uploadThroughput: 1 * 1024 * 1024 / 8, cpuSlowdown: 1 },
+  fast4g: { latency: 60, downloadThroughput: 9 * 1024 * 1024 / 8, uploadThroughput: 1.5 * 1024 * 1024 / 8, cpuSlowdown: 2 },
+  // Matches Lighthouse's default mobile throttling
+  slow4g: { latency: 150, downloadThroughput: 1.6 * 1024 * 1024 / 8, uploadThroughput: 750 * 1024 / 8, cpuSlowdown: 4 },
+};
+
+export const DEFAULT_THROTTLING = process.env.PERFORMANCE_THROTTLING || 'none';
+
+// Long tasks over this budget count towards Total Blocking Time
+const LONG_TASK_BUDGET_MS = 50;
+
+// Installed before any page script runs so buffered entries are never missed
+const OBSERVER_SCRIPT = () => {
+  window.__cpPerf = { lcp: null, cls: 0, longTasks: [] };
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch (e) { /* entry type not supported */ }
+  };
+  observe('largest-contentful-paint', entry => { window.__cpPerf.lcp = entry.startTime; });
+  observe('layout-shift', entry => { if (!entry.hadRecentInput) window.__cpPerf.cls += entry.value; });
+  observe('longtask', entry => { window.__cpPerf.longTasks.push({ start: entry.startTime, duration: entry.duration }); });
+};
+
+const CDP_TYPE_MAP = {
+  Document: 'document',
+  Script: 'script',
+  Stylesheet: 'stylesheet',
+  Image: 'image',
+  Font: 'font',
+  Media: 'media',
+  XHR: 'xhr',
+  Fetch: 'xhr',
+};
+
+const round = value => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value) : null);
+
+/**
+ * Enables throttling and network accounting on a page. Call before page.goto().
+ */
+export async function startPerformanceAudit(page, throttling = DEFAULT_THROTTLING) {
+  if (!(throttling in THROTTLING_PROFILES)) {
+    throw new Error(`Unknown throttling profile: ${throttling}`);
+  }
+  const profile = THROTTLING_PROFILES[throttling];
+  const client = await page.createCDPSession();
+  const requests = new Map();
+
+  await client.send('Network.enable');
+  if (profile) {
+    await client.send('Network.emulateNetworkConditions', {
+      offline: false,
+      latency: profile.latency,
+      downloadThroughput: profile.downloadThroughput,
+      uploadThroughput: profile.uploadThroughput,
+    });
+    await client.send('Emulation.setCPUThrottlingRate', { rate: profile.cpuSlowdown });
+  }
+
+  client.on('Network.responseReceived', ({ requestId, type, response }) => {
+    requests.set(requestId, { url: response.url, type: CDP_TYPE_MAP[type] || 'other', bytes: 0 });
+  });
+  client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    const request = requests.get(requestId);
+    if (request) request.bytes = encodedDataLength;
+  });
+
+  await page.evaluateOnNewDocument(OBSERVER_SCRIPT);
+
+  return {
+    throttling,
+    async collect(finalUrl) {
+      const pageMetrics = await page.evaluate(() => {
+        const nav = performance.getEntriesByType('navigation')[0];
+        const fcp = performance.getEntriesByType('paint').find(entry => entry.name === 'first-contentful-paint');
+        const renderBlocking = performance.getEntriesByType('resource')
+          .filter(entry => entry.renderBlockingStatus === 'blocking')
+          .map(entry => ({ url: entry.name, type: entry.initiatorType, transferSize: entry.transferSize, duration: entry.duration }));
+        return {
+          fcp: fcp ? fcp.startTime : null,
+          ttfb: nav ? nav.responseStart - nav.startTime : null,
+          domContentLoaded: nav ? nav.domContentLoadedEventEnd - nav.startTime : null,
+          load: nav && nav.loadEventEnd > 0 ? nav.loadEventEnd - nav.startTime : null,
+          observed: window.__cpPerf || { lcp: null, cls: 0, longTasks: [] },
+          renderBlocking,
+        };
+      });
+
+      // Reset so later pages or screenshots on this tab aren't throttled
+      if (profile) {
+        await client.send('Network.emulateNetworkConditions', { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }).catch(() => {});
+        await client.send('Emulation.setCPUThrottlingRate', { rate: 1 }).catch(() => {});
+      }
+      await client.detach().catch(() => {});
+
+      return buildPerformanceReport(pageMetrics, [...requests.values()], finalUrl, throttling);
+    },
+  };
+}
+
+/**
+ * Turns raw page timings and network records into the numeric report stored per competitor.
+ */
+export function buildPerformanceReport(pageMetrics, requests, finalUrl, throttling) {
+  const siteDomain = getDomain(finalUrl);
+  const { observed } = pageMetrics;
+  const afterFcp = observed.longTasks.filter(task => pageMetrics.fcp === null || task.start >= pageMetrics.fcp);
+
+  const byType = {};
+  const thirdPartyDomains = {};
+  let totalBytes = 0;
+  let thirdPartyBytes = 0;
+  let thirdPartyRequests = 0;
+
+  requests.forEach(request => {
+    byType[request.type] = byType[request.type] || { requests: 0, bytes: 0 };
+    byType[request.type].requests += 1;
+    byType[request.type].bytes += request.bytes;
+    totalBytes += request.bytes;
+
+    const domain = getDomain(request.url);
+    if (domain && siteDomain && domain !== siteDomain) {
+      thirdPartyRequests += 1;
+      thirdPartyBytes += request.bytes;
+      thirdPartyDomains[domain] = thirdPartyDomains[domain] || { domain, requests: 0, bytes: 0 };
+      thirdPartyDomains[domain].requests += 1;
+      thirdPartyDomains[domain].bytes += request.bytes;
+    }
+  });
+
+  return {
+    auditMode: true,
+    throttling,
+    timeToFirstByte: round(pageMetrics.ttfb),
+    firstContentfulPaint: round(pageMetrics.fcp),
+    largestContentfulPaint: round(observed.lcp),
+    cumulativeLayoutShift: Math.round(observed.cls * 1000) / 1000,
+    totalBlockingTime: round(afterFcp.reduce((sum, task) => sum + Math.max(0, task.duration - LONG_TASK_BUDGET_MS), 0)),
+    // No real user input happens in a headless crawl, so the longest task stands in for INP
+    longestTask: round(Math.max(0, ...observed.longTasks.map(task => task.duration))),
+    longTaskCount: observed.longTasks.length,
+    domContentLoaded: round(pageMetrics.domContentLoaded),
+    loadTime: round(pageMetrics.load),
+    requestCount: requests.length,
+    transferSize: totalBytes,
+    resourcesByType: byType,
+    thirdParty: {
+      requests: thirdPartyRequests,
+      bytes: thirdPartyBytes,
+      share: totalBytes ? Math.round((thirdPartyBytes / totalBytes) * 100) / 100 : 0,
+      topDomains: Object.values(thirdPartyDomains).sort((a, b) => b.bytes - a.bytes).slice(0, 10),
+    },
+    renderBlockingResources: pageMetrics.renderBlocking.map(resource => ({
+      url: resource.url,
+      type: resource.type,
+      transferSize: resource.transferSize,
+      duration: round(resource.duration),
+    })),
+  };
+}
@@ -0,0 +1,144 @@
+import { escapeHtml } from './markdown.js';
+
+/**
+ * Report Charts
+ * Inline SVG charts for the report renderer. Everything is laid out here on a fixed grid (no
+ * script, fonts or CDN), so the HTML export and the PDF render the same chart. Shapes and text
+ * carry chart-* classes and take their colours and font from the report stylesheet, i.e. from the
+ * template. Labels are escaped; numbers are formatted by the caller (locale-aware).
+ */
+
+// Average glyph width of the 10px chart labels; labels are truncated to fit since SVG text doesn't wrap
+const CHAR_WIDTH = 6;
+
+const truncate = (text, maxWidth) => {
+  const value = String(text ?? '');
+  const maxChars = Math.max(4, Math.floor(maxWidth / CHAR_WIDTH));
+  return value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value;
+};
+
+const svg = (width, height, label, body) => `
+  <svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(label)}" xmlns="http://www.w3.org/2000/svg">
+    <title>${escapeHtml(label)}</title>
+    ${body}
+  </svg>`;
+
+const text = (x, y, value, { anchor = 'start', className = 'chart-label', maxWidth, transform } = {}) => (
+  `<text x="${x}" y="${y}" text-anchor="${anchor}" class="${className}"${transform ? ` transform="${transform}"` : ''}>${escapeHtml(maxWidth ? truncate(value, maxWidth) : value)}</text>`
+);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Horizontal bar chart comparing one metric across items.
+ * rows: [{ label, value }] (value null = not measured, shown as `missingLabel`).
+ * Returns '' when no row has a value.
+ */
+export function barChart({ label, rows, formatValue = String, missingLabel = '' }) {
+  const values = rows.map(row => row.value).filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (values.length === 0) return '';
+
+  const width = 340;
+  const labelWidth = 120;
+  const valueWidth = 56;
+  const rowHeight = 22;
+  const barHeight = 12;
+  const max = Math.max(...values, 0) || 1;
+  const plotWidth = width - labelWidth - valueWidth;
+
+  const body = rows.map((row, index) => {
+    const y = index * rowHeight + 4;
+    const textY = y + barHeight - 2;
+    const hasValue = typeof row.value === 'number' && Number.isFinite(row.value);
+    const barWidth = hasValue ? round(Math.max(row.value, 0) / max * plotWidth) : 0;
+    return [
+      text(labelWidth - 6, textY, row.label, { anchor: 'end', maxWidth: labelWidth - 10 }),
+      hasValue ? `<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" class="chart-bar" />` : '',
+      hasValue
+        ? text(labelWidth + barWidth + 4, textY, formatValue(row.value), { className: 'chart-value' })
+        : text(labelWidth + 4, textY, missingLabel, { className: 'chart-value chart-missing' }),
+    ].join('');
+  }).join('');
+
+  const axis = `<line x1="${labelWidth}" y1="0" x2="${labelWidth}" y2="${rows.length * rowHeight}" class="chart-axis" />`;
+  return svg(width, rows.length * rowHeight + 4, label, axis + body);
+}
+
+/**
+ * Horizontal bars with one bar per series for every row, plus a legend.
+ * rows: [{ label, values: [number per series] }]; series: [{ label, className }].
+ * Returns '' when every value is zero or missing.
+ */
+export function groupedBarChart({ label, rows, series, formatValue = String }) {
+  const values = rows.flatMap(row => row.values).filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (!values.some(value => value > 0)) return '';
+
+  const width = 340;
+  const labelWidth = 120;
+  const valueWidth = 40;
+  const barHeight = 10;
+  const groupHeight = series.length * (barHeight + 2) + 10;
+  const legendHeight = 20;
+  const max = Math.max(...values);
+  const plotWidth = width - labelWidth - valueWidth;
+
+  const body = rows.map((row, rowIndex) => {
+    const groupY = rowIndex * groupHeight + 4;
+    const bars = series.map((entry, seriesIndex) => {
+      const value = typeof row.values[seriesIndex] === 'number' ? row.values[seriesIndex] : 0;
+      const y = groupY + seriesIndex * (barHeight + 2);
+      const barWidth = round(Math.max(value, 0) / max * plotWidth);
+      return `<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" class="chart-bar ${entry.className}" />`
+        + text(labelWidth + barWidth + 4, y + barHeight - 1, formatValue(value), { className: 'chart-value' });
+    }).join('');
+    const labelY = groupY + (series.length * (barHeight + 2)) / 2 + 3;
+    return text(labelWidth - 6, labelY, row.label, { anchor: 'end', maxWidth: labelWidth - 10 }) + bars;
+  }).join('');
+
+  const plotHeight = rows.length * groupHeight;
+  const legend = series.map((entry, index) => {
+    const x = labelWidth + index * 100;
+    return `<rect x="${x}" y="${plotHeight + 8}" width="10" height="10" class="chart-bar ${entry.className}" />`
+      + text(x + 14, plotHeight + 17, entry.label, { maxWidth: 80 });
+  }).join('');
+
+  const axis = `<line x1="${labelWidth}" y1="0" x2="${labelWidth}" y2="${plotHeight}" class="chart-axis" />`;
+  return svg(width, plotHeight + legendHeight + 4, label, axis + body + legend);
+}
+
+/**
+ * Presence matrix: a filled cell where a row item applies to a column (e.g. technology x
+ * competitor), with the row's total on the right. rows: [{ label, cells: [boolean per column] }].
+ * Returns '' without rows or columns.
+ */
+export function matrixChart({ label, columns, rows, formatValue = String }) {
+  if (rows.length === 0 || columns.length === 0) return '';
+
+  const labelWidth = 160;
+  const cellWidth = 56;
+  const cellHeight = 20;
+  const headerHeight = 90;
+  const totalWidth = 48;
+  // Room for the last column's label, which leans out past the totals
+  const width = labelWidth + columns.length * cellWidth + totalWidth + 60;
+
+  // Column labels run diagonally up and to the right from the top of each column
+  const header = columns.map((column, index) => {
+    const x = labelWidth + index * cellWidth + cellWidth / 2;
+    return text(x, headerHeight - 6, column, { maxWidth: 120, transform: `rotate(-35 ${x} ${headerHeight - 6})` });
+  }).join('');
+
+  const body = rows.map((row, rowIndex) => {
+    const y = headerHeight + rowIndex * cellHeight;
+    const cells = row.cells.map((present, columnIndex) => {
+      const x = labelWidth + columnIndex * cellWidth;
+      return `<rect x="${x + 2}" y="${y + 2}" width="${cellWidth - 4}" height="${cellHeight - 4}" class="chart-cell${present ? ' chart-cell-filled' : ''}" />`;
+    }).join('');
+    const count = row.cells.filter(Boolean).length;
+    return text(labelWidth - 6, y + cellHeight / 2 + 3, row.label, { anchor: 'end', maxWidth: labelWidth - 10 })
+      + cells
+      + text(labelWidth + columns.length * cellWidth + 8, y + cellHeight / 2 + 3, `${formatValue(count)}/${formatValue(columns.length)}`, { className: 'chart-value' });
+  }).join('');
+
+  return svg(width, headerHeight + rows.length * cellHeight + 4, label, header + body);
+}
@@ -0,0 +1,193 @@
+import { buildClientReport, buildReportSummary, reportFilename } from './clientReport.js';
+import { loadScreenshotDataUris } from './screenshotStore.js';
+import { generateProfessionalPdfHtml } from './pdfGenerator.js';
+import { loadRenderTemplate } from './reportTemplates.js';
+import { buildXlsx } from './xlsxWriter.js';
+
+/**
+ * Report Exports
+ * Non-PDF exports of a stored report, for analysts working in spreadsheets and slides:
+ *   html  the PDF layout as one self-contained page (screenshots, logo and fonts embedded)
+ *   json  a versioned bundle: the client report plus the competitor matrix
+ *   csv   the competitor matrix, one row per competitor
+ *   xlsx  the competitor matrix and a summary sheet
+ * The competitor matrix holds each competitor's crawled metrics and every specialist agent's
+ * strengths and weaknesses. Metrics a report never stored (older reports lack link and H2
+ * counts) are left empty.
+ */
+
+// Bump when the bundle's shape changes incompatibly
+export const EXPORT_BUNDLE_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', mediaType: 'text/html' },
+  json: { contentType: 'application/json; charset=utf-8', mediaType: 'application/json' },
+  csv: { contentType: 'text/csv; charset=utf-8', mediaType: 'text/csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    mediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+};
+
+// Specialist agents in the order their columns appear
+const AGENTS = [
+  { key: 'technical', label: 'Technical' },
+  { key: 'content', label: 'Content & SEO' },
+  { key: 'visual_ux', label: 'Visual & UX' },
+  { key: 'accessibility', label: 'Accessibility' },
+];
+
+export const COMPETITOR_MATRIX_COLUMNS = [
+  { key: 'url', label: 'Competitor URL', width: 36 },
+  { key: 'requestedUrl', label: 'Requested URL', width: 36 },
+  { key: 'title', label: 'Title', width: 36 },
+  { key: 'status', label: 'Scan status' },
+  { key: 'wordCount', label: 'Word count' },
+  { key: 'internalLinks', label: 'Internal links' },
+  { key: 'externalLinks', label: 'External links' },
+  { key: 'h2Count', label: 'H2 count' },
+  { key: 'pagesCrawled', label: 'Pages crawled' },
+  { key: 'timeToFirstByte', label: 'TTFB (ms)' },
+  { key: 'firstContentfulPaint', label: 'FCP (ms)' },
+  { key: 'largestContentfulPaint', label: 'LCP (ms)' },
+  { key: 'cumulativeLayoutShift', label: 'CLS' },
+  { key: 'totalBlockingTime', label: 'TBT (ms)' },
+  { key: 'loadTime', label: 'Load time (ms)' },
+  { key: 'requestCount', label: 'Requests' },
+  { key: 'transferSize', label: 'Transfer size (bytes)' },
+  { key: 'accessibilityIssues', label: 'Accessibility issues' },
+  { key: 'techStack', label: 'Tech stack', width: 40, wrap: true },
+  ...AGENTS.flatMap(agent => [
+    { key: `${agent.key}Strengths`, label: `${agent.label} strengths`, width: 50, wrap: true },
+    { key: `${agent.key}Weaknesses`, label: `${agent.label} weaknesses`, width: 50, wrap: true },
+  ]),
+];
+
+const numberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const joinLines = (items) => (Array.isArray(items) && items.length ? items.map(String).join('\n') : null);
+
+/**
+ * One row per competitor the deep scan produced agent reports for, keyed by
+ * COMPETITOR_MATRIX_COLUMNS keys.
+ */
+export function buildCompetitorMatrix(report) {
+  const titles = new Map((report.competitorsAnalyzed || []).map(competitor => [competitor.url, competitor.title]));
+  const statuses = new Map((report.competitorStatus || []).map(status => [status.url, status.status]));
+
+  return (report.detailedAgentReports || []).map(competitor => {
+    const summary = competitor.raw_data_summary || {};
+    const performance = summary.performance || {};
+    const requestedUrl = competitor.requestedUrl || competitor.url;
+    return {
+      url: competitor.url,
+      requestedUrl,
+      title: titles.get(competitor.url) || null,
+      status: statuses.get(requestedUrl) || null,
+      wordCount: numberOrNull(summary.wordCount),
+      internalLinks: numberOrNull(summary.internalLinks),
+      externalLinks: numberOrNull(summary.externalLinks),
+      h2Count: numberOrNull(summary.h2Count),
+      pagesCrawled: numberOrNull(summary.site?.pagesCrawled),
+      timeToFirstByte: numberOrNull(performance.timeToFirstByte),
+      firstContentfulPaint: numberOrNull(performance.firstContentfulPaint),
+      largestContentfulPaint: numberOrNull(performance.largestContentfulPaint),
+      cumulativeLayoutShift: numberOrNull(performance.cumulativeLayoutShift),
+      totalBlockingTime: numberOrNull(performance.totalBlockingTime),
+      loadTime: numberOrNull(performance.loadTime),
+      requestCount: numberOrNull(performance.requestCount),
+      transferSize: numberOrNull(performance.transferSize),
+      accessibilityIssues: numberOrNull(summary.accessibility?.total),
+      techStack: joinLines((summary.techStack || []).map(tech => (tech.version ? `${tech.name} ${tech.version}` : tech.name))),
+      ...Object.fromEntries(AGENTS.flatMap(agent => [
+        [`${agent.key}Strengths`, joinLines(competitor.specialist_reports?.[agent.key]?.strengths)],
+        [`${agent.key}Weaknesses`, joinLines(competitor.specialist_reports?.[agent.key]?.weaknesses)],
+      ])),
+    };
+  });
+}
+
+// Spreadsheet apps run cells starting with these as formulas, so such text gets a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The competitor matrix as RFC 4180 CSV, with a BOM so Excel reads it as UTF-8.
+ */
+export function buildCompetitorCsv(report) {
+  const lines = [
+    COMPETITOR_MATRIX_COLUMNS.map(column => csvCell(column.label)).join(','),
+    ...buildCompetitorMatrix(report).map(row => COMPETITOR_MATRIX_COLUMNS.map(column => csvCell(row[column.key])).join(',')),
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * A workbook with the competitor matrix and a summary of the report.
+ */
+export function buildCompetitorWorkbook(report) {
+  const client = buildClientReport(report);
+  const summary = [
+    ['Brand', report.brandName],
+    ['Category', report.category || 'General'],
+    ['Report ID', report.jobId],
+    ['Generated', buildReportSummary(report).createdAt || report.timestamp],
+    ['Competitors analyzed', report.competitorsAnalyzed?.length || 0],
+    ['Top threat', client.highlights?.topThreat?.url],
+    ['Primary target', client.highlights?.primaryTarget?.url],
+    ['Decisive advantage', client.highlights?.decisiveAdvantage?.title],
+  ].map(([field, value]) => ({ field, value: value ?? null }));
+
+  return buildXlsx([
+    { name: 'Competitors', columns: COMPETITOR_MATRIX_COLUMNS, rows: buildCompetitorMatrix(report) },
+    { name: 'Summary', columns: [{ key: 'field', label: 'Field', width: 24 }, { key: 'value', label: 'Value', width: 60, wrap: true }], rows: summary },
+  ]);
+}
+
+/**
+ * The versioned JSON bundle: everything /reports/:jobId returns plus the competitor matrix.
+ */
+export function buildReportBundle(report) {
+  return {
+    bundleVersion: EXPORT_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    report: buildClientReport(report),
+    competitorMatrix: {
+      columns: COMPETITOR_MATRIX_COLUMNS.map(({ key, label }) => ({ key, label })),
+      rows: buildCompetitorMatrix(report),
+    },
+  };
+}
+
+/**
+ * The report as one offline HTML page, rendered with a template from reportTemplates.js.
+ */
+export async function renderReportHtml(report, template) {
+  const [screenshots, renderTemplate] = await Promise.all([loadScreenshotDataUris(report), loadRenderTemplate(template)]);
+  return generateProfessionalPdfHtml(buildClientReport(report), report.brandName, report.category, { screenshots, template: renderTemplate });
+}
+
+/**
+ * Builds an export as { body, contentType, filename }.
+ */
+export async function buildReportExport(report, format, { template } = {}) {
+  const { contentType } = EXPORT_FORMATS[format];
+  const filename = reportFilename(report, format);
+  switch (format) {
+    case 'html':
+      return { body: await renderReportHtml(report, template), contentType, filename };
+    case 'json':
+      return { body: JSON.stringify(buildReportBundle(report), null, 2), contentType, filename };
+    case 'csv':
+      return { body: buildCompetitorCsv(report), contentType, filename };
+    case 'xlsx':
+      return { body: buildCompetitorWorkbook(report), contentType, filename };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
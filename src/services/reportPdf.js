@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { getBlobStore } from './blobStore.js';
+import { buildClientReport, reportFilename } from './clientReport.js';
+import { loadScreenshotDataUris } from './screenshotStore.js';
+import { generatePdfFromHtml, generateProfessionalPdfHtml } from './pdfGenerator.js';
+import { DEFAULT_REPORT_TEMPLATE, loadRenderTemplate, templateRevision } from './reportTemplates.js';
+
+/**
+ * Report PDFs
+ * Renders stored reports to PDF on the server and caches every render in the blob store under
+ * pdf-cache/<jobId>/<version>.pdf. The version covers the report revision (when it was last
+ * saved, so a retry-failed merge gets a new PDF), the template revision (so editing a template's
+ * branding re-renders) and PDF_RENDER_REVISION; renders of older versions are simply never read
+ * again. Templates are the stored records from reportTemplates.js.
+ *
+ * Configuration (env):
+ *   PDF_SYNC_MAX_COMPETITORS   Reports with more competitors render as a background job (default 3)
+ */
+
+export const PDF_SYNC_MAX_COMPETITORS = parseInt(process.env.PDF_SYNC_MAX_COMPETITORS || '3', 10);
+
+// Bump whenever the PDF markup changes so renders of the old layout stop being served
+const PDF_RENDER_REVISION = 5;
+
+const savedAt = (report) => (report.createdAt?.toMillis ? report.createdAt.toMillis() : Date.parse(report.createdAt) || 0);
+
+/**
+ * Cache version of a report rendered with a template. Changes whenever either would change the PDF.
+ */
+export function reportPdfVersion(report, template = DEFAULT_REPORT_TEMPLATE) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      savedAt: savedAt(report),
+      lastRetryAt: report.lastRetryAt || null,
+      template: templateRevision(template),
+      revision: PDF_RENDER_REVISION,
+    }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+const blobId = (report, template) => `pdf-cache/${report.jobId}/${reportPdfVersion(report, template)}.pdf`;
+
+/**
+ * Returns the cached PDF for this version of the report, or null.
+ */
+export async function getCachedReportPdf(report, template = DEFAULT_REPORT_TEMPLATE) {
+  const blob = await getBlobStore().getBlob(blobId(report, template));
+  return blob ? blob.data : null;
+}
+
+/**
+ * Renders a stored report (with its screenshots embedded) and caches the PDF.
+ */
+export async function renderReportPdf(report, template = DEFAULT_REPORT_TEMPLATE) {
+  const [screenshots, renderTemplate] = await Promise.all([loadScreenshotDataUris(report), loadRenderTemplate(template)]);
+  const html = generateProfessionalPdfHtml(buildClientReport(report), report.brandName, report.category, { screenshots, template: renderTemplate });
+  const pdfBuffer = Buffer.from(await generatePdfFromHtml(html));
+  try {
+    await getBlobStore().putBlob(blobId(report, template), pdfBuffer, { contentType: 'application/pdf' });
+  } catch (error) {
+    // A failed cache write only costs a re-render next time
+    console.warn(`⚠️ [Report PDF] Failed to cache PDF for ${report.jobId}: ${error.message}`);
+  }
+  console.log(`📄 [Report PDF] Rendered ${template.templateId} PDF for report ${report.jobId}`);
+  return pdfBuffer;
+}
+
+/**
+ * Whether a report is large enough that rendering it should not hold an HTTP request open.
+ */
+export function shouldRenderInBackground(report) {
+  return (report.competitorsAnalyzed?.length || 0) > PDF_SYNC_MAX_COMPETITORS;
+}
+
+/**
+ * BullMQ job ID of the background render for this version of the report, so repeated requests
+ * share one render.
+ */
+export function reportPdfJobId(report, template = DEFAULT_REPORT_TEMPLATE) {
+  return `pdf-${report.jobId}-${reportPdfVersion(report, template)}`;
+}
+
+export function reportPdfFilename(report) {
+  return reportFilename(report, 'pdf');
+}
@@ -0,0 +1,334 @@
+import admin from 'firebase-admin';
+import fs from 'fs/promises';
+import path from 'path';
+import { getDomain } from 'tldts';
+import { getDb } from './firestoreService.js';
+
+/**
+ * Report Repository
+ * Storage for finished deep scan reports, keyed by jobId. Every backend implements:
+ *   saveReport(jobId, data)                               -> Promise<void> (stamps createdAt)
+ *   replaceReport(jobId, data)                            -> Promise<void> (keeps data.createdAt, stamps updatedAt)
+ *   getReport(jobId)                                      -> Promise<report | null>
+ *   getLatestReportByBrand(brandName, { tenantId, category }) -> Promise<report | null>
+ *   listReports({ tenantId, brandName, category, fingerprint, limit }) -> Promise<report[]> (newest first)
+ *   searchReports(search)                                 -> Promise<{ reports, nextCursor }>
+ *   setShare(jobId, shareId, share)                       -> Promise<void> (creates or replaces shares[shareId])
+ *   recordShareAccess(jobId, shareId, format)             -> Promise<void> (bumps the share's access counts)
+ * Returned reports always carry their `jobId`. The backend is chosen with REPORT_STORE:
+ *   'firestore' (default) or 'local' (JSON files under LOCAL_STORE_DIR, default ./data).
+ * 'local' covers reports only; the rest of the service data stays in Firestore (see firestoreService).
+ *
+ * searchReports() returns only REPORT_SUMMARY_FIELDS, filtered by { tenantId, brandPrefix
+ * (case-insensitive), category, competitorDomain, createdFrom, createdTo, success } and ordered by
+ * one of REPORT_SORTS, a page of `limit` at a time. `nextCursor` is an opaque string for the next
+ * page (null on the last one). Brand and domain filters use fields stamped on save, so on
+ * Firestore they only match reports saved since they were introduced.
+ */
+
+export const REPORT_SUMMARY_FIELDS = [
+  'brandName', 'category', 'competitorUrls', 'competitorsAnalyzed', 'competitorStatus', 'strategy',
+  'success', 'error', 'timestamp', 'createdAt', 'tenantId', 'watchId', 'snapshotDate', 'lastRetryAt',
+];
+
+// Sort name -> [field, direction]; brand sorts use the lower-cased copy stamped on save
+export const REPORT_SORTS = {
+  '-createdAt': ['createdAt', 'desc'],
+  createdAt: ['createdAt', 'asc'],
+  brandName: ['brandNameLower', 'asc'],
+  '-brandName': ['brandNameLower', 'desc'],
+};
+
+export class ReportQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReportQueryError';
+  }
+}
+
+// Search fields derived from the report itself, stored alongside it
+const searchFields = (data) => ({
+  brandNameLower: String(data.brandName || '').toLowerCase(),
+  competitorDomains: [...new Set((data.competitorUrls || []).map(url => getDomain(url)).filter(Boolean))],
+});
+
+// Cursors carry the sort value and jobId of the last report on a page. createdAt is carried as
+// [seconds, nanoseconds]: Firestore timestamps are microsecond-precise, so resuming from
+// milliseconds would repeat or skip reports created within the same millisecond.
+const encodeCursor = (sort, value, jobId) => Buffer.from(JSON.stringify({ s: sort, v: value, id: jobId })).toString('base64url');
+
+const isCursorTime = value => Array.isArray(value) && value.length === 2 && value.every(Number.isInteger);
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const validValue = REPORT_SORTS[sort][0] !== 'createdAt' || isCursorTime(decoded.v);
+    if (decoded.s === sort && typeof decoded.id === 'string' && validValue) return decoded;
+  } catch {
+    // Fall through to the error below
+  }
+  throw new ReportQueryError('cursor is invalid or was issued for a different sort.');
+};
+
+const createdAtMillis = (value) => (value?.toMillis ? value.toMillis() : Date.parse(value) || 0);
+
+// A Firestore Timestamp or an ISO string as the [seconds, nanoseconds] pair cursors carry
+const toCursorTime = (value) => {
+  if (value instanceof admin.firestore.Timestamp) return [value.seconds, value.nanoseconds];
+  const millis = createdAtMillis(value);
+  return [Math.floor(millis / 1000), (millis % 1000) * 1e6];
+};
+
+export class FirestoreReportRepository {
+  constructor(collectionName = 'deepScans') {
+    this.collectionName = collectionName;
+  }
+
+  collection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  buildQuery({ tenantId, brandName, category, fingerprint } = {}) {
+    let query = this.collection();
+    if (brandName) query = query.where('brandName', '==', brandName);
+    if (category) query = query.where('category', '==', category);
+    if (fingerprint) query = query.where('fingerprint', '==', fingerprint);
+    if (tenantId) query = query.where('tenantId', '==', tenantId);
+    return query.orderBy('createdAt', 'desc');
+  }
+
+  async saveReport(jobId, data) {
+    await this.collection().doc(jobId).set({
+      ...data,
+      ...searchFields(data),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  async replaceReport(jobId, data) {
+    await this.collection().doc(jobId).set({
+      ...data,
+      ...searchFields(data),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  async getReport(jobId) {
+    const doc = await this.collection().doc(jobId).get();
+    return doc.exists ? { jobId: doc.id, ...doc.data() } : null;
+  }
+
+  async getLatestReportByBrand(brandName, { tenantId, category } = {}) {
+    const [latest] = await this.listReports({ brandName, tenantId, category, limit: 1 });
+    return latest || null;
+  }
+
+  async listReports({ tenantId, brandName, category, fingerprint, limit = 20 } = {}) {
+    const snapshot = await this.buildQuery({ tenantId, brandName, category, fingerprint }).limit(limit).get();
+    return snapshot.docs.map(doc => ({ jobId: doc.id, ...doc.data() }));
+  }
+
+  async setShare(jobId, shareId, share) {
+    await this.collection().doc(jobId).update({ [`shares.${shareId}`]: share });
+  }
+
+  async recordShareAccess(jobId, shareId, format) {
+    const { increment } = admin.firestore.FieldValue;
+    await this.collection().doc(jobId).update({
+      [`shares.${shareId}.accessCount`]: increment(1),
+      [`shares.${shareId}.accessCounts.${format}`]: increment(1),
+      [`shares.${shareId}.lastAccessedAt`]: new Date().toISOString(),
+    });
+  }
+
+  // Each filter combination needs a composite index; Firestore's error message links to it
+  async searchReports({ tenantId, brandPrefix, category, competitorDomain, createdFrom, createdTo, success, sort = '-createdAt', limit = 20, cursor } = {}) {
+    const [field, direction] = REPORT_SORTS[sort];
+    let query = this.collection();
+    if (tenantId) query = query.where('tenantId', '==', tenantId);
+    if (category) query = query.where('category', '==', category);
+    if (success !== undefined) query = query.where('success', '==', success);
+    if (competitorDomain) query = query.where('competitorDomains', 'array-contains', competitorDomain);
+    if (brandPrefix) {
+      const prefix = brandPrefix.toLowerCase();
+      query = query.where('brandNameLower', '>=', prefix).where('brandNameLower', '<', `${prefix}\uf8ff`);
+    }
+    if (createdFrom) query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(createdFrom));
+    if (createdTo) query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(createdTo));
+    query = query.orderBy(field, direction).orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+    if (cursor) {
+      const { v, id } = decodeCursor(cursor, sort);
+      query = query.startAfter(field === 'createdAt' ? new admin.firestore.Timestamp(...v) : v, id);
+    }
+
+    // One extra document tells us whether there is a next page
+    const snapshot = await query.select(...new Set([...REPORT_SUMMARY_FIELDS, field])).limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+    const last = docs[docs.length - 1];
+    return {
+      reports: docs.map(doc => ({ jobId: doc.id, ...doc.data() })),
+      nextCursor: snapshot.docs.length > limit
+        ? encodeCursor(sort, field === 'createdAt' ? toCursorTime(last.get(field)) : last.get(field), last.id)
+        : null,
+    };
+  }
+}
+
+/**
+ * Embedded file-backed store for local development and automated tests: one JSON file per
+ * report. Listing reads every file, which is fine for the handful of reports a dev box holds.
+ */
+export class LocalReportRepository {
+  constructor(baseDir = path.resolve(process.env.LOCAL_STORE_DIR || './data', 'reports')) {
+    this.baseDir = baseDir;
+  }
+
+  filePath(jobId) {
+    // Job IDs are hex fingerprints or BullMQ ids; refuse anything that could escape the directory
+    if (!/^[\w:.-]+$/.test(jobId)) throw new Error(`Invalid jobId: ${jobId}`);
+    return path.join(this.baseDir, `${encodeURIComponent(jobId)}.json`);
+  }
+
+  async writeReport(jobId, data) {
+    await fs.mkdir(this.baseDir, { recursive: true });
+    const target = this.filePath(jobId);
+    const temp = `${target}.${process.pid}.tmp`;
+    // Write then rename so readers never see a half-written report
+    await fs.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.rename(temp, target);
+  }
+
+  async saveReport(jobId, data) {
+    await this.writeReport(jobId, { ...data, ...searchFields(data), createdAt: new Date().toISOString() });
+  }
+
+  async replaceReport(jobId, data) {
+    await this.writeReport(jobId, { ...data, ...searchFields(data), updatedAt: new Date().toISOString() });
+  }
+
+  // Read-modify-write without locking; fine for a single dev process
+  async updateReport(jobId, update) {
+    const report = await this.getReport(jobId);
+    if (!report) throw new Error(`Report ${jobId} not found`);
+    const { jobId: _, ...data } = report;
+    update(data);
+    await this.writeReport(jobId, data);
+  }
+
+  async setShare(jobId, shareId, share) {
+    await this.updateReport(jobId, data => {
+      data.shares = { ...data.shares, [shareId]: share };
+    });
+  }
+
+  async recordShareAccess(jobId, shareId, format) {
+    await this.updateReport(jobId, data => {
+      const share = data.shares?.[shareId];
+      if (!share) return;
+      share.accessCount = (share.accessCount || 0) + 1;
+      share.accessCounts = { ...share.accessCounts, [format]: (share.accessCounts?.[format] || 0) + 1 };
+      share.lastAccessedAt = new Date().toISOString();
+    });
+  }
+
+  async getReport(jobId) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath(jobId), 'utf8'));
+      return { jobId, ...data };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async getLatestReportByBrand(brandName, { tenantId, category } = {}) {
+    const [latest] = await this.listReports({ brandName, tenantId, category, limit: 1 });
+    return latest || null;
+  }
+
+  async readAll() {
+    let files;
+    try {
+      files = (await fs.readdir(this.baseDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const reports = await Promise.all(files.map(file => this.getReport(decodeURIComponent(file.slice(0, -'.json'.length)))));
+    return reports.filter(Boolean);
+  }
+
+  async listReports({ tenantId, brandName, category, fingerprint, limit = 20 } = {}) {
+    return (await this.readAll())
+      .filter(report => (!brandName || report.brandName === brandName)
+        && (!category || report.category === category)
+        && (!fingerprint || report.fingerprint === fingerprint)
+        && (!tenantId || report.tenantId === tenantId))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+
+  async searchReports({ tenantId, brandPrefix, category, competitorDomain, createdFrom, createdTo, success, sort = '-createdAt', limit = 20, cursor } = {}) {
+    const [field, direction] = REPORT_SORTS[sort];
+    // Older local reports predate the stamped search fields, so derive them on the fly
+    const sortValue = (report) => (field === 'createdAt' ? createdAtMillis(report.createdAt) : searchFields(report)[field]);
+    const compare = (a, b) => {
+      const [va, vb] = [sortValue(a), sortValue(b)];
+      const order = va < vb ? -1 : va > vb ? 1 : a.jobId.localeCompare(b.jobId);
+      return direction === 'asc' ? order : -order;
+    };
+
+    let reports = (await this.readAll())
+      .filter(report => {
+        const fields = searchFields(report);
+        const created = createdAtMillis(report.createdAt);
+        return (!tenantId || report.tenantId === tenantId)
+          && (!category || report.category === category)
+          && (success === undefined || report.success === success)
+          && (!competitorDomain || fields.competitorDomains.includes(competitorDomain))
+          && (!brandPrefix || fields.brandNameLower.startsWith(brandPrefix.toLowerCase()))
+          && (!createdFrom || created >= createdFrom.getTime())
+          && (!createdTo || created <= createdTo.getTime());
+      })
+      .sort(compare);
+
+    if (cursor) {
+      const { v, id } = decodeCursor(cursor, sort);
+      const boundary = { jobId: id, createdAt: field === 'createdAt' ? new Date(v[0] * 1000 + v[1] / 1e6).toISOString() : undefined, brandName: v };
+      reports = reports.filter(report => compare(report, boundary) > 0);
+    }
+
+    const page = reports.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      reports: page.map(report => Object.fromEntries(['jobId', ...REPORT_SUMMARY_FIELDS].filter(key => key in report).map(key => [key, report[key]]))),
+      nextCursor: reports.length > limit
+        ? encodeCursor(sort, field === 'createdAt' ? toCursorTime(last.createdAt) : sortValue(last), last.jobId)
+        : null,
+    };
+  }
+}
+
+let repository;
+
+/**
+ * Returns the process-wide repository selected by REPORT_STORE.
+ */
+export function getReportRepository() {
+  if (repository) return repository;
+
+  const backend = (process.env.REPORT_STORE || 'firestore').toLowerCase();
+  switch (backend) {
+    case 'firestore':
+      repository = new FirestoreReportRepository();
+      break;
+    case 'local':
+      repository = new LocalReportRepository();
+      break;
+    default:
+      throw new Error(`Unknown REPORT_STORE backend: ${backend}`);
+  }
+  console.log(`🗄️ Report store: ${backend}`);
+  return repository;
+}
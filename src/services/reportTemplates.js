@@ -0,0 +1,325 @@
+import admin from 'firebase-admin';
+import { getDb } from './firestoreService.js';
+import { getBlobStore } from './blobStore.js';
+
+/**
+ * Report Templates
+ * White-label branding for rendered reports (PDF and the shared HTML view). A template carries
+ * the company name, logo, colour palette, fonts, an optional cover page, disclaimer and footer
+ * text, and which report sections to include. Templates live in reportTemplates/{templateId},
+ * scoped to a tenant; logo and font files are stored in the blob store and embedded as data
+ * URIs at render time, so rendering never needs the network.
+ *
+ * The template for a render is, in order: the one named on the request, the API key's
+ * templateId, then the built-in 'professional' template.
+ */
+
+export const DEFAULT_TEMPLATE_ID = 'professional';
+
+// Content sections in render order; header and footer are always included
+export const REPORT_SECTIONS = ['summary', 'score', 'metrics', 'breakdown', 'domains', 'competitors', 'deepScan', 'recommendations'];
+
+// System fonts only: nothing is downloaded while rendering
+const SYSTEM_FONT_STACK = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+export const DEFAULT_REPORT_TEMPLATE = Object.freeze({
+  templateId: DEFAULT_TEMPLATE_ID,
+  tenantId: null,
+  name: 'CenterPage Professional',
+  companyName: 'CenterPage',
+  logo: null,
+  colors: { primary: '#1f2937', accent: '#1f2937', text: '#374151', muted: '#4b5563', subtle: '#6b7280', surface: '#f9fafb', border: '#e5e7eb' },
+  typography: { body: null, heading: null },
+  fonts: [],
+  coverPage: { enabled: false, title: null, subtitle: null },
+  disclaimer: null,
+  footerText: "This report was generated by CenterPage's AI-powered brand analysis engine.",
+  sections: REPORT_SECTIONS,
+  updatedAt: null,
+});
+
+// The built-in template as loadRenderTemplate() returns it; it has no assets to load
+export const DEFAULT_RENDER_TEMPLATE = Object.freeze({
+  ...DEFAULT_REPORT_TEMPLATE,
+  logoDataUri: null,
+  fontStacks: { body: SYSTEM_FONT_STACK, heading: SYSTEM_FONT_STACK },
+});
+
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const FONT_TYPES = { 'font/woff2': 'woff2', 'font/woff': 'woff', 'font/ttf': 'truetype', 'font/otf': 'opentype' };
+const MAX_LOGO_BYTES = 1024 * 1024;
+// Uploads arrive base64-encoded in a JSON body, which the API caps at 10mb
+const MAX_FONT_BYTES = 1024 * 1024;
+const MAX_FONTS = 4;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FONT_FAMILY = /^[\w -]{1,64}$/;
+
+export class TemplateValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateValidationError';
+  }
+}
+
+const templatesRef = () => getDb().collection('reportTemplates');
+
+const optionalString = (value, field, maxLength) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw new TemplateValidationError(`${field} must be a string of at most ${maxLength} characters.`);
+  }
+  return value;
+};
+
+// Uploaded files arrive as { data: <base64>, contentType }
+const decodeUpload = (upload, field, allowedTypes, maxBytes) => {
+  if (!upload || typeof upload !== 'object' || typeof upload.data !== 'string' || !allowedTypes.includes(upload.contentType)) {
+    throw new TemplateValidationError(`${field} must be { data: <base64>, contentType } with contentType one of ${allowedTypes.join(', ')}.`);
+  }
+  const buffer = Buffer.from(upload.data, 'base64');
+  if (buffer.length === 0 || buffer.length > maxBytes) {
+    throw new TemplateValidationError(`${field} must be between 1 byte and ${maxBytes} bytes.`);
+  }
+  return buffer;
+};
+
+/**
+ * Validates the user-editable fields of a template. With `partial` only the fields present are
+ * checked. Logo and font uploads come back as buffers for saveAssets() to store.
+ */
+function validateTemplateInput(input, { partial = false } = {}) {
+  const fields = {};
+  const uploads = {};
+
+  if (!partial || input.name !== undefined) {
+    if (!input.name || typeof input.name !== 'string' || input.name.length > 100) {
+      throw new TemplateValidationError('name is required (at most 100 characters).');
+    }
+    fields.name = input.name;
+  }
+  if (!partial || input.companyName !== undefined) {
+    if (!input.companyName || typeof input.companyName !== 'string' || input.companyName.length > 100) {
+      throw new TemplateValidationError('companyName is required (at most 100 characters).');
+    }
+    fields.companyName = input.companyName;
+  }
+
+  if (input.colors !== undefined) {
+    if (typeof input.colors !== 'object' || input.colors === null || Array.isArray(input.colors)) {
+      throw new TemplateValidationError('colors must be an object of hex colours.');
+    }
+    const unknown = Object.keys(input.colors).filter(key => !(key in DEFAULT_REPORT_TEMPLATE.colors));
+    if (unknown.length) {
+      throw new TemplateValidationError(`Unknown colors: ${unknown.join(', ')}. Allowed: ${Object.keys(DEFAULT_REPORT_TEMPLATE.colors).join(', ')}.`);
+    }
+    // Colours end up in the stylesheet, so nothing but hex values gets through
+    if (!Object.values(input.colors).every(value => HEX_COLOR.test(value))) {
+      throw new TemplateValidationError('colors must be hex values such as #1f2937.');
+    }
+    // Colours not given keep their defaults (or, on update, their current values)
+    fields.colors = partial ? input.colors : { ...DEFAULT_REPORT_TEMPLATE.colors, ...input.colors };
+  } else if (!partial) fields.colors = { ...DEFAULT_REPORT_TEMPLATE.colors };
+
+  if (input.logo !== undefined) {
+    uploads.logo = input.logo === null ? null : { buffer: decodeUpload(input.logo, 'logo', LOGO_TYPES, MAX_LOGO_BYTES), contentType: input.logo.contentType };
+  }
+
+  if (input.fonts !== undefined) {
+    if (!Array.isArray(input.fonts) || input.fonts.length > MAX_FONTS) {
+      throw new TemplateValidationError(`fonts must be an array of at most ${MAX_FONTS} font files.`);
+    }
+    uploads.fonts = input.fonts.map((font, index) => {
+      if (!FONT_FAMILY.test(font?.family || '')) {
+        throw new TemplateValidationError(`fonts[${index}].family must be letters, digits, spaces or dashes.`);
+      }
+      const weight = font.weight ?? 400;
+      if (!Number.isInteger(weight) || weight < 100 || weight > 900) {
+        throw new TemplateValidationError(`fonts[${index}].weight must be between 100 and 900.`);
+      }
+      const style = font.style || 'normal';
+      if (!['normal', 'italic'].includes(style)) {
+        throw new TemplateValidationError(`fonts[${index}].style must be normal or italic.`);
+      }
+      return { family: font.family, weight, style, contentType: font.contentType, buffer: decodeUpload(font, `fonts[${index}]`, Object.keys(FONT_TYPES), MAX_FONT_BYTES) };
+    });
+  }
+
+  if (input.typography !== undefined) {
+    const typography = input.typography || {};
+    ['body', 'heading'].forEach(key => {
+      if (typography[key] != null && !FONT_FAMILY.test(typography[key])) {
+        throw new TemplateValidationError(`typography.${key} must be a font family name.`);
+      }
+    });
+    fields.typography = { body: typography.body || null, heading: typography.heading || null };
+  } else if (!partial) fields.typography = { body: null, heading: null };
+
+  if (input.coverPage !== undefined) {
+    const coverPage = input.coverPage || {};
+    fields.coverPage = {
+      enabled: coverPage.enabled === true,
+      title: optionalString(coverPage.title, 'coverPage.title', 200),
+      subtitle: optionalString(coverPage.subtitle, 'coverPage.subtitle', 300),
+    };
+  } else if (!partial) fields.coverPage = { ...DEFAULT_REPORT_TEMPLATE.coverPage };
+
+  if (input.disclaimer !== undefined) fields.disclaimer = optionalString(input.disclaimer, 'disclaimer', 5000);
+  else if (!partial) fields.disclaimer = null;
+  if (input.footerText !== undefined) fields.footerText = optionalString(input.footerText, 'footerText', 500);
+  else if (!partial) fields.footerText = null;
+
+  if (input.sections !== undefined) {
+    if (!Array.isArray(input.sections) || input.sections.length === 0 || input.sections.some(section => !REPORT_SECTIONS.includes(section))) {
+      throw new TemplateValidationError(`sections must be a non-empty subset of ${REPORT_SECTIONS.join(', ')}.`);
+    }
+    // Keep the report's own order whatever order they were listed in
+    fields.sections = REPORT_SECTIONS.filter(section => input.sections.includes(section));
+  } else if (!partial) fields.sections = [...REPORT_SECTIONS];
+
+  return { fields, uploads };
+}
+
+/**
+ * Stores uploaded logo/font files and returns the template fields that reference them.
+ */
+async function saveAssets(templateId, uploads) {
+  const store = getBlobStore();
+  const fields = {};
+  if (uploads.logo !== undefined) {
+    if (uploads.logo) {
+      const blobId = `templates/${templateId}/logo`;
+      await store.putBlob(blobId, uploads.logo.buffer, { contentType: uploads.logo.contentType });
+      fields.logo = { blobId, contentType: uploads.logo.contentType };
+    } else {
+      await store.deleteBlob(`templates/${templateId}/logo`).catch(() => {});
+      fields.logo = null;
+    }
+  }
+  if (uploads.fonts !== undefined) {
+    fields.fonts = await Promise.all(uploads.fonts.map(async ({ buffer, ...font }, index) => {
+      const blobId = `templates/${templateId}/fonts/${index}`;
+      await store.putBlob(blobId, buffer, { contentType: font.contentType });
+      return { ...font, blobId };
+    }));
+  }
+  return fields;
+}
+
+const toTemplate = doc => ({ templateId: doc.id, ...doc.data() });
+
+export async function createTemplate(input, tenantId = null) {
+  const { fields, uploads } = validateTemplateInput(input);
+  const docRef = templatesRef().doc();
+  const assets = await saveAssets(docRef.id, { logo: null, fonts: [], ...uploads });
+  await docRef.set({
+    ...fields,
+    ...assets,
+    tenantId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return toTemplate(await docRef.get());
+}
+
+/**
+ * Returns a stored template, or the built-in default for DEFAULT_TEMPLATE_ID.
+ */
+export async function getTemplate(templateId) {
+  if (templateId === DEFAULT_TEMPLATE_ID) return DEFAULT_REPORT_TEMPLATE;
+  const doc = await templatesRef().doc(templateId).get();
+  return doc.exists ? toTemplate(doc) : null;
+}
+
+/**
+ * Lists the templates a tenant can use, after the built-in default: its own and the shared ones
+ * created with the admin key. Without a tenant (the admin) every template is listed.
+ */
+export async function listTemplates(tenantId) {
+  if (!tenantId) {
+    const snapshot = await templatesRef().orderBy('createdAt', 'desc').get();
+    return [DEFAULT_REPORT_TEMPLATE, ...snapshot.docs.map(toTemplate)];
+  }
+  const [own, shared] = await Promise.all([
+    templatesRef().where('tenantId', '==', tenantId).orderBy('createdAt', 'desc').get(),
+    templatesRef().where('tenantId', '==', null).orderBy('createdAt', 'desc').get(),
+  ]);
+  return [DEFAULT_REPORT_TEMPLATE, ...own.docs.map(toTemplate), ...shared.docs.map(toTemplate)];
+}
+
+export async function updateTemplate(templateId, input) {
+  const docRef = templatesRef().doc(templateId);
+  const doc = await docRef.get();
+  if (!doc.exists) return null;
+  const { fields, uploads } = validateTemplateInput(input, { partial: true });
+  if (fields.colors) fields.colors = { ...DEFAULT_REPORT_TEMPLATE.colors, ...doc.data().colors, ...fields.colors };
+  const assets = await saveAssets(templateId, uploads);
+  await docRef.update({ ...fields, ...assets, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return toTemplate(await docRef.get());
+}
+
+export async function deleteTemplate(templateId) {
+  const docRef = templatesRef().doc(templateId);
+  const doc = await docRef.get();
+  if (!doc.exists) return false;
+  const { logo, fonts = [] } = doc.data();
+  await Promise.all([logo, ...fonts].filter(Boolean).map(asset => getBlobStore().deleteBlob(asset.blobId).catch(() => {})));
+  await docRef.delete();
+  return true;
+}
+
+/**
+ * Picks the template for a render: `templateId` from the request, else the API key's default,
+ * else the built-in one. A template the key's tenant can't use is reported as not found.
+ * @throws {TemplateValidationError} when the requested template doesn't exist for this key
+ */
+export async function resolveTemplate(templateId, apiKey) {
+  const requested = templateId || apiKey?.templateId;
+  if (!requested || requested === DEFAULT_TEMPLATE_ID) return DEFAULT_REPORT_TEMPLATE;
+  const template = await getTemplate(requested);
+  // Templates without a tenant were created with the admin key and are available to everyone
+  if (!template || (apiKey && !apiKey.isAdmin && template.tenantId && template.tenantId !== apiKey.tenantId)) {
+    throw new TemplateValidationError(`Template ${requested} not found.`);
+  }
+  return template;
+}
+
+/**
+ * Revision of a template for render caches; changes on every update.
+ */
+export function templateRevision(template) {
+  const updatedAt = template.updatedAt?.toMillis ? template.updatedAt.toMillis() : template.updatedAt || 0;
+  return `${template.templateId}@${updatedAt}`;
+}
+
+/**
+ * Resolves a template's stored assets into what generateProfessionalPdfHtml() embeds:
+ * the logo and fonts as data URIs, and the CSS font stacks.
+ */
+export async function loadRenderTemplate(template = DEFAULT_REPORT_TEMPLATE) {
+  if (template.templateId === DEFAULT_TEMPLATE_ID) return DEFAULT_RENDER_TEMPLATE;
+  const store = getBlobStore();
+  const toDataUri = async (asset) => {
+    const blob = asset ? await store.getBlob(asset.blobId) : null;
+    return blob ? `data:${asset.contentType};base64,${blob.data.toString('base64')}` : null;
+  };
+  const fonts = await Promise.all((template.fonts || []).map(async font => ({
+    family: font.family,
+    weight: font.weight,
+    style: font.style,
+    format: FONT_TYPES[font.contentType],
+    dataUri: await toDataUri(font),
+  })));
+  const fontStack = (family) => (family ? `'${family}', ${SYSTEM_FONT_STACK}` : SYSTEM_FONT_STACK);
+
+  return {
+    ...DEFAULT_REPORT_TEMPLATE,
+    ...template,
+    colors: { ...DEFAULT_REPORT_TEMPLATE.colors, ...template.colors },
+    logoDataUri: await toDataUri(template.logo),
+    fonts: fonts.filter(font => font.dataUri),
+    fontStacks: {
+      body: fontStack(template.typography?.body),
+      heading: fontStack(template.typography?.heading || template.typography?.body),
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+
+/**
+ * Scan Identity
+ * A scan's fingerprint identifies what was asked for (tenant, brand, competitors, options) and is
+ * how repeated requests find an earlier run. Every run gets its own job ID, which is also the ID
+ * of its stored report, so a new run of the same scan never overwrites an earlier report.
+ */
+
+/**
+ * Deterministic fingerprint of a scan request (scoped per tenant so tenants never share a run).
+ */
+export function scanFingerprint({ tenantId, brandName, category, competitorUrls, crawl, performance, locale }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ tenantId, brandName, category: category || 'General', competitorUrls: [...competitorUrls].sort(), crawl, performance, locale }))
+    .digest('hex')
+    .substring(0, 24); // 24 chars to keep the collision chance negligible
+}
+
+/**
+ * A job ID for a new run of the scan: the fingerprint plus a time-ordered, random suffix.
+ */
+export function newScanJobId(fingerprint) {
+  return `${fingerprint}-${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+}
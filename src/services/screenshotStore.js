@@ -0,0 +1,88 @@
+import { getDomain } from 'tldts';
+import { getBlobStore } from './blobStore.js';
+
+/**
+ * Competitor Screenshots
+ * Persists the renders captured during a scan in the blob store and resolves them again for the
+ * API and PDF export. Reports only hold references:
+ *   screenshots: { key, variants: { desktop: blobId, desktopThumbnail: blobId, mobile: ..., mobileThumbnail: ... } }
+ * where `key` identifies the competitor within its job (used in /reports/:jobId/screenshots/:competitor).
+ */
+
+export const SCREENSHOT_VARIANTS = ['desktop', 'desktopThumbnail', 'mobile', 'mobileThumbnail'];
+
+/**
+ * Stable, URL-safe key for a competitor: its hostname without "www.", plus the path when the
+ * competitor URL points below the site root.
+ */
+export function competitorKey(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^www\./, '');
+    const pathPart = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${pathPart}`.toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '') || getDomain(url) || 'competitor';
+  } catch {
+    return 'competitor';
+  }
+}
+
+/**
+ * Stores whatever renders are available for one competitor. Missing renders are skipped, so a
+ * fallback (non-browser) analysis yields null. Failures are logged and never fail the scan.
+ */
+export async function storeCompetitorScreenshots(jobId, competitorUrl, renders) {
+  if (!jobId || !renders) return null;
+
+  const key = competitorKey(competitorUrl);
+  const images = {
+    desktop: renders.desktop?.screenshot,
+    desktopThumbnail: renders.desktop?.thumbnail,
+    mobile: renders.mobile?.screenshot,
+    mobileThumbnail: renders.mobile?.thumbnail,
+  };
+
+  const variants = {};
+  try {
+    await Promise.all(Object.entries(images).filter(([, base64]) => base64).map(async ([variant, base64]) => {
+      const blobId = `screenshots/${jobId}/${key}/${variant}.jpg`;
+      await getBlobStore().putBlob(blobId, Buffer.from(base64, 'base64'), { contentType: 'image/jpeg' });
+      variants[variant] = blobId;
+    }));
+  } catch (error) {
+    console.warn(`⚠️ [Screenshots] Failed to store screenshots for ${competitorUrl}: ${error.message}`);
+  }
+
+  return Object.keys(variants).length > 0 ? { key, variants } : null;
+}
+
+/**
+ * Looks up a stored screenshot for a competitor of a report. Returns { data, contentType } or null.
+ */
+export async function getCompetitorScreenshot(report, key, variant = 'desktop') {
+  const competitor = (report?.detailedAgentReports || []).find(entry => entry.screenshots?.key === key);
+  const blobId = competitor?.screenshots?.variants?.[variant];
+  return blobId ? getBlobStore().getBlob(blobId) : null;
+}
+
+/**
+ * Resolves the given variants of every competitor in a report to data URIs, keyed by competitor
+ * key, for embedding in self-contained HTML such as the PDF export.
+ */
+export async function loadScreenshotDataUris(report, variants = ['desktopThumbnail', 'mobileThumbnail']) {
+  const images = {};
+  await Promise.all((report?.detailedAgentReports || []).filter(entry => entry.screenshots).map(async ({ screenshots }) => {
+    const resolved = {};
+    for (const variant of variants) {
+      const blobId = screenshots.variants?.[variant];
+      if (!blobId) continue;
+      try {
+        const blob = await getBlobStore().getBlob(blobId);
+        if (blob) resolved[variant] = `data:${blob.contentType};base64,${blob.data.toString('base64')}`;
+      } catch (error) {
+        console.warn(`⚠️ [Screenshots] Could not load ${blobId}: ${error.message}`);
+      }
+    }
+    images[screenshots.key] = resolved;
+  }));
+  return images;
+}
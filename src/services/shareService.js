@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { getReportRepository } from './reportRepository.js';
+
+/**
+ * Share Service
+ * Signed, expiring links that let someone without an API key read one report. A token is
+ * `<payload>.<signature>`: the base64url JSON { sid, jid, exp } signed with HMAC-SHA256 under
+ * SHARE_TOKEN_SECRET. Every share is also recorded on its report (report.shares[shareId]) with
+ * who created it, the report template it renders with, when it expires, whether it was revoked
+ * and how often it was opened, so a share can be revoked without rotating the secret.
+ *
+ * Configuration (env):
+ *   SHARE_TOKEN_SECRET   HMAC secret for share tokens; creating and opening shares is unavailable without it
+ */
+
+export const SHARE_DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+export const SHARE_MAX_TTL_SECONDS = 90 * 24 * 60 * 60;
+export const SHARE_FORMATS = ['json', 'html', 'pdf'];
+
+export class ShareValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareValidationError';
+  }
+}
+
+export class SharingUnavailableError extends Error {
+  constructor() {
+    super('Report sharing is not available: SHARE_TOKEN_SECRET is not configured');
+    this.name = 'SharingUnavailableError';
+  }
+}
+
+// `reason` is 'invalid' (unknown or tampered token), 'expired' or 'revoked'
+export class ShareAccessError extends Error {
+  constructor(reason) {
+    super(reason === 'invalid' ? 'Share link not found' : `Share link has been ${reason}`);
+    this.name = 'ShareAccessError';
+    this.reason = reason;
+  }
+}
+
+export const isSharingConfigured = () => !!process.env.SHARE_TOKEN_SECRET;
+
+const getShareSecret = () => {
+  if (!isSharingConfigured()) throw new SharingUnavailableError();
+  return process.env.SHARE_TOKEN_SECRET;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', getShareSecret()).update(payload).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Share records as returned to API clients; the token itself is only shown once, at creation
+const toShareView = (shareId, share) => ({
+  shareId,
+  createdAt: share.createdAt,
+  expiresAt: share.expiresAt,
+  templateId: share.templateId || null,
+  revokedAt: share.revokedAt || null,
+  accessCount: share.accessCount || 0,
+  accessCounts: share.accessCounts || {},
+  lastAccessedAt: share.lastAccessedAt || null,
+});
+
+/**
+ * Mints a share token for a stored report. `expiresIn` is in seconds (default 7 days, max 90);
+ * `templateId` is the report template the shared view and PDF are rendered with.
+ * @throws {SharingUnavailableError} when SHARE_TOKEN_SECRET is not configured
+ */
+export async function createShare(report, { expiresIn = SHARE_DEFAULT_TTL_SECONDS, createdBy = null, templateId = null } = {}) {
+  if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > SHARE_MAX_TTL_SECONDS) {
+    throw new ShareValidationError(`expiresIn must be a whole number of seconds between 60 and ${SHARE_MAX_TTL_SECONDS}.`);
+  }
+
+  const shareId = crypto.randomBytes(9).toString('base64url');
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  const payload = Buffer.from(JSON.stringify({ sid: shareId, jid: report.jobId, exp: Math.floor(expiresAt.getTime() / 1000) })).toString('base64url');
+  const token = `${payload}.${sign(payload)}`;
+
+  const share = { createdAt: new Date().toISOString(), expiresAt: expiresAt.toISOString(), createdBy, templateId, revokedAt: null, accessCount: 0, accessCounts: {} };
+  await getReportRepository().setShare(report.jobId, shareId, share);
+  console.log(`🔗 [Shares] Created share ${shareId} for report ${report.jobId} (expires ${share.expiresAt})`);
+  return { ...toShareView(shareId, share), token };
+}
+
+/**
+ * Lists a report's shares, newest first.
+ */
+export function listShares(report) {
+  return Object.entries(report.shares || {})
+    .map(([shareId, share]) => toShareView(shareId, share))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Revokes a share. Returns the updated share, or null if the report has no such share.
+ */
+export async function revokeShare(report, shareId) {
+  const share = report.shares?.[shareId];
+  if (!share) return null;
+  if (share.revokedAt) return toShareView(shareId, share);
+  const revoked = { ...share, revokedAt: new Date().toISOString() };
+  await getReportRepository().setShare(report.jobId, shareId, revoked);
+  console.log(`🔗 [Shares] Revoked share ${shareId} of report ${report.jobId}`);
+  return toShareView(shareId, revoked);
+}
+
+/**
+ * Verifies a share token and returns { report, shareId }.
+ * @throws {ShareAccessError} when the token is invalid, expired or revoked
+ * @throws {SharingUnavailableError} when SHARE_TOKEN_SECRET is not configured
+ */
+export async function resolveShareToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) throw new ShareAccessError('invalid');
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new ShareAccessError('invalid');
+  }
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) throw new ShareAccessError('expired');
+
+  const report = await getReportRepository().getReport(claims.jid);
+  const share = report?.shares?.[claims.sid];
+  if (!share) throw new ShareAccessError('invalid');
+  if (share.revokedAt) throw new ShareAccessError('revoked');
+  return { report, shareId: claims.sid };
+}
+
+/**
+ * Counts one access of a share. Failures are logged, never surfaced to the viewer.
+ */
+export async function recordShareAccess(report, shareId, format) {
+  try {
+    await getReportRepository().recordShareAccess(report.jobId, shareId, format);
+  } catch (error) {
+    console.warn(`⚠️ [Shares] Failed to record access to share ${shareId}: ${error.message}`);
+  }
+}
@@ -0,0 +1,147 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { getDomain } from 'tldts';
+
+/**
+ * Site Crawler helpers
+ * Page discovery (sitemap.xml + internal links) and site-level aggregation used by
+ * DeepScanService.crawlSite(). Fetching and per-page extraction stay in the service.
+ */
+
+export const DEFAULT_CRAWL_OPTIONS = {
+  maxPages: parseInt(process.env.CRAWL_MAX_PAGES, 10) || 10,
+  maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH, 10) || 2,
+  concurrency: parseInt(process.env.CRAWL_CONCURRENCY, 10) || 3,
+  useSitemap: process.env.CRAWL_USE_SITEMAP !== 'false',
+};
+
+// Hard ceilings so a request body can't turn one scan into a full-site spider
+const CRAWL_LIMITS = { maxPages: 50, maxDepth: 4, concurrency: 5 };
+
+const NON_HTML_EXTENSIONS = /\.(jpe?g|png|gif|webp|svg|ico|pdf|zip|gz|mp4|mp3|webm|css|js|json|xml|txt|woff2?|ttf|eot)$/i;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36';
+
+/**
+ * Merges request-level crawl options over the defaults and clamps them to safe limits.
+ */
+export function resolveCrawlOptions(options = {}) {
+  const merged = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  return {
+    maxPages: Math.max(1, Math.min(CRAWL_LIMITS.maxPages, parseInt(merged.maxPages, 10) || 1)),
+    maxDepth: Math.max(0, Math.min(CRAWL_LIMITS.maxDepth, parseInt(merged.maxDepth, 10) || 0)),
+    concurrency: Math.max(1, Math.min(CRAWL_LIMITS.concurrency, parseInt(merged.concurrency, 10) || 1)),
+    useSitemap: merged.useSitemap !== false,
+  };
+}
+
+/**
+ * Normalizes a page URL so the same page is only queued once: drops the hash, default
+ * ports and trailing slashes. Returns null for anything that isn't a crawlable http(s) page.
+ */
+export function normalizePageUrl(href, baseUrl) {
+  let parsed;
+  try {
+    parsed = new URL(href, baseUrl);
+  } catch (e) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+  if (NON_HTML_EXTENSIONS.test(parsed.pathname)) return null;
+
+  parsed.hash = '';
+  if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  return parsed.toString();
+}
+
+/**
+ * Returns the normalized same-site links on a page.
+ */
+export function extractInternalUrls($, pageUrl) {
+  const domain = getDomain(pageUrl);
+  const urls = new Set();
+  $('a[href]').each((i, link) => {
+    const normalized = normalizePageUrl($(link).attr('href'), pageUrl);
+    if (normalized && getDomain(normalized) === domain) urls.add(normalized);
+  });
+  return [...urls];
+}
+
+/**
+ * Reads page URLs from /sitemap.xml, following one level of sitemap index files.
+ * Any network or parse failure just yields an empty list; links are still discovered.
+ */
+export async function fetchSitemapUrls(siteUrl, limit = 100, { signal } = {}) {
+  const domain = getDomain(siteUrl);
+  const fetchLocs = async (sitemapUrl) => {
+    const response = await axios.get(sitemapUrl, {
+      timeout: 10000,
+      signal,
+      headers: { 'User-Agent': USER_AGENT },
+      responseType: 'text',
+    });
+    const $ = cheerio.load(response.data, { xmlMode: true });
+    return {
+      pages: $('url > loc').map((i, el) => $(el).text().trim()).get(),
+      sitemaps: $('sitemap > loc').map((i, el) => $(el).text().trim()).get(),
+    };
+  };
+
+  try {
+    const root = await fetchLocs(new URL('/sitemap.xml', siteUrl).toString());
+    const pages = [...root.pages];
+    for (const nested of root.sitemaps.slice(0, 3)) {
+      if (pages.length >= limit) break;
+      try {
+        pages.push(...(await fetchLocs(nested)).pages);
+      } catch (e) { /* ignore unreachable child sitemaps */ }
+    }
+    return [...new Set(pages
+      .map(loc => normalizePageUrl(loc, siteUrl))
+      .filter(url => url && getDomain(url) === domain))]
+      .slice(0, limit);
+  } catch (e) {
+    console.warn(`⚠️ [Crawler] No usable sitemap for ${siteUrl}: ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * Folds per-page extraction results into the site-level summary the specialist agents read.
+ */
+export function summarizeSite(rootUrl, pages, discovery) {
+  const wordCounts = pages.map(p => p.wordCount || 0);
+  const totalWordCount = wordCounts.reduce((sum, count) => sum + count, 0);
+  const titleCounts = pages.reduce((counts, p) => {
+    if (p.title) counts[p.title] = (counts[p.title] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    rootUrl,
+    pagesCrawled: pages.length,
+    discovery,
+    totals: {
+      wordCount: totalWordCount,
+      averageWordCount: pages.length ? Math.round(totalWordCount / pages.length) : 0,
+      h2Count: pages.reduce((sum, p) => sum + (p.h2Count || 0), 0),
+      h3Count: pages.reduce((sum, p) => sum + (p.h3Count || 0), 0),
+      thinPages: pages.filter(p => (p.wordCount || 0) < 300).length,
+      pagesWithSchema: pages.filter(p => p.schemaTypes?.length > 0).length,
+      pagesMissingH1: pages.filter(p => !p.h1).length,
+      pagesMissingMetaDescription: pages.filter(p => !p.metaDescription).length,
+    },
+    schemaTypes: [...new Set(pages.flatMap(p => p.schemaTypes || []))],
+    duplicateTitles: Object.keys(titleCounts).filter(title => titleCounts[title] > 1),
+    pages: pages.map(p => ({
+      url: p.url,
+      depth: p.depth,
+      title: p.title,
+      h1: p.h1,
+      h2Count: p.h2Count,
+      h3Count: p.h3Count,
+      wordCount: p.wordCount,
+      schemaTypes: p.schemaTypes,
+    })),
+  };
+}
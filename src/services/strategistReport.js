@@ -0,0 +1,154 @@
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * Chief Strategist Report
+ * The structured document returned by runChiefStrategistAgent(), its validation, and the
+ * markdown view rendered from it (kept for clients that still read `analysis`).
+ *
+ * {
+ *   marketOverview:    { summary, trends[], commonStrengths[], commonWeaknesses[] },
+ *   tierList:          [{ url, tier: 'top_threat' | 'contender' | 'primary_target', reason }],
+ *   decisiveAdvantage: { title, rationale },
+ *   quickWins:         [{ priority, action, rationale, impact: 'high' | 'medium' | 'low' }]
+ * }
+ */
+
+export const STRATEGY_VERSION = 1;
+
+export const TIERS = ['top_threat', 'contender', 'primary_target'];
+export const IMPACT_LEVELS = ['high', 'medium', 'low'];
+
+// Shown to the model verbatim so the prompt and the validator can't drift apart
+export const STRATEGY_JSON_SHAPE = `{
+  "marketOverview": {
+    "summary": "string - 2-4 sentences on the competitive landscape",
+    "trends": ["string"],
+    "commonStrengths": ["string"],
+    "commonWeaknesses": ["string"]
+  },
+  "tierList": [
+    { "url": "string - one of the competitor URLs exactly as given", "tier": "top_threat | contender | primary_target", "reason": "string citing data" }
+  ],
+  "decisiveAdvantage": { "title": "string", "rationale": "string" },
+  "quickWins": [
+    { "priority": 1, "action": "string", "rationale": "string", "impact": "high | medium | low" }
+  ]
+}`;
+
+export class StrategyValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid strategist report: ${problems.join('; ')}`);
+    this.name = 'StrategyValidationError';
+    this.problems = problems;
+  }
+}
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const cleanStrings = value => (Array.isArray(value) ? value.filter(isNonEmptyString).map(item => item.trim()) : []);
+const stripUrl = url => String(url).toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+
+/**
+ * Validates and normalizes a strategist document. Tier-list URLs are matched back to the
+ * analysed competitor URLs (ignoring scheme, www and trailing slashes).
+ * @throws {StrategyValidationError} listing every problem found
+ */
+export function validateStrategistReport(doc, competitorUrls = []) {
+  const problems = [];
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new StrategyValidationError(['report must be a JSON object']);
+  }
+
+  const overview = doc.marketOverview || {};
+  if (!isNonEmptyString(overview.summary)) problems.push('marketOverview.summary is required');
+
+  const urlLookup = new Map(competitorUrls.map(url => [stripUrl(url), url]));
+  const tierList = (Array.isArray(doc.tierList) ? doc.tierList : []).map((entry, index) => {
+    const url = urlLookup.get(stripUrl(entry?.url || '')) || (urlLookup.size === 0 ? entry?.url : null);
+    if (!url) problems.push(`tierList[${index}].url "${entry?.url}" is not one of the analysed competitors`);
+    if (!TIERS.includes(entry?.tier)) problems.push(`tierList[${index}].tier must be one of ${TIERS.join(', ')}`);
+    if (!isNonEmptyString(entry?.reason)) problems.push(`tierList[${index}].reason is required`);
+    return { url, tier: entry?.tier, reason: entry?.reason?.trim() };
+  });
+  if (tierList.length === 0) problems.push('tierList must rank at least one competitor');
+  // Exactly one of each flag (no primary_target when the only competitor is the top threat)
+  const tierCount = tier => tierList.filter(entry => entry.tier === tier).length;
+  if (tierList.length > 0 && tierCount('top_threat') !== 1) {
+    problems.push(`tierList needs exactly one top_threat (got ${tierCount('top_threat')})`);
+  }
+  const expectedTargets = tierList.length > 1 ? 1 : 0;
+  if (tierCount('primary_target') !== expectedTargets) {
+    problems.push(tierList.length > 1
+      ? `tierList needs exactly one primary_target (got ${tierCount('primary_target')})`
+      : 'tierList cannot have a primary_target when only one competitor is ranked');
+  }
+
+  const advantage = doc.decisiveAdvantage || {};
+  if (!isNonEmptyString(advantage.title)) problems.push('decisiveAdvantage.title is required');
+
+  const quickWins = (Array.isArray(doc.quickWins) ? doc.quickWins : [])
+    .filter(win => isNonEmptyString(win?.action))
+    .map((win, index) => ({
+      priority: Number.isInteger(win.priority) && win.priority > 0 ? win.priority : index + 1,
+      action: win.action.trim(),
+      rationale: isNonEmptyString(win.rationale) ? win.rationale.trim() : '',
+      impact: IMPACT_LEVELS.includes(win.impact) ? win.impact : 'medium',
+    }))
+    .sort((a, b) => a.priority - b.priority);
+  if (quickWins.length === 0) problems.push('quickWins must contain at least one action');
+
+  if (problems.length > 0) throw new StrategyValidationError(problems);
+
+  return {
+    version: STRATEGY_VERSION,
+    marketOverview: {
+      summary: overview.summary.trim(),
+      trends: cleanStrings(overview.trends),
+      commonStrengths: cleanStrings(overview.commonStrengths),
+      commonWeaknesses: cleanStrings(overview.commonWeaknesses),
+    },
+    tierList,
+    decisiveAdvantage: {
+      title: advantage.title.trim(),
+      rationale: isNonEmptyString(advantage.rationale) ? advantage.rationale.trim() : '',
+    },
+    quickWins,
+  };
+}
+
+/**
+ * Convenience lookups used by the APIs and the PDF.
+ */
+export const getTopThreat = strategy => strategy?.tierList?.find(entry => entry.tier === 'top_threat') || null;
+export const getPrimaryTarget = strategy => strategy?.tierList?.find(entry => entry.tier === 'primary_target') || null;
+
+/**
+ * Renders the structured document as the markdown the `analysis` field used to contain.
+ */
+export function renderStrategistMarkdown(strategy, locale = DEFAULT_LOCALE) {
+  const t = (key, params) => translate(locale, key, params);
+  const { marketOverview, tierList, decisiveAdvantage, quickWins } = strategy;
+  const bulletList = (title, items) => (items.length ? [`**${title}:**`, ...items.map(item => `* ${item}`), ''] : []);
+  const topThreat = getTopThreat(strategy);
+  const primaryTarget = getPrimaryTarget(strategy);
+  const contenders = tierList.filter(entry => entry.tier === 'contender');
+
+  return [
+    `## ${t('strategy.marketOverview')}`,
+    marketOverview.summary,
+    '',
+    ...bulletList(t('strategy.trends'), marketOverview.trends),
+    ...bulletList(t('strategy.commonStrengths'), marketOverview.commonStrengths),
+    ...bulletList(t('strategy.commonWeaknesses'), marketOverview.commonWeaknesses),
+    `## ${t('strategy.tierList')}`,
+    ...(topThreat ? [`* **${t('tier.top_threat')}:** ${topThreat.url} - ${topThreat.reason}`] : []),
+    ...(primaryTarget ? [`* **${t('tier.primary_target')}:** ${primaryTarget.url} - ${primaryTarget.reason}`] : []),
+    ...contenders.map(entry => `* **${t('tier.contender')}:** ${entry.url} - ${entry.reason}`),
+    '',
+    `## ${t('strategy.decisiveAdvantage')}`,
+    `**${decisiveAdvantage.title}**`,
+    ...(decisiveAdvantage.rationale ? [decisiveAdvantage.rationale] : []),
+    '',
+    `## ${t('strategy.quickWins')}`,
+    ...quickWins.map((win, index) => `${index + 1}. **${win.action}** (${t(`impact.${win.impact}`)})${win.rationale ? ` - ${win.rationale}` : ''}`),
+  ].join('\n').trim();
+}
@@ -0,0 +1,128 @@
+import { TECH_SIGNATURES } from './techSignatures.js';
+
+/**
+ * Rule-based Technology Detector
+ * Matches the clues collected by DeepScanService.extractTechClues() against the signature
+ * database and reports each technology with category, version, confidence and evidence.
+ */
+
+// How strongly a single match of each clue type identifies a technology (0-100)
+const EVIDENCE_WEIGHTS = {
+  meta: 80,
+  globals: 70,
+  headers: 60,
+  scripts: 55,
+  styles: 45,
+  cookies: 45,
+  html: 40,
+};
+
+const IMPLIED_CONFIDENCE = 50;
+
+const truncate = (value, length = 120) => (value.length > length ? `${value.slice(0, length)}…` : value);
+
+function testRegex(regex, value) {
+  if (typeof value !== 'string' || !value) return null;
+  const match = value.match(regex);
+  if (!match) return null;
+  return { matched: match[0], version: match.slice(1).find(Boolean) || null };
+}
+
+/**
+ * Returns every piece of evidence a single signature finds in the clues.
+ */
+function collectEvidence(signature, clues) {
+  const evidence = [];
+  const add = (type, value, version, key) => evidence.push({ type, ...(key ? { key } : {}), value: truncate(value), version });
+
+  ['scripts', 'styles'].forEach(type => {
+    (signature[type] || []).forEach(regex => {
+      for (const url of clues[type] || []) {
+        const hit = testRegex(regex, url);
+        if (hit) return add(type, url, hit.version);
+      }
+    });
+  });
+
+  Object.entries(signature.meta || {}).forEach(([name, regex]) => {
+    const hit = testRegex(regex, clues.meta?.[name]);
+    if (hit) add('meta', clues.meta[name], hit.version, name);
+  });
+
+  Object.entries(signature.headers || {}).forEach(([name, regex]) => {
+    const hit = testRegex(regex, clues.headers?.[name]);
+    if (hit) add('headers', `${name}: ${clues.headers[name]}`, hit.version, name);
+  });
+
+  (signature.cookies || []).forEach(regex => {
+    const cookie = (clues.cookies || []).find(name => regex.test(name));
+    if (cookie) add('cookies', cookie, null);
+  });
+
+  Object.keys(signature.globals || {}).forEach(path => {
+    const value = clues.globals?.[path];
+    if (value === undefined || value === false) return;
+    add('globals', `window.${path}`, typeof value === 'string' ? value : null, path);
+  });
+
+  (signature.html || []).forEach(regex => {
+    const hit = testRegex(regex, clues.html);
+    if (hit) add('html', hit.matched, hit.version);
+  });
+
+  return evidence;
+}
+
+/**
+ * Combines independent matches: each one removes part of the remaining doubt.
+ */
+function scoreEvidence(evidence) {
+  const doubt = evidence.reduce((remaining, item) => remaining * (1 - EVIDENCE_WEIGHTS[item.type] / 100), 1);
+  return Math.round((1 - doubt) * 100);
+}
+
+/**
+ * Detects technologies from page clues.
+ * @param {object} clues - { scripts, styles, meta, headers, cookies, globals, html }
+ * @param {Array} [signatures] - Signature database, overridable for tests.
+ * @returns {Array<{name, category, version, confidence, evidence, source}>}
+ */
+export function detectTechnologies(clues, signatures = TECH_SIGNATURES) {
+  const detected = new Map();
+
+  signatures.forEach(signature => {
+    const evidence = collectEvidence(signature, clues);
+    if (evidence.length === 0) return;
+    detected.set(signature.name, {
+      name: signature.name,
+      category: signature.category,
+      version: evidence.find(item => item.version)?.version || null,
+      confidence: scoreEvidence(evidence),
+      evidence: evidence.map(({ version, ...item }) => item),
+      source: 'rules',
+    });
+  });
+
+  // Resolve implications (e.g. Next.js -> React -> ...) until nothing new is added
+  const byName = new Map(signatures.map(signature => [signature.name, signature]));
+  let added = true;
+  while (added) {
+    added = false;
+    [...detected.values()].forEach(tech => {
+      (byName.get(tech.name)?.implies || []).forEach(impliedName => {
+        if (detected.has(impliedName)) return;
+        detected.set(impliedName, {
+          name: impliedName,
+          category: byName.get(impliedName)?.category || 'Other',
+          version: null,
+          confidence: Math.min(tech.confidence, IMPLIED_CONFIDENCE),
+          evidence: [{ type: 'implied', value: `Implied by ${tech.name}` }],
+          source: 'rules',
+        });
+        added = true;
+      });
+    });
+  }
+
+  return [...detected.values()].sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+}
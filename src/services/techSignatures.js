@@ -0,0 +1,304 @@
+/**
+ * Technology Signature Database
+ * Each entry describes the clues that identify one technology. All matchers are optional:
+ *   scripts / styles  regexes tested against script src / stylesheet href URLs
+ *   meta              { metaName: regex } tested against <meta name="..."> content
+ *   headers           { headerName: regex } tested against lower-cased response headers
+ *   cookies           regexes tested against cookie names
+ *   globals           { windowPath: versionPath|null } checked in the live page (Puppeteer only)
+ *   html              regexes tested against the rendered markup (DOM attributes, comments)
+ *   implies           other technology names that must be present when this one is
+ * A regex with a capture group yields the version. Keep entries alphabetical within a category.
+ */
+
+export const TECH_CATEGORIES = {
+  CMS: 'CMS',
+  ECOMMERCE: 'Ecommerce',
+  FRAMEWORK: 'JavaScript Framework',
+  UI: 'UI Framework',
+  LIBRARY: 'JavaScript Library',
+  ANALYTICS: 'Analytics',
+  TAG_MANAGER: 'Tag Manager',
+  ADVERTISING: 'Advertising',
+  MARKETING: 'Marketing Automation',
+  CHAT: 'Live Chat',
+  PAYMENTS: 'Payments',
+  HOSTING: 'Hosting / PaaS',
+  CDN: 'CDN',
+  SERVER: 'Web Server',
+  LANGUAGE: 'Programming Language',
+  BACKEND: 'Backend Framework',
+};
+
+const C = TECH_CATEGORIES;
+
+export const TECH_SIGNATURES = [
+  // --- CMS ---
+  {
+    name: 'Drupal', category: C.CMS,
+    meta: { generator: /Drupal ?(\d+)?/i },
+    headers: { 'x-drupal-cache': /.*/, 'x-generator': /Drupal ?(\d+)?/i },
+    scripts: [/\/sites\/(?:default|all)\/|drupal\.js/i],
+    globals: { Drupal: null },
+    implies: ['PHP'],
+  },
+  {
+    name: 'Ghost', category: C.CMS,
+    meta: { generator: /Ghost ?([\d.]+)?/i },
+    headers: { 'x-ghost-cache-status': /.*/ },
+  },
+  {
+    name: 'Squarespace', category: C.CMS,
+    scripts: [/static\d*\.squarespace\.com/i],
+    html: [/<!-- This is Squarespace\. -->/i],
+    globals: { Squarespace: null },
+  },
+  {
+    name: 'Webflow', category: C.CMS,
+    meta: { generator: /Webflow/i },
+    html: [/data-wf-(?:page|site)=/i],
+    scripts: [/assets\.website-files\.com|webflow\.js/i],
+  },
+  {
+    name: 'Wix', category: C.CMS,
+    meta: { generator: /Wix\.com/i },
+    headers: { 'x-wix-request-id': /.*/ },
+    scripts: [/static\.parastorage\.com/i],
+  },
+  {
+    name: 'WordPress', category: C.CMS,
+    meta: { generator: /WordPress ?([\d.]+)?/i },
+    scripts: [/\/wp-(?:content|includes)\//i],
+    styles: [/\/wp-(?:content|includes)\//i],
+    cookies: [/^wordpress_/, /^wp-settings-/],
+    html: [/<link[^>]+rel=["']https:\/\/api\.w\.org\/["']/i],
+    implies: ['PHP'],
+  },
+
+  // --- Ecommerce ---
+  {
+    name: 'Magento', category: C.ECOMMERCE,
+    scripts: [/\/static\/version\d+\/frontend\//i, /mage\/cookies\.js/i],
+    cookies: [/^mage-cache-/],
+    html: [/data-mage-init=/i],
+    implies: ['PHP'],
+  },
+  {
+    name: 'Shopify', category: C.ECOMMERCE,
+    scripts: [/cdn\.shopify\.com/i],
+    headers: { 'x-shopify-stage': /.*/, 'x-shopid': /.*/ },
+    cookies: [/^_shopify_/],
+    globals: { Shopify: null },
+  },
+  {
+    name: 'WooCommerce', category: C.ECOMMERCE,
+    scripts: [/\/plugins\/woocommerce\//i],
+    styles: [/\/plugins\/woocommerce\//i],
+    meta: { generator: /WooCommerce ?([\d.]+)?/i },
+    implies: ['WordPress'],
+  },
+
+  // --- JavaScript frameworks ---
+  {
+    name: 'Angular', category: C.FRAMEWORK,
+    html: [/\sng-version=["']([\d.]+)["']/i],
+  },
+  {
+    name: 'AngularJS', category: C.FRAMEWORK,
+    html: [/\sng-app(?:=|\s|>)/i],
+    globals: { angular: 'angular.version.full' },
+  },
+  {
+    name: 'Gatsby', category: C.FRAMEWORK,
+    meta: { generator: /Gatsby ?([\d.]+)?/i },
+    html: [/id=["']___gatsby["']/i],
+    implies: ['React'],
+  },
+  {
+    name: 'Next.js', category: C.FRAMEWORK,
+    scripts: [/\/_next\/static\//i],
+    headers: { 'x-powered-by': /Next\.js ?([\d.]+)?/i },
+    html: [/id=["']__NEXT_DATA__["']/i],
+    globals: { __NEXT_DATA__: null, next: 'next.version' },
+    implies: ['React'],
+  },
+  {
+    name: 'Nuxt.js', category: C.FRAMEWORK,
+    scripts: [/\/_nuxt\//i],
+    html: [/id=["']__nuxt["']/i],
+    globals: { __NUXT__: null },
+    implies: ['Vue.js'],
+  },
+  {
+    name: 'React', category: C.FRAMEWORK,
+    html: [/data-reactroot/i],
+    scripts: [/react(?:-dom)?(?:\.production)?(?:\.min)?\.js/i],
+    globals: { React: 'React.version' },
+  },
+  {
+    name: 'Svelte', category: C.FRAMEWORK,
+    html: [/class=["'][^"']*\bsvelte-[a-z0-9]+/i],
+  },
+  {
+    name: 'Vue.js', category: C.FRAMEWORK,
+    html: [/\sdata-v-[a-f0-9]{6,8}/i],
+    scripts: [/vue(?:\.runtime)?(?:\.global)?(?:\.prod)?(?:\.min)?\.js/i],
+    globals: { Vue: 'Vue.version' },
+  },
+
+  // --- UI frameworks / libraries ---
+  {
+    name: 'Bootstrap', category: C.UI,
+    styles: [/bootstrap(?:@|\/)?([\d.]+)?[^/]*\.css/i],
+    scripts: [/bootstrap(?:\.bundle)?(?:\.min)?\.js/i],
+  },
+  {
+    name: 'Tailwind CSS', category: C.UI,
+    styles: [/tailwind/i],
+    html: [/class=["'][^"']*\b(?:md|lg):(?:flex|grid|hidden|block)\b[^"']*\b(?:px|py)-\d/i],
+  },
+  {
+    name: 'jQuery', category: C.LIBRARY,
+    scripts: [/jquery[.-]?([\d.]+\d)?(?:\.min)?\.js/i],
+    globals: { jQuery: 'jQuery.fn.jquery' },
+  },
+
+  // --- Analytics / tags / advertising ---
+  {
+    name: 'Google Analytics', category: C.ANALYTICS,
+    scripts: [/google-analytics\.com\/(?:ga|analytics)\.js/i, /googletagmanager\.com\/gtag\/js/i],
+    cookies: [/^_ga$/, /^_gid$/],
+    globals: { gtag: null, ga: null },
+  },
+  {
+    name: 'Google Tag Manager', category: C.TAG_MANAGER,
+    scripts: [/googletagmanager\.com\/gtm\.js/i],
+    html: [/googletagmanager\.com\/ns\.html/i],
+    globals: { google_tag_manager: null },
+  },
+  {
+    name: 'Hotjar', category: C.ANALYTICS,
+    scripts: [/static\.hotjar\.com/i],
+    cookies: [/^_hjSession/],
+    globals: { hj: null },
+  },
+  {
+    name: 'Segment', category: C.ANALYTICS,
+    scripts: [/cdn\.segment\.com\/analytics\.js/i],
+    cookies: [/^ajs_anonymous_id$/],
+  },
+  {
+    name: 'Facebook Pixel', category: C.ADVERTISING,
+    scripts: [/connect\.facebook\.net\/[^/]+\/fbevents\.js/i],
+    cookies: [/^_fbp$/],
+    globals: { fbq: null },
+  },
+  {
+    name: 'Google Ads', category: C.ADVERTISING,
+    scripts: [/googleadservices\.com|googlesyndication\.com/i],
+    cookies: [/^_gcl_au$/],
+  },
+  {
+    name: 'LinkedIn Insight Tag', category: C.ADVERTISING,
+    scripts: [/snap\.licdn\.com\/li\.lms-analytics/i],
+    globals: { _linkedin_data_partner_ids: null },
+  },
+
+  // --- Marketing / chat / payments ---
+  {
+    name: 'HubSpot', category: C.MARKETING,
+    scripts: [/js\.hs-scripts\.com|js\.hsforms\.net|js\.hs-analytics\.net/i],
+    cookies: [/^hubspotutk$/, /^__hstc$/],
+  },
+  {
+    name: 'Intercom', category: C.CHAT,
+    scripts: [/widget\.intercom\.io|js\.intercomcdn\.com/i],
+    cookies: [/^intercom-(?:id|session)-/],
+    globals: { Intercom: null },
+  },
+  {
+    name: 'Zendesk', category: C.CHAT,
+    scripts: [/static\.zdassets\.com/i],
+    globals: { zE: null },
+  },
+  {
+    name: 'Stripe', category: C.PAYMENTS,
+    scripts: [/js\.stripe\.com/i],
+    cookies: [/^__stripe_mid$/],
+    globals: { Stripe: null },
+  },
+
+  // --- Hosting / CDN / servers ---
+  {
+    name: 'Amazon CloudFront', category: C.CDN,
+    headers: { 'x-amz-cf-id': /.*/, via: /CloudFront/i },
+  },
+  {
+    name: 'Cloudflare', category: C.CDN,
+    headers: { 'cf-ray': /.*/, server: /^cloudflare$/i },
+    cookies: [/^__cf_bm$/, /^__cfruid$/],
+  },
+  {
+    name: 'Fastly', category: C.CDN,
+    headers: { 'x-served-by': /cache-/i, 'fastly-debug-digest': /.*/ },
+  },
+  {
+    name: 'Netlify', category: C.HOSTING,
+    headers: { 'x-nf-request-id': /.*/, server: /^Netlify$/i },
+  },
+  {
+    name: 'Vercel', category: C.HOSTING,
+    headers: { 'x-vercel-id': /.*/, server: /^Vercel$/i },
+  },
+  {
+    name: 'Apache', category: C.SERVER,
+    headers: { server: /Apache(?:\/([\d.]+))?/i },
+  },
+  {
+    name: 'Nginx', category: C.SERVER,
+    headers: { server: /nginx(?:\/([\d.]+))?/i },
+  },
+
+  // --- Languages / backend frameworks ---
+  {
+    name: 'ASP.NET', category: C.BACKEND,
+    headers: { 'x-powered-by': /ASP\.NET/i, 'x-aspnet-version': /([\d.]+)/ },
+    cookies: [/^ASP\.NET_SessionId$/, /^\.AspNetCore\./],
+    html: [/name=["']__VIEWSTATE["']/i],
+  },
+  {
+    name: 'Express', category: C.BACKEND,
+    headers: { 'x-powered-by': /^Express$/i },
+    implies: ['Node.js'],
+  },
+  {
+    name: 'Laravel', category: C.BACKEND,
+    cookies: [/^laravel_session$/],
+    implies: ['PHP'],
+  },
+  {
+    name: 'Java', category: C.LANGUAGE,
+    cookies: [/^JSESSIONID$/],
+  },
+  {
+    name: 'Node.js', category: C.LANGUAGE,
+  },
+  {
+    name: 'PHP', category: C.LANGUAGE,
+    headers: { 'x-powered-by': /PHP(?:\/([\d.]+))?/i },
+    cookies: [/^PHPSESSID$/],
+  },
+];
+
+/**
+ * Every window path any signature checks, so the browser can probe them in one evaluate().
+ */
+export function getGlobalProbes() {
+  const probes = {};
+  TECH_SIGNATURES.forEach(signature => {
+    Object.entries(signature.globals || {}).forEach(([path, versionPath]) => {
+      probes[path] = versionPath;
+    });
+  });
+  return probes;
+}
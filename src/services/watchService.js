@@ -0,0 +1,268 @@
+import admin from 'firebase-admin';
+import { getDb } from './firestoreService.js';
+import { analysisQueue } from '../jobs/queue.js';
+import { getTopThreat } from './strategistReport.js';
+import { validateCallbackUrl } from './webhookService.js';
+import { THROTTLING_PROFILES } from './performanceAudit.js';
+import { normalizeLocale } from './i18n.js';
+import { consumeScanQuota, getApiKeyRecord, QuotaExceededError } from './apiKeyService.js';
+
+/**
+ * Watch Service
+ * A "watch" is a saved competitor set that is re-scanned on a schedule. Each watch owns one
+ * BullMQ repeatable job; every run is stored as a normal deepScans/{jobId} report plus a
+ * dated entry in watches/{watchId}/runs.
+ *
+ * Tenant watches remember the API key that set them up (apiKeyId); each run is charged to that
+ * key's daily scan quota and is skipped, with the reason recorded, once the quota is used up.
+ */
+
+// Preset schedules, all at 06:00 in the watch's timezone
+export const SCHEDULE_PRESETS = {
+  daily: '0 6 * * *',
+  weekly: '0 6 * * 1',
+  monthly: '0 6 1 * *',
+};
+
+// Custom schedules run at most hourly: the minute field must be a single minute (e.g. '30 */6 * * *')
+const CRON_PATTERN = /^[0-5]?\d(\s+\S+){4}$/;
+
+export class WatchValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchValidationError';
+  }
+}
+
+const watchesRef = () => getDb().collection('watches');
+
+/**
+ * Resolves a preset name or a 5-field cron expression to a cron pattern.
+ */
+export function resolveSchedule(schedule) {
+  if (SCHEDULE_PRESETS[schedule]) return SCHEDULE_PRESETS[schedule];
+  if (typeof schedule === 'string' && CRON_PATTERN.test(schedule.trim())) return schedule.trim();
+  throw new WatchValidationError(`schedule must be one of ${Object.keys(SCHEDULE_PRESETS).join(', ')} or a 5-field cron expression that runs at most once an hour (a single minute, e.g. '30 */6 * * *')`);
+}
+
+/**
+ * Validates the user-editable fields of a watch. With `partial` only the fields present are checked.
+ */
+async function validateWatchInput(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.brandName !== undefined) {
+    if (!input.brandName || typeof input.brandName !== 'string') throw new WatchValidationError('brandName is required.');
+    fields.brandName = input.brandName;
+  }
+  if (input.category !== undefined) fields.category = input.category || 'General';
+  else if (!partial) fields.category = 'General';
+
+  if (!partial || input.competitorUrls !== undefined) {
+    if (!Array.isArray(input.competitorUrls) || input.competitorUrls.length === 0) {
+      throw new WatchValidationError('competitorUrls must be a non-empty array.');
+    }
+    fields.competitorUrls = input.competitorUrls;
+  }
+  if (!partial || input.schedule !== undefined) {
+    fields.schedule = input.schedule || 'weekly';
+    fields.cron = resolveSchedule(fields.schedule);
+  }
+  if (input.timezone !== undefined) fields.timezone = input.timezone || 'UTC';
+  else if (!partial) fields.timezone = 'UTC';
+
+  if (input.active !== undefined) fields.active = input.active !== false;
+  else if (!partial) fields.active = true;
+
+  if (input.crawl !== undefined) {
+    if (input.crawl !== false && (typeof input.crawl !== 'object' || input.crawl === null || Array.isArray(input.crawl))) {
+      throw new WatchValidationError('crawl must be false or an object of crawl options.');
+    }
+    fields.crawl = input.crawl;
+  }
+  if (input.performance !== undefined) {
+    if (typeof input.performance !== 'object' || input.performance === null || Array.isArray(input.performance)) {
+      throw new WatchValidationError('performance must be an object of performance audit options.');
+    }
+    if (input.performance.throttling !== undefined && !(input.performance.throttling in THROTTLING_PROFILES)) {
+      throw new WatchValidationError(`performance.throttling must be one of ${Object.keys(THROTTLING_PROFILES).join(', ')}.`);
+    }
+    fields.performance = input.performance;
+  }
+  if (input.locale !== undefined) {
+    try {
+      fields.locale = normalizeLocale(input.locale);
+    } catch (error) {
+      throw new WatchValidationError(error.message);
+    }
+  }
+  if (input.callbackUrl !== undefined) {
+    try {
+      fields.callbackUrl = input.callbackUrl ? await validateCallbackUrl(input.callbackUrl) : null;
+    } catch (error) {
+      throw new WatchValidationError(error.message);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Registers the repeatable job for a watch and returns its repeat key.
+ */
+async function scheduleWatch(watchId, watch) {
+  const job = await analysisQueue.add(
+    'deepScan',
+    {
+      brandName: watch.brandName,
+      category: watch.category,
+      competitorUrls: watch.competitorUrls,
+      crawl: watch.crawl,
+      performance: watch.performance,
+      locale: watch.locale,
+      callbackUrl: watch.callbackUrl || undefined,
+      tenantId: watch.tenantId || undefined,
+      watchId,
+    },
+    { repeat: { pattern: watch.cron, tz: watch.timezone }, jobId: `watch-${watchId}` }
+  );
+  console.log(`⏰ [Watch] Scheduled watch ${watchId} (${watch.cron} ${watch.timezone})`);
+  return job.repeatJobKey;
+}
+
+async function unscheduleWatch(watchId, repeatJobKey) {
+  if (!repeatJobKey) return;
+  await analysisQueue.removeRepeatableByKey(repeatJobKey);
+  console.log(`🛑 [Watch] Unscheduled watch ${watchId}`);
+}
+
+const toWatch = doc => ({ watchId: doc.id, ...doc.data() });
+
+/**
+ * Creates a watch owned by the given key; its scheduled runs are charged to that key's quota.
+ */
+export async function createWatch(input, keyRecord) {
+  const fields = {
+    ...await validateWatchInput(input),
+    tenantId: keyRecord.tenantId || null,
+    apiKeyId: keyRecord.isAdmin ? null : keyRecord.keyId,
+  };
+  const docRef = watchesRef().doc();
+  const repeatJobKey = fields.active ? await scheduleWatch(docRef.id, fields) : null;
+  await docRef.set({
+    ...fields,
+    repeatJobKey,
+    runCount: 0,
+    lastRunAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return toWatch(await docRef.get());
+}
+
+export async function getWatch(watchId) {
+  const doc = await watchesRef().doc(watchId).get();
+  return doc.exists ? toWatch(doc) : null;
+}
+
+/**
+ * Lists watches, newest first. Pass a tenantId to restrict the list to that tenant.
+ */
+export async function listWatches(tenantId) {
+  let query = watchesRef();
+  if (tenantId) query = query.where('tenantId', '==', tenantId);
+  const snapshot = await query.orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map(toWatch);
+}
+
+/**
+ * Applies a partial update. Any change to what or when we scan re-creates the repeatable job.
+ * A tenant key that edits the watch takes over its runs' quota; admin edits leave the owner as is.
+ */
+export async function updateWatch(watchId, input, keyRecord) {
+  const existing = await getWatch(watchId);
+  if (!existing) return null;
+
+  const fields = await validateWatchInput(input, { partial: true });
+  if (keyRecord && !keyRecord.isAdmin) fields.apiKeyId = keyRecord.keyId;
+  const merged = { ...existing, ...fields };
+  const reschedule = ['brandName', 'category', 'competitorUrls', 'cron', 'timezone', 'active', 'crawl', 'performance', 'locale', 'callbackUrl']
+    .some(key => key in fields);
+
+  let { repeatJobKey } = existing;
+  if (reschedule) {
+    await unscheduleWatch(watchId, repeatJobKey);
+    repeatJobKey = merged.active ? await scheduleWatch(watchId, merged) : null;
+  }
+
+  const docRef = watchesRef().doc(watchId);
+  await docRef.update({ ...fields, repeatJobKey, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return toWatch(await docRef.get());
+}
+
+/**
+ * Stops the schedule and deletes the watch. Past run reports in deepScans are kept.
+ */
+export async function deleteWatch(watchId) {
+  const existing = await getWatch(watchId);
+  if (!existing) return false;
+  await unscheduleWatch(watchId, existing.repeatJobKey);
+
+  const runs = await watchesRef().doc(watchId).collection('runs').get();
+  const batch = getDb().batch();
+  runs.docs.forEach(doc => batch.delete(doc.ref));
+  batch.delete(watchesRef().doc(watchId));
+  await batch.commit();
+  return true;
+}
+
+export async function listWatchRuns(watchId, limit = 50) {
+  const snapshot = await watchesRef().doc(watchId).collection('runs')
+    .orderBy('runAt', 'desc')
+    .limit(limit)
+    .get();
+  return snapshot.docs.map(doc => ({ jobId: doc.id, ...doc.data() }));
+}
+
+/**
+ * Charges a scheduled run to the quota of the key that owns the watch. Called by the worker
+ * before the scan starts; admin watches (no tenant) are not metered.
+ * @throws {QuotaExceededError} when the daily quota is used up or the owning key is missing or revoked
+ */
+export async function chargeWatchRun(watchId) {
+  const watch = await getWatch(watchId);
+  if (!watch) throw new Error(`Watch ${watchId} no longer exists`);
+  if (!watch.tenantId) return;
+
+  const keyRecord = watch.apiKeyId ? await getApiKeyRecord(watch.apiKeyId) : null;
+  if (!keyRecord) {
+    throw new QuotaExceededError('The API key that owns this watch is missing or revoked; update the watch with an active key to resume it.', 'apiKey');
+  }
+  await consumeScanQuota(keyRecord, watch.competitorUrls.length);
+}
+
+/**
+ * Links a finished scheduled run to its watch. Called by the worker after the report is saved.
+ */
+export async function recordWatchRun(watchId, jobId, result) {
+  const analysisData = result?.success && result.data ? result.data : null;
+  const runAt = new Date().toISOString();
+  const watchRef = watchesRef().doc(watchId);
+
+  await watchRef.collection('runs').doc(jobId).set({
+    runAt,
+    snapshotDate: runAt.slice(0, 10),
+    reportId: result?.skipped ? null : jobId,
+    success: !!result?.success,
+    // Runs that never started, e.g. because the owner's daily quota was used up
+    skipped: !!result?.skipped,
+    error: result?.success ? null : (result?.error || null),
+    competitorsAnalyzed: analysisData?.competitorsAnalyzed?.length || 0,
+    topThreat: getTopThreat(analysisData?.strategy)?.url || null,
+  });
+  await watchRef.update({
+    lastRunAt: runAt,
+    lastJobId: jobId,
+    runCount: admin.firestore.FieldValue.increment(1),
+  });
+}
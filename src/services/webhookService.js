@@ -0,0 +1,235 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { UnrecoverableError } from 'bullmq';
+import admin from 'firebase-admin';
+import { getDb } from './firestoreService.js';
+import { getTopThreat } from './strategistReport.js';
+
+/**
+ * Webhook Service
+ * Signs and delivers job completion callbacks, and records every delivery attempt in Firestore.
+ * Callbacks are POSTed from inside the deployment, so they may only target public addresses:
+ * the host is resolved when the URL is accepted and again (pinned to the checked address) on
+ * every delivery, and loopback, private, link-local and other internal ranges are refused.
+ *
+ * Configuration (env):
+ *   WEBHOOK_SIGNING_SECRET   HMAC secret for signatures; callbacks are refused without it
+ *   WEBHOOK_ALLOWED_HOSTS    Comma-separated hostnames exempt from the address check (development)
+ */
+
+export const SIGNATURE_HEADER = 'X-CenterPage-Signature';
+export const TIMESTAMP_HEADER = 'X-CenterPage-Timestamp';
+export const MAX_DELIVERY_ATTEMPTS = 6;
+
+const getSigningSecret = () => {
+  const secret = process.env.WEBHOOK_SIGNING_SECRET;
+  if (!secret) throw new Error('WEBHOOK_SIGNING_SECRET is not configured');
+  return secret;
+};
+
+/**
+ * Thrown when a callback URL is malformed, unresolvable or points at a non-public address.
+ */
+export class CallbackUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CallbackUrlError';
+  }
+}
+
+// Loopback, private (RFC 1918 / ULA), link-local (incl. cloud metadata), CGNAT, multicast,
+// reserved and NAT64 ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 rules.
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const allowedHosts = () => (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Resolves a callback host to the addresses it would be delivered to.
+ * @throws {CallbackUrlError} when the host doesn't exist or any address is non-public; other
+ *   lookup errors (EAI_AGAIN, ETIMEDOUT, ...) are temporary and rethrown as they are
+ */
+export async function resolveCallbackHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.lookup(host, { all: true });
+    } catch (error) {
+      if (error.code === 'ENOTFOUND') throw new CallbackUrlError(`callbackUrl host ${host} could not be resolved`);
+      throw error;
+    }
+  }
+  // Every address must be public, or a multi-record name could still steer a delivery inside
+  if (!allowedHosts().includes(host) && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new CallbackUrlError(`callbackUrl host ${host} resolves to a private or reserved address`);
+  }
+  return addresses;
+}
+
+/**
+ * Validates a client-supplied callback URL. Returns the normalized URL or throws.
+ * @throws {CallbackUrlError}
+ */
+export async function validateCallbackUrl(callbackUrl) {
+  if (!process.env.WEBHOOK_SIGNING_SECRET) {
+    throw new CallbackUrlError('Callbacks are not available: WEBHOOK_SIGNING_SECRET is not configured');
+  }
+  let parsed;
+  try {
+    parsed = new URL(callbackUrl);
+  } catch (e) {
+    throw new CallbackUrlError(`Invalid callbackUrl: ${callbackUrl}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new CallbackUrlError('callbackUrl must use http or https');
+  }
+  try {
+    await resolveCallbackHost(parsed.hostname);
+  } catch (error) {
+    if (error instanceof CallbackUrlError) throw error;
+    throw new CallbackUrlError(`callbackUrl host ${parsed.hostname} could not be resolved right now (${error.code || error.message}); try again`);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Signs `${timestamp}.${body}` with HMAC-SHA256. Receivers should recompute the signature
+ * over the raw request body and reject stale timestamps to prevent replays.
+ */
+export function signPayload(body, timestamp, secret = getSigningSecret()) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Builds the callback body for a finished job. Only a summary is sent; the full report
+ * stays in Firestore and is fetched through /analysis-status/:jobId.
+ */
+export function buildWebhookPayload(job, state, { result, error } = {}) {
+  const { brandName, category, competitorUrls } = job.data;
+  const analysisData = result?.success && result.data ? result.data : null;
+
+  return {
+    event: `deep_scan.${state}`,
+    jobId: job.id,
+    state,
+    brandName,
+    category: category || 'General',
+    // Retry jobs update the report of the scan they retried
+    ...(job.data.retryOf ? { reportId: job.data.retryOf } : {}),
+    summary: {
+      success: state === 'completed' && !!result?.success,
+      competitorsRequested: competitorUrls?.length || 0,
+      competitorsAnalyzed: analysisData?.competitorsAnalyzed?.length || 0,
+      competitorUrls: analysisData?.competitorsAnalyzed?.map(c => c.url) || [],
+      competitorsFailed: analysisData?.competitorStatus?.filter(c => c.status !== 'ok').map(c => ({ url: c.url, status: c.status, reason: c.reason })) || [],
+      topThreat: getTopThreat(analysisData?.strategy)?.url || null,
+      timestamp: analysisData?.timestamp || new Date().toISOString(),
+    },
+    error: error || result?.error || null,
+  };
+}
+
+/**
+ * Appends one delivery attempt to webhookDeliveries/{jobId}.
+ */
+async function recordDeliveryAttempt(jobId, callbackUrl, tenantId, attempt) {
+  const docRef = getDb().collection('webhookDeliveries').doc(jobId);
+  await docRef.set({
+    jobId,
+    callbackUrl,
+    tenantId: tenantId || null,
+    status: attempt.status,
+    attemptCount: admin.firestore.FieldValue.increment(1),
+    lastAttemptAt: attempt.attemptedAt,
+    attempts: admin.firestore.FieldValue.arrayUnion(attempt),
+  }, { merge: true });
+}
+
+/**
+ * Performs a single signed POST. Throws on a non-2xx response so the queue retries with backoff.
+ */
+export async function deliverWebhook({ jobId, callbackUrl, tenantId, payload }, attemptNumber = 1) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = {
+    attempt: attemptNumber,
+    attemptedAt: new Date().toISOString(),
+    event: payload.event,
+  };
+  const record = details => recordDeliveryAttempt(jobId, callbackUrl, tenantId, { ...attempt, ...details })
+    .catch(recordError => console.error(`❌ [Webhook] Failed to record attempt for job ${jobId}:`, recordError.message));
+
+  // Re-checked on every delivery (DNS may have changed since the URL was accepted) and the
+  // connection is pinned to the checked address so a rebinding resolver can't swap it
+  let target;
+  try {
+    [target] = await resolveCallbackHost(new URL(callbackUrl).hostname);
+  } catch (error) {
+    if (error instanceof CallbackUrlError) {
+      await record({ status: 'rejected', error: error.message });
+      console.warn(`⚠️ [Webhook] Refusing delivery for job ${jobId}: ${error.message}`);
+      // Retrying won't make the address public or the host exist
+      throw new UnrecoverableError(error.message);
+    }
+    // A resolver hiccup: retried with backoff like any other failed attempt
+    const exhausted = attemptNumber >= MAX_DELIVERY_ATTEMPTS;
+    await record({ status: exhausted ? 'exhausted' : 'retrying', error: error.message });
+    console.warn(`⚠️ [Webhook] Delivery attempt ${attemptNumber} for job ${jobId} could not resolve the callback host: ${error.message}`);
+    throw error;
+  }
+
+  let response;
+  try {
+    response = await axios.post(callbackUrl, body, {
+      timeout: 10000,
+      lookup: async () => [target.address, target.family],
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CenterPage-Webhooks/1.0',
+        [SIGNATURE_HEADER]: signPayload(body, timestamp),
+        [TIMESTAMP_HEADER]: timestamp,
+      },
+      // Treat redirects as failures rather than following them to an unverified host
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Callback responded with HTTP ${response.status}`);
+    }
+  } catch (error) {
+    const exhausted = attemptNumber >= MAX_DELIVERY_ATTEMPTS;
+    await record({ status: exhausted ? 'exhausted' : 'retrying', error: error.message });
+    console.warn(`⚠️ [Webhook] Delivery attempt ${attemptNumber} failed for job ${jobId}: ${error.message}`);
+    throw error;
+  }
+
+  // Recorded outside the try so a bookkeeping failure never triggers a duplicate delivery
+  await record({ status: 'delivered', httpStatus: response.status });
+  console.log(`📬 [Webhook] Delivered ${payload.event} for job ${jobId} (attempt ${attemptNumber})`);
+}
+
+/**
+ * Returns the recorded delivery history for a job, or null if no callback was ever attempted.
+ */
+export async function getWebhookDeliveries(jobId) {
+  const doc = await getDb().collection('webhookDeliveries').doc(jobId).get();
+  return doc.exists ? doc.data() : null;
+}
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// The crawl cache and the shared service instance read these at import time
+process.env.CRAWL_CACHE_TTL_SECONDS = '0';
+process.env.LLM_PROVIDER = 'mock';
+const { DeepScanService } = await import('../src/services/deepScanService.js');
+const { MockProvider, AGENTS } = await import('../src/services/llmProvider.js');
+const { TIERS } = await import('../src/services/strategistReport.js');
+
+// What crawlSite() returns for a competitor, minus the parts no agent reads
+const fakeAnalysis = (url) => ({
+  url,
+  title: `${new URL(url).hostname} home`,
+  metaDescription: 'A competitor',
+  h1: 'Welcome',
+  wordCount: 900,
+  h2Count: 6,
+  h3Count: 2,
+  internalLinks: 40,
+  externalLinks: 5,
+  technologyStack: [{ name: 'React', category: 'JavaScript frameworks', version: '18.2.0', confidence: 100 }],
+  performance: { loadTime: 2100, largestContentfulPaint: 1800 },
+  accessibility: { totals: { total: 3, critical: 1 }, violations: [] },
+  screenshot: 'AAAA',
+  renders: {
+    desktop: { screenshot: 'AAAA', layout: { issues: [] } },
+    mobile: { screenshot: 'AAAA', device: 'iPhone 13', viewport: { width: 390 }, layout: { issues: [] } },
+  },
+  analysisMethod: 'PUPPETEER_SUCCESS',
+});
+
+const createService = () => {
+  const llm = new MockProvider();
+  const service = new DeepScanService({ llm });
+  // No browser or network: every crawl returns the canned analysis
+  service.crawlSite = async (url) => fakeAnalysis(url);
+  return { service, llm };
+};
+
+test('performMultipleDeepScan produces a complete report offline with the mock provider', async () => {
+  const { service, llm } = createService();
+  const urls = ['https://alpha.example', 'https://beta.example', 'https://gamma.example'];
+  const progress = [];
+
+  const result = await service.performMultipleDeepScan(urls, 'Acme', 'SaaS', snapshot => progress.push(snapshot));
+
+  assert.equal(result.success, true);
+  const { data } = result;
+  assert.equal(data.brandName, 'Acme');
+  assert.equal(data.locale, 'en');
+  assert.deepEqual(data.competitorsAnalyzed.map(c => c.url), urls);
+
+  assert.equal(data.competitorStatus.length, urls.length);
+  data.competitorStatus.forEach(status => assert.equal(status.status, 'ok'));
+
+  assert.equal(data.detailedAgentReports.length, urls.length);
+  for (const competitor of data.detailedAgentReports) {
+    const { technical, content, visual_ux: visual, accessibility } = competitor.specialist_reports;
+    for (const report of [technical, content, accessibility, visual, visual.desktop, visual.mobile]) {
+      assert.ok(Array.isArray(report.strengths) && report.strengths.length > 0);
+      assert.ok(Array.isArray(report.weaknesses) && report.weaknesses.length > 0);
+    }
+    assert.equal(competitor.raw_data_summary.wordCount, 900);
+  }
+
+  // The strategist's document validated: every URL ranked, one top threat, one primary target
+  const { strategy } = data;
+  assert.deepEqual(strategy.tierList.map(entry => entry.url).sort(), [...urls].sort());
+  strategy.tierList.forEach(entry => assert.ok(TIERS.includes(entry.tier)));
+  assert.equal(strategy.tierList.filter(entry => entry.tier === 'top_threat').length, 1);
+  assert.equal(strategy.tierList.filter(entry => entry.tier === 'primary_target').length, 1);
+  assert.ok(strategy.decisiveAdvantage.title);
+  assert.ok(strategy.quickWins.length > 0);
+  assert.match(data.analysis, /## Market Overview/);
+
+  // Four specialists per competitor, then one strategist call; all on the mock
+  const calls = llm.calls.map(call => call.agent);
+  assert.equal(calls.filter(agent => agent === AGENTS.CHIEF_STRATEGIST).length, 1);
+  assert.equal(calls.filter(agent => agent !== AGENTS.CHIEF_STRATEGIST).length, urls.length * 4);
+  assert.equal(progress.at(-1).stage, 'completed');
+});
+
+test('a failing crawl is reported per competitor without sinking the scan', async () => {
+  const { service } = createService();
+  service.crawlSite = async (url) => {
+    if (url.includes('broken')) throw new Error('net::ERR_NAME_NOT_RESOLVED');
+    return fakeAnalysis(url);
+  };
+
+  const result = await service.performMultipleDeepScan(['https://ok.example', 'https://broken.example'], 'Acme', 'SaaS');
+
+  assert.equal(result.success, true);
+  const statuses = Object.fromEntries(result.data.competitorStatus.map(status => [status.url, status.status]));
+  assert.deepEqual(statuses, { 'https://ok.example': 'ok', 'https://broken.example': 'failed' });
+  assert.deepEqual(result.data.strategy.tierList.map(entry => entry.url), ['https://ok.example']);
+});
+
+test('runChiefStrategistAgent returns a validated strategy from the mock provider', async () => {
+  const { service } = createService();
+  const strategy = await service.runChiefStrategistAgent({
+    competitors: [{ url: 'https://alpha.example', specialist_reports: {} }, { url: 'https://beta.example', specialist_reports: {} }],
+  }, 'Acme', 'SaaS');
+
+  assert.deepEqual(Object.keys(strategy).sort(), ['decisiveAdvantage', 'marketOverview', 'quickWins', 'tierList', 'version']);
+  assert.equal(strategy.tierList.length, 2);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, renderMarkdown, renderInlineMarkdown } from '../src/services/markdown.js';
+
+const HOSTILE = '"><script>alert(1)</script><img src=x onerror="alert(2)">';
+
+// Every tag in the output, so assertions can check no untrusted input became markup
+const tags = html => html.match(/<[^>]+>/g) || [];
+
+test('escapeHtml escapes markup and quotes, and blanks null and undefined', () => {
+  assert.equal(escapeHtml(HOSTILE), '&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;&lt;img src=x onerror=&quot;alert(2)&quot;&gt;');
+  assert.equal(escapeHtml("it's & <b>"), 'it&#39;s &amp; &lt;b&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(0), '0');
+});
+
+test('renderMarkdown never emits tags from its input', () => {
+  const html = renderMarkdown(`# ${HOSTILE}\n\n- ${HOSTILE}\n\n| a | b |\n|---|---|\n| ${HOSTILE} | x |\n\n${HOSTILE}`);
+  assert.doesNotMatch(html, /<script/i);
+  assert.deepEqual(tags(html).filter(tag => /onerror|<img/i.test(tag)), []);
+  assert.match(html, /<h1>&quot;&gt;&lt;script&gt;/);
+});
+
+test('links keep only http(s) and mailto targets', () => {
+  assert.equal(renderInlineMarkdown('[docs](https://example.com/a?b=1&c=2)'), '<a href="https://example.com/a?b=1&amp;c=2">docs</a>');
+  assert.equal(renderInlineMarkdown('[mail](mailto:team@example.com)'), '<a href="mailto:team@example.com">mail</a>');
+  for (const href of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html;base64,PHNjcmlwdD4=', 'vbscript:msgbox(1)', '//evil.example']) {
+    const html = renderInlineMarkdown(`[click](${href})`);
+    assert.deepEqual(tags(html), [], href);
+  }
+});
+
+test('a link cannot break out of its href attribute', () => {
+  const html = renderInlineMarkdown('[x" onerror="alert(1)](https://example.com/"onmouseover="alert(2))');
+  assert.deepEqual(tags(html), ['<a href="https://example.com/&quot;onmouseover=&quot;alert(2">', '</a>']);
+});
+
+test('emphasis markers inside link URLs are left alone', () => {
+  assert.equal(
+    renderInlineMarkdown('see [the_docs](https://example.com/some_page_name/*draft*/__init__) and _this_'),
+    'see <a href="https://example.com/some_page_name/*draft*/__init__">the_docs</a> and <em>this</em>',
+  );
+  assert.equal(renderInlineMarkdown('[**bold** `a_b_`](https://example.com/a_b_c)'), '<a href="https://example.com/a_b_c"><strong>bold</strong> <code>a_b_</code></a>');
+});
+
+test('code spans are not treated as markup', () => {
+  assert.equal(renderInlineMarkdown('`**x** <b>` and **y**'), '<code>**x** &lt;b&gt;</code> and <strong>y</strong>');
+});
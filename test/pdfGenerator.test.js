@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateProfessionalPdfHtml } from '../src/services/pdfGenerator.js';
+
+const HOSTILE = '"><script>alert(1)</script><img src=x onerror="alert(2)">';
+const HOSTILE_URL = `https://evil.example/${HOSTILE}`;
+
+const findings = () => ({ strengths: [HOSTILE, '[x](javascript:alert(3))'], weaknesses: [`**${HOSTILE}**`] });
+
+// A report where every scraped or generated field carries markup
+const hostileReport = () => ({
+  deepScanData: {
+    competitorsAnalyzed: [{ url: HOSTILE_URL, title: HOSTILE }],
+    competitorStatus: [
+      { url: HOSTILE_URL, status: 'ok' },
+      { url: HOSTILE, status: 'failed', reason: HOSTILE, crawl: { status: 'error' } },
+    ],
+    detailedAgentReports: [{
+      url: HOSTILE_URL,
+      raw_data_summary: { wordCount: HOSTILE, h2Count: 3, h3Count: 1, techStack: [{ name: HOSTILE }], accessibility: { total: HOSTILE, critical: 1 } },
+      specialist_reports: { technical: findings(), content: findings(), accessibility: findings(), visual_ux: { desktop: findings(), mobile: findings() } },
+    }],
+    strategy: {
+      marketOverview: { summary: `${HOSTILE}\n\n[link](data:text/html,hi)`, trends: [HOSTILE] },
+      tierList: [{ url: HOSTILE_URL, tier: HOSTILE, reason: HOSTILE }],
+      decisiveAdvantage: { title: HOSTILE, rationale: HOSTILE },
+      quickWins: [{ priority: 1, action: HOSTILE, impact: HOSTILE }],
+    },
+  },
+});
+
+test('generateProfessionalPdfHtml escapes hostile competitor fields', () => {
+  const html = generateProfessionalPdfHtml(hostileReport(), HOSTILE, HOSTILE);
+  const tags = html.match(/<[^>]+>/g);
+  // Every section that interpolates competitor data was rendered
+  ['coverage-section', 'deep-competitor-card', 'tier-badge', 'impact-badge', 'chart-figure'].forEach(className => assert.match(html, new RegExp(className)));
+
+  assert.doesNotMatch(html, /<script/i);
+  assert.deepEqual(tags.filter(tag => /\son\w+=/i.test(tag)), []);
+  assert.deepEqual(tags.filter(tag => /<img/i.test(tag)), []);
+  assert.deepEqual(tags.filter(tag => /(href|src)="\s*(javascript|data:text)/i.test(tag)), []);
+  // The payload is still there, as text
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+
+  // ...including in the market trends list
+  const trends = html.match(/<span class="label">Trends<\/span>\s*<ul>(.*?)<\/ul>/s);
+  assert.ok(trends, 'trends section rendered');
+  assert.equal(trends[1], '<li>&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;&lt;img src=x onerror=&quot;alert(2)&quot;&gt;</li>');
+});
+
+test('generateProfessionalPdfHtml keeps class names and the lang attribute safe', () => {
+  const html = generateProfessionalPdfHtml(hostileReport(), 'Acme', 'SaaS', { locale: 'en' });
+  const classes = [...html.matchAll(/class="([^"]*)"/g)].map(match => match[1]);
+  assert.ok(classes.every(value => /^[\w\s-]*$/.test(value)));
+  assert.match(html, /<html lang="en">/);
+});
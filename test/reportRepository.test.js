@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import admin from 'firebase-admin';
+import { FirestoreReportRepository, LocalReportRepository, ReportQueryError } from '../src/services/reportRepository.js';
+
+const createRepository = async (t) => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reports-'));
+  t.after(() => fs.rm(baseDir, { recursive: true, force: true }));
+  return new LocalReportRepository(baseDir);
+};
+
+test('replaceReport keeps the original createdAt and stamps updatedAt', async (t) => {
+  const repository = await createRepository(t);
+  await repository.saveReport('job-1', { brandName: 'Acme', success: false });
+  const { jobId, ...original } = await repository.getReport('job-1');
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await repository.replaceReport('job-1', { ...original, success: true, lastRetryAt: new Date().toISOString() });
+
+  const merged = await repository.getReport('job-1');
+  assert.equal(merged.success, true);
+  assert.equal(merged.createdAt, original.createdAt);
+  assert.ok(merged.updatedAt > original.createdAt);
+  assert.equal(merged.brandNameLower, 'acme');
+});
+
+// Just enough of a Firestore query to order by one field plus document id and resume after a cursor
+const fakeCollection = (docs) => {
+  const query = (orderings = [], after = null, max = Infinity) => ({
+    where: () => query(orderings, after, max),
+    orderBy: (field, direction = 'asc') => query([...orderings, { field: String(field), direction }], after, max),
+    startAfter: (...values) => query(orderings, values, max),
+    select: () => query(orderings, after, max),
+    limit: n => query(orderings, after, n),
+    get: async () => {
+      const valueOf = (doc, field) => {
+        const value = field === '__name__' ? doc.id : doc.data[field];
+        return value instanceof admin.firestore.Timestamp ? value.valueOf() : value;
+      };
+      const compare = (a, b) => {
+        for (const [index, { field, direction }] of orderings.entries()) {
+          const [va, vb] = [a[index], b[index]];
+          if (va !== vb) return (va < vb ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+        }
+        return 0;
+      };
+      const keyed = docs
+        .map(doc => ({ doc, key: orderings.map(({ field }) => valueOf(doc, field)) }))
+        .sort((a, b) => compare(a.key, b.key));
+      const afterKey = after?.map(value => (value instanceof admin.firestore.Timestamp ? value.valueOf() : value));
+      return {
+        docs: keyed
+          .filter(({ key }) => !afterKey || compare(key, afterKey) > 0)
+          .slice(0, max)
+          .map(({ doc }) => ({ id: doc.id, data: () => doc.data, get: field => doc.data[field] })),
+      };
+    },
+  });
+  return query();
+};
+
+test('Firestore cursors page across reports created within the same millisecond', async () => {
+  // Three reports 0.4µs apart, all in the same millisecond
+  const docs = ['b', 'c', 'a'].map((id, index) => ({
+    id,
+    data: { brandName: id, createdAt: new admin.firestore.Timestamp(1700000000, 123456100 + index * 400) },
+  }));
+  const repository = new FirestoreReportRepository();
+  repository.collection = () => fakeCollection(docs);
+
+  for (const [sort, expected] of [['createdAt', ['b', 'c', 'a']], ['-createdAt', ['a', 'c', 'b']]]) {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await repository.searchReports({ sort, limit: 1, cursor });
+      seen.push(...page.reports.map(report => report.jobId));
+      cursor = page.nextCursor;
+    } while (cursor && seen.length < 10);
+    assert.deepEqual(seen, expected, sort);
+  }
+});
+
+test('LocalReportRepository pages by createdAt without repeats', async (t) => {
+  const repository = await createRepository(t);
+  for (const jobId of ['job-1', 'job-2', 'job-3']) await repository.saveReport(jobId, { brandName: jobId });
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await repository.searchReports({ sort: 'createdAt', limit: 2, cursor });
+    seen.push(...page.reports.map(report => report.jobId));
+    cursor = page.nextCursor;
+  } while (cursor && seen.length < 10);
+  assert.deepEqual([...seen].sort(), ['job-1', 'job-2', 'job-3']);
+});
+
+test('a createdAt cursor from before nanosecond precision is rejected', async () => {
+  const repository = new FirestoreReportRepository();
+  repository.collection = () => fakeCollection([]);
+  const legacy = Buffer.from(JSON.stringify({ s: '-createdAt', v: 1700000000123, id: 'a' })).toString('base64url');
+  await assert.rejects(repository.searchReports({ cursor: legacy }), ReportQueryError);
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { scanFingerprint, newScanJobId } from '../src/services/scanIdentity.js';
+import { LocalReportRepository } from '../src/services/reportRepository.js';
+
+const SCAN = { tenantId: 'tenant-a', brandName: 'Acme', competitorUrls: ['https://beta.example', 'https://alpha.example'] };
+
+test('scanFingerprint ignores URL order and defaults the category, but separates tenants', () => {
+  const fingerprint = scanFingerprint(SCAN);
+  assert.match(fingerprint, /^[0-9a-f]{24}$/);
+  assert.equal(scanFingerprint({ ...SCAN, category: 'General', competitorUrls: [...SCAN.competitorUrls].reverse() }), fingerprint);
+  assert.notEqual(scanFingerprint({ ...SCAN, tenantId: 'tenant-b' }), fingerprint);
+});
+
+test('a second run of the same scan does not overwrite the first report', async (t) => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reports-'));
+  t.after(() => fs.rm(baseDir, { recursive: true, force: true }));
+  const repository = new LocalReportRepository(baseDir);
+  const fingerprint = scanFingerprint(SCAN);
+
+  // What the worker does for each completed run: save the report under the run's job ID
+  const firstJobId = newScanJobId(fingerprint);
+  await repository.saveReport(firstJobId, { ...SCAN, fingerprint, analysis: 'first' });
+  await repository.setShare(firstJobId, 'share-1', { createdAt: new Date().toISOString() });
+  const secondJobId = newScanJobId(fingerprint);
+  await repository.saveReport(secondJobId, { ...SCAN, fingerprint, analysis: 'second' });
+
+  assert.notEqual(secondJobId, firstJobId);
+  assert.ok(secondJobId.startsWith(`${fingerprint}-`));
+  const first = await repository.getReport(firstJobId);
+  assert.equal(first.analysis, 'first');
+  assert.ok(first.shares['share-1']);
+  assert.equal((await repository.getReport(secondJobId)).analysis, 'second');
+  assert.equal((await repository.listReports({ fingerprint })).length, 2);
+});
@@ -0,0 +1,16 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createShare, resolveShareToken, isSharingConfigured, SharingUnavailableError } from '../src/services/shareService.js';
+
+test('without SHARE_TOKEN_SECRET, sharing reports itself unavailable instead of failing generically', async (t) => {
+  const secret = process.env.SHARE_TOKEN_SECRET;
+  delete process.env.SHARE_TOKEN_SECRET;
+  t.after(() => {
+    if (secret !== undefined) process.env.SHARE_TOKEN_SECRET = secret;
+  });
+
+  assert.equal(isSharingConfigured(), false);
+  // Rejected before anything is written to the report
+  await assert.rejects(createShare({ jobId: 'job-1' }), SharingUnavailableError);
+  await assert.rejects(resolveShareToken('payload.signature'), SharingUnavailableError);
+});
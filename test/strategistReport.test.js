@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateStrategistReport, StrategyValidationError } from '../src/services/strategistReport.js';
+
+const URLS = ['https://alpha.example', 'https://beta.example', 'https://gamma.example'];
+
+const report = (tiers) => ({
+  marketOverview: { summary: 'Crowded market.' },
+  tierList: tiers.map((tier, index) => ({ url: URLS[index], tier, reason: 'Cited data' })),
+  decisiveAdvantage: { title: 'Speed' },
+  quickWins: [{ priority: 1, action: 'Ship it', impact: 'high' }],
+});
+
+const problemsOf = (doc, urls = URLS) => {
+  try {
+    validateStrategistReport(doc, urls);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof StrategyValidationError);
+    return error.problems;
+  }
+};
+
+test('accepts exactly one top_threat and one primary_target', () => {
+  const strategy = validateStrategistReport(report(['top_threat', 'primary_target', 'contender']), URLS);
+  assert.deepEqual(strategy.tierList.map(entry => entry.tier), ['top_threat', 'primary_target', 'contender']);
+});
+
+test('rejects several top threats', () => {
+  const problems = problemsOf(report(['top_threat', 'top_threat', 'primary_target']));
+  assert.deepEqual(problems, ['tierList needs exactly one top_threat (got 2)']);
+});
+
+test('rejects several primary targets', () => {
+  const problems = problemsOf(report(['top_threat', 'primary_target', 'primary_target']));
+  assert.deepEqual(problems, ['tierList needs exactly one primary_target (got 2)']);
+});
+
+test('rejects missing flags', () => {
+  const problems = problemsOf(report(['contender', 'contender', 'contender']));
+  assert.deepEqual(problems, ['tierList needs exactly one top_threat (got 0)', 'tierList needs exactly one primary_target (got 0)']);
+});
+
+test('a single competitor is the top threat and nothing else', () => {
+  assert.deepEqual(problemsOf(report(['top_threat']), URLS.slice(0, 1)), []);
+  assert.deepEqual(problemsOf(report(['primary_target']), URLS.slice(0, 1)), [
+    'tierList needs exactly one top_threat (got 0)',
+    'tierList cannot have a primary_target when only one competitor is ranked',
+  ]);
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns/promises';
+import { UnrecoverableError } from 'bullmq';
+import { CallbackUrlError, deliverWebhook, resolveCallbackHost } from '../src/services/webhookService.js';
+
+const lookupError = code => Object.assign(new Error(`getaddrinfo ${code} hooks.example`), { code });
+
+// Replaces dns.lookup (shared with the service) for one test
+const mockLookup = (t, implementation) => {
+  const original = dns.lookup;
+  dns.lookup = implementation;
+  t.after(() => {
+    dns.lookup = original;
+  });
+};
+
+const DELIVERY = { jobId: 'job-1', callbackUrl: 'https://hooks.example/callback', payload: { event: 'deep_scan.completed' } };
+
+test('a host that does not exist is refused', async (t) => {
+  mockLookup(t, async () => { throw lookupError('ENOTFOUND'); });
+  await assert.rejects(resolveCallbackHost('hooks.example'), CallbackUrlError);
+  await assert.rejects(deliverWebhook(DELIVERY), UnrecoverableError);
+});
+
+test('a host resolving to a private address is refused without retries', async (t) => {
+  mockLookup(t, async () => [{ address: '10.0.0.5', family: 4 }]);
+  await assert.rejects(deliverWebhook(DELIVERY), UnrecoverableError);
+});
+
+test('temporary resolver errors are left to the queue to retry', async (t) => {
+  let code;
+  mockLookup(t, async () => { throw lookupError(code); });
+  for (code of ['EAI_AGAIN', 'ETIMEDOUT']) {
+    await assert.rejects(resolveCallbackHost('hooks.example'), error => error.code === code && !(error instanceof CallbackUrlError));
+    await assert.rejects(deliverWebhook(DELIVERY, 2), error => error.code === code && !(error instanceof UnrecoverableError));
+  }
+});
@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { buildXlsx } from '../src/services/xlsxWriter.js';
+
+// Bit-by-bit CRC-32 (IEEE), independent of both implementations under test
+const referenceCrc32 = (data) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Walks the local file headers and checks each against its central directory record
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let central = archive.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(central), 0x02014b50);
+    const nameLength = archive.readUInt16LE(central + 28);
+    const name = archive.toString('utf8', central + 46, central + 46 + nameLength);
+    const offset = archive.readUInt32LE(central + 42);
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50, name);
+    assert.equal(archive.readUInt16LE(offset + 8), 8, `${name} is deflated`);
+    const crc = archive.readUInt32LE(offset + 14);
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const size = archive.readUInt32LE(offset + 22);
+    assert.equal(archive.readUInt16LE(offset + 26), nameLength);
+    assert.equal(archive.toString('utf8', offset + 30, offset + 30 + nameLength), name);
+    // The central record repeats the local header's CRC and sizes
+    assert.equal(archive.readUInt32LE(central + 16), crc, name);
+    assert.equal(archive.readUInt32LE(central + 20), compressedSize, name);
+    assert.equal(archive.readUInt32LE(central + 24), size, name);
+
+    const start = offset + 30 + nameLength;
+    const data = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+    entries.push({ name, crc, size, data });
+    central += 46 + nameLength;
+  }
+  return entries;
+};
+
+const SHEETS = [{
+  name: 'Competitors',
+  columns: [{ key: 'url', label: 'URL' }, { key: 'words', label: 'Words' }],
+  rows: [{ url: 'https://alpha.example', words: 900 }, { url: 'https://bêta.example/ünïcode', words: 1200 }],
+}];
+
+const assertValidArchive = (archive) => {
+  const entries = readZip(archive);
+  assert.deepEqual(entries.map(entry => entry.name).slice(0, 2), ['[Content_Types].xml', '_rels/.rels']);
+  assert.ok(entries.some(entry => entry.name === 'xl/worksheets/sheet1.xml'));
+  for (const entry of entries) {
+    assert.equal(entry.data.length, entry.size, entry.name);
+    assert.equal(entry.crc, referenceCrc32(entry.data), entry.name);
+  }
+  const sheet = entries.find(entry => entry.name === 'xl/worksheets/sheet1.xml').data.toString('utf8');
+  assert.match(sheet, /bêta\.example\/ünïcode/);
+};
+
+test('buildXlsx writes a zip whose headers and CRCs match its contents', () => {
+  assertValidArchive(buildXlsx(SHEETS));
+});
+
+test('buildXlsx falls back to its own CRC-32 where zlib.crc32 is missing', async (t) => {
+  const native = zlib.crc32;
+  delete zlib.crc32;
+  t.after(() => {
+    if (native) zlib.crc32 = native;
+  });
+  // A fresh copy of the module, so it picks its CRC implementation without zlib.crc32
+  const { buildXlsx: buildWithFallback } = await import('../src/services/xlsxWriter.js?without-zlib-crc32');
+  assertValidArchive(buildWithFallback(SHEETS));
+});